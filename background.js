@@ -1,27 +1,117 @@
 // Background service worker for AutoComplaint Chrome Extension
-// Currently minimal - reserved for future features like notifications or persistent messaging
+// Records filed complaints against saved orders and runs their follow-up reminders
+
+import {
+  ORDER_STATUSES,
+  getOrder,
+  updateOrder,
+  addTimelineEvent,
+  migrateLegacyOrder
+} from './src/order-store.js';
+import { buildReminders, parseReminderAlarm } from './src/grievance-lifecycle.js';
+import { getPortalMatchPatterns, getPortalHostPermissions } from './src/portal-definitions.js';
+
+const PORTAL_SCRIPT_ID = 'autocomplaint-portal';
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('AutoComplaint extension installed');
   
-  // Initialize storage with empty order data
-  chrome.storage.local.get(['autoComplaintOrder'], (result) => {
-    if (!result.autoComplaintOrder) {
-      chrome.storage.local.set({ autoComplaintOrder: {} });
-    }
-  });
+  // Orders saved by older versions lived under a single key
+  migrateLegacyOrder().catch(error => console.error('AutoComplaint: order migration failed', error));
+  registerPortalContentScript().catch(error => console.error('AutoComplaint: portal script registration failed', error));
 });
 
+// Inject the form filler on every portal that has a definition
+async function registerPortalContentScript() {
+  const origins = getPortalHostPermissions();
+  const granted = await Promise.all(origins.map(origin => chrome.permissions.contains({ origins: [origin] })));
+  const missing = origins.filter((origin, index) => !granted[index]);
+  if (missing.length > 0) {
+    console.warn('AutoComplaint: portal definitions need host permissions missing from manifest.json:', missing);
+  }
+  
+  const matches = getPortalMatchPatterns().filter(pattern => !missing.includes(pattern));
+  const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [PORTAL_SCRIPT_ID] });
+  if (existing.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [PORTAL_SCRIPT_ID] });
+  }
+  
+  await chrome.scripting.registerContentScripts([{
+    id: PORTAL_SCRIPT_ID,
+    matches,
+    js: ['dist/consumer_portal.bundle.js'],
+    runAt: 'document_idle',
+    allFrames: true
+  }]);
+  console.log(`AutoComplaint: portal script registered for ${matches.length} pattern(s)`);
+}
+
 // Listen for messages from content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action === 'saveOrderData') {
-    chrome.storage.local.set({ autoComplaintOrder: message.data }, () => {
-      sendResponse({ success: true });
-    });
+  if (message.action === 'recordDocket') {
+    recordFiledComplaint(message.orderStoreId, message.docketNumber, message.portalUrl || (sender.tab ? sender.tab.url : ''))
+      .then(order => sendResponse({ success: true, orderId: order.id }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Will respond asynchronously
   }
 });
 
+// Attach a portal docket number to the order that was filled and schedule follow-ups
+async function recordFiledComplaint(orderStoreId, docketNumber, portalUrl) {
+  if (!orderStoreId) throw new Error('No saved order to attach the docket number to');
+  
+  const filedAt = new Date().toISOString();
+  const reminders = buildReminders(orderStoreId, portalUrl, filedAt);
+  let docketSet = false;
+  
+  // Checked inside the queued update so two confirmations can't both file the order
+  const updated = await updateOrder(orderStoreId, order => {
+    if (order.docketNumber === docketNumber) return {}; // Confirmation page reloaded
+    if (order.docketNumber) {
+      throw new Error(`Order already filed under docket ${order.docketNumber}, not replacing it with ${docketNumber}`);
+    }
+    docketSet = true;
+    return {
+      docketNumber,
+      portalUrl,
+      filedAt,
+      reminders,
+      status: ORDER_STATUSES.FILED,
+      timeline: [...(order.timeline || []), { event: ORDER_STATUSES.FILED, at: filedAt, detail: `Docket ${docketNumber}` }]
+    };
+  });
+  if (!docketSet) return updated;
+  
+  reminders.forEach(reminder => chrome.alarms.create(reminder.alarmName, { when: Date.parse(reminder.dueAt) }));
+  console.log(`AutoComplaint: docket ${docketNumber} recorded, ${reminders.length} reminder(s) scheduled`);
+  return updated;
+}
+
+// Escalation reminders for filed complaints
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  const reminderRef = parseReminderAlarm(alarm.name);
+  if (!reminderRef) return;
+  
+  const order = await getOrder(reminderRef.orderStoreId);
+  const reminder = order && order.reminders && order.reminders[reminderRef.index];
+  // Deleted or already resolved complaints need no nudge
+  if (!reminder || order.status === ORDER_STATUSES.RESOLVED) return;
+  
+  chrome.notifications.create(alarm.name, {
+    type: 'basic',
+    iconUrl: 'assets/icon128.png',
+    title: `Complaint follow-up${order.docketNumber ? ` - docket ${order.docketNumber}` : ''}`,
+    message: `${reminder.label}${order.productName ? ` (${order.productName})` : ''}`,
+    priority: 1
+  });
+  
+  const reminders = order.reminders.map((item, index) => (
+    index === reminderRef.index ? { ...item, firedAt: new Date().toISOString() } : item
+  ));
+  await updateOrder(order.id, { reminders });
+  await addTimelineEvent(order.id, 'reminder', reminder.label);
+});
+
 // Handle errors
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'reportError') {
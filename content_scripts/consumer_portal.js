@@ -1,362 +1,290 @@
-// ==UserScript==
-// Enhanced auto-fill grievance portal form - v3.0 Grievance Form Optimized
-// ==/UserScript==
+/**
+ * AutoComplaint Grievance Portal Filler
+ * Fills complaint portal forms from the saved order using the portal's
+ * definition, with a preview, an undo snapshot, a fill report, per-site field
+ * overrides and docket number capture once the complaint is filed
+ */
+
+import { getActiveOrder, getOrderEvidence } from '../src/order-store.js';
+import { watchForDocketNumber } from '../src/docket-capture.js';
+import { getPortalDefinition } from '../src/portal-definitions.js';
+import { fillPortalForm, fillFieldElement, planPortalFill } from '../src/portal-filler.js';
+import { showFillPreview } from '../src/fill-preview.js';
+import { createFormSnapshot, getFormSnapshot, restoreFormSnapshot, showUndoButton } from '../src/form-snapshot.js';
+import { buildFillReport, saveFillReport, getFillReport, updateFillReportField } from '../src/fill-report.js';
+import { pickElement } from '../src/element-picker.js';
+import { getOverrideOrigin, getPortalOverrides, saveFieldOverride, applyPortalOverrides } from '../src/portal-overrides.js';
+import { startMappingRecorder } from '../src/mapping-recorder.js';
+import { generateSelectors } from '../src/selector-generator.js';
+import { analyzeForm } from '../src/form-analyzer.js';
+import { buildEvidenceFiles } from '../src/evidence-upload.js';
 
 (function() {
-  console.log('🚀 Enhanced Consumer Portal Auto-Fill v3.0 loaded - Grievance Form Optimized');
+  // The popup injects this script into portals it is not registered for - load once per page
+  if (window.autoComplaintPortalLoaded) return;
+  window.autoComplaintPortalLoaded = true;
 
-  // Utility function to simulate realistic typing
-  const typeIntoField = async (field, text) => {
-    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
-    
-    // Clear existing value
-    field.value = '';
-    field.dispatchEvent(new Event('focus'));
-    
-    // Type each character with a realistic delay
-    for (let char of text) {
-      field.value += char;
-      field.dispatchEvent(new Event('input', { bubbles: true }));
-      field.dispatchEvent(new KeyboardEvent('keydown', { key: char }));
-      await delay(50 + Math.random() * 50); // Random delay between 50-100ms
-    }
-    
-    field.dispatchEvent(new Event('change', { bubbles: true }));
-    await delay(300); // Wait for dropdown to appear
-  };
+  console.log('🚀 Grievance portal filler loaded');
 
-  // Function to find and select matching dropdown option
-  const selectMatchingOption = async (field, value) => {
-    // Try direct value match first
-    if (field.tagName === 'SELECT') {
-      for (let option of field.options) {
-        if (option.text.toLowerCase().includes(value.toLowerCase())) {
-          option.selected = true;
-          field.dispatchEvent(new Event('change', { bubbles: true }));
-          return true;
-        }
-      }
-    }
+  // Definition for this portal; pages injected from the popup may get the generic profile
+  const portal = getPortalDefinition(window.location.href);
+  console.log(`🧩 Using portal definition: ${portal.name}`);
 
-    // For searchable dropdowns, type and wait for options
-    await typeIntoField(field, value);
+  // Recorded field mappings for this site are kept per origin
+  const overrideOrigin = getOverrideOrigin(window.location.href);
 
-    // Look for dropdown list that appeared
-    const dropdownLists = [
-      ...document.querySelectorAll('.dropdown-list, .select-options, .suggestions, [class*="dropdown"], [class*="autocomplete"]'),
-      ...document.querySelectorAll('ul[style*="display: block"], div[style*="display: block"] > ul')
-    ];
+  // Undo snapshot of the latest fill; retries and picks add to it
+  let activeSnapshot = null;
 
-    for (const list of dropdownLists) {
-      const options = list.querySelectorAll('li, .option, [role="option"]');
-      for (const option of options) {
-        if (option.textContent.toLowerCase().includes(value.toLowerCase())) {
-          option.click();
-          return true;
-        }
-      }
+  // The portal definition with any recorded selectors tried first
+  async function getActivePortal() {
+    try {
+      return applyPortalOverrides(portal, await getPortalOverrides(overrideOrigin));
+    } catch (error) {
+      console.warn('⚠️ Could not load recorded field mappings:', error);
+      return portal;
     }
+  }
 
-    return false;
-  };
-
-  // Enhanced field mappings for grievance forms
-  const fieldMappings = {
-    // Grievance Type
-    grievanceType: [
-      'select[name*="grievance"][name*="type"]',
-      'select[name*="complaint"][name*="type"]',
-      '#grievanceType',
-      '.grievance-type-dropdown'
-    ],
-
-    // Grievance Classification
-    grievanceClassification: [
-      'select[name*="grievance"][name*="classification"]',
-      'select[name*="complaint"][name*="classification"]',
-      '#grievanceClassification',
-      '.grievance-classification-dropdown'
-    ],
-
-    // State
-    state: [
-      'select[name*="state"]',
-      '#state',
-      '.state-dropdown',
-      'select[aria-label*="State"]'
-    ],
-
-    // Purchase City
-    purchaseCity: [
-      'select[name*="city"]',
-      'select[name*="purchase"][name*="city"]',
-      '#city',
-      '.city-dropdown',
-      'select[aria-label*="City"]'
-    ],
-
-    // Sector/Industry
-    sectorIndustry: [
-      'select[name*="sector"]',
-      'select[name*="industry"]',
-      '#sector',
-      '#industry',
-      '.sector-dropdown',
-      '.industry-dropdown',
-      'select[aria-label*="Sector"]',
-      'select[aria-label*="Industry"]'
-    ],
-
-    // Category
-    category: [
-      'select[name*="category"]',
-      'select[name*="product"][name*="category"]',
-      '#category',
-      '.category-dropdown',
-      'select[aria-label*="Category"]'
-    ],
-
-    // Company
-    company: [
-      'select[name*="company"]',
-      'select[name*="seller"]',
-      'select[name*="brand"]',
-      '#company',
-      '.company-dropdown',
-      'select[aria-label*="Company"]'
-    ],
-
-    // Nature of Grievance
-    natureOfGrievance: [
-      'select[name*="nature"]',
-      'select[name*="grievance"][name*="nature"]',
-      '#natureOfGrievance',
-      '.nature-dropdown',
-      'select[aria-label*="Nature of Grievance"]'
-    ],
-
-    // Product Value
-    productValue: [
-      'select[name*="product"][name*="value"]',
-      'select[name*="price"]',
-      'select[name*="amount"]',
-      '#productValue',
-      '.product-value-dropdown',
-      'select[aria-label*="Product Value"]'
-    ],
-
-    // Dealer Information
-    dealerInfo: [
-      'textarea[name*="dealer"]',
-      'textarea[name*="seller"][name*="info"]',
-      'textarea[name*="contact"]',
-      '#dealerInfo',
-      '.dealer-info-field',
-      'textarea[aria-label*="Dealer"]',
-      'textarea[placeholder*="dealer"]'
-    ]
-  };
+  // Evidence stored with the active order, as files for the portal's upload inputs
+  async function getEvidenceFiles() {
+    try {
+      const order = await getActiveOrder();
+      return buildEvidenceFiles(order && order.evidence ? await getOrderEvidence(order.id) : null);
+    } catch (error) {
+      console.warn('⚠️ Could not load evidence files:', error);
+      return [];
+    }
+  }
 
-  // Enhanced text field setting
-  function setTextField(selector, value, fieldType) {
-    const element = document.querySelector(selector);
-    if (!element || !value) return { success: false, reason: 'No element or value' };
+  // Fill the portal form from order data - shared by both message actions.
+  // Nothing is written until the user confirms the values in the preview overlay.
+  // orderStoreId names the saved order, so the portal's docket number goes to it.
+  async function fillGrievanceForm(orderData, orderStoreId = null) {
+    const data = orderData || {};
+    const definition = await getActivePortal();
+    const files = await getEvidenceFiles();
+    const plan = planPortalFill(definition, data, document, { files });
+    const decision = await showFillPreview(plan, definition);
+    
+    if (!decision.confirmed) {
+      console.log('🚫 Fill cancelled in preview - nothing was written');
+      return { cancelled: true, summary: null, results: {} };
+    }
     
-    console.log(`📝 Setting text field ${fieldType}:`, value);
+    // Keep what the form held before, so the fill can be undone
+    const snapshot = createFormSnapshot(portal.id);
+    activeSnapshot = snapshot;
+    const result = await fillPortalForm(definition, data, document, { fieldValues: decision.fieldValues, snapshot, files });
+    if (snapshot.save()) showUndoButton(undoAutofill);
     
-    element.value = value;
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-    element.dispatchEvent(new Event('blur', { bubbles: true }));
+    // Every previewed value is kept so unticked fields can still be retried from the popup
+    const values = Object.fromEntries(plan.rows.map(row => [row.fieldType, decision.fieldValues[row.fieldType] || row.value]));
+    saveFillReport(buildFillReport(definition, values, result, orderStoreId || data.id || null));
+    watchForFiledComplaint();
     
-    return { success: true, value: value };
+    return result;
   }
 
-  // Enhanced form filling function
-  async function fillGrievanceForm(orderData) {
-    console.log('🎯 Starting enhanced grievance form filling with data:', orderData);
+  // Fill one field of the last report again, through its selectors and label
+  async function retryField(fieldType) {
+    const report = getFillReport();
+    const value = report && report.values[fieldType];
+    if (!value) return { success: false, message: 'No value to fill for this field' };
     
-    const results = {};
-    const fillableFields = [
-      'company', 'productValue', 'purchaseCity', 'category', 'sectorIndustry',
-      'dealerInfo', 'customerName', 'email', 'phone', 'orderId', 'productName'
-    ];
+    const snapshot = getFieldSnapshot();
+    const files = await getEvidenceFiles();
+    const fill = await fillPortalForm(await getActivePortal(), {}, document, { fieldValues: { [fieldType]: value }, snapshot, files });
+    return finishFieldFill(fieldType, fill.results[fieldType] || { success: false, reason: 'Field is no longer on the page' }, snapshot);
+  }
+
+  // Let the user click the control a field belongs in, then fill it there
+  async function pickFieldElement(fieldType) {
+    const report = getFillReport();
+    const value = report && report.values[fieldType];
+    if (!value) return { success: false, message: 'No value to fill for this field' };
     
-    for (const fieldType of fillableFields) {
-      const value = orderData[fieldType];
-      if (!value) {
-        results[fieldType] = { success: false, reason: 'No data available' };
-        continue;
-      }
-      
-      const selectors = fieldMappings[fieldType] || [];
-      let filled = false;
-      
-      for (const selector of selectors) {
-        try {
-          const element = document.querySelector(selector);
-          if (!element || element.offsetParent === null) continue; // Skip hidden elements
-          
-          let result;
-          if (element.tagName === 'SELECT' || element.classList.contains('dropdown') || 
-              element.getAttribute('role') === 'combobox') {
-            result = selectMatchingOption(element, value);
-          } else if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') {
-            result = setTextField(selector, value, fieldType);
-          }
-          
-          if (result && result.success) {
-            results[fieldType] = { 
-              ...result, 
-              selector: selector,
-              fieldType: fieldType
-            };
-            filled = true;
-            break;
-          }
-        } catch (error) {
-          console.warn(`Error filling ${fieldType} with selector ${selector}:`, error);
-        }
-      }
-      
-      if (!filled) {
-        results[fieldType] = { 
-          success: false, 
-          reason: 'No suitable field found',
-          searchedSelectors: selectors,
-          value: value
-        };
-      }
-    }
+    const definition = await getActivePortal();
+    const label = (definition.fields[fieldType] && definition.fields[fieldType].label) || fieldType;
+    const element = await pickElement({ hint: `Click the ${label} field` });
+    if (!element) return { success: false, cancelled: true, message: 'Pick cancelled' };
     
-    // Generate summary
-    const successful = Object.values(results).filter(r => r.success).length;
-    const total = fillableFields.length;
+    const snapshot = getFieldSnapshot();
+    const result = await fillFieldElement(definition, fieldType, value, element, { snapshot });
+    return finishFieldFill(fieldType, result, snapshot);
+  }
+
+  // Let the user point at each control and say which field it is; the
+  // selectors are stored for this origin and used first on later fills
+  async function recordFieldMappings() {
+    // Preselect the field the label analysis would pick for a clicked control
+    const guesses = new Map(Object.entries(analyzeForm(document, portal.fields))
+      .map(([fieldType, match]) => [match.element, fieldType]));
     
-    const summary = {
-      total: total,
-      successful: successful,
-      failed: total - successful,
-      successRate: `${Math.round((successful / total) * 100)}%`,
-      timestamp: new Date().toISOString()
+    const recorded = await startMappingRecorder({
+      title: `Record fields - ${portal.name}`,
+      fields: Object.fromEntries(Object.entries(portal.fields).map(([fieldType, spec]) => [fieldType, spec.label])),
+      guess: element => guesses.get(element),
+      describe: element => generateSelectors(element)[0],
+      onSave: (fieldType, element) => saveFieldOverride(overrideOrigin, fieldType, generateSelectors(element))
+    });
+    return {
+      success: recorded.length > 0,
+      recorded: recorded.map(entry => entry.fieldType),
+      message: recorded.length > 0 ? `Recorded ${recorded.length} field(s)` : 'No fields recorded'
     };
+  }
+
+  function getFieldSnapshot() {
+    // After an undo the old snapshot is gone - start a new one
+    if (!activeSnapshot || !getFormSnapshot()) activeSnapshot = createFormSnapshot(portal.id);
+    return activeSnapshot;
+  }
+
+  function finishFieldFill(fieldType, result, snapshot) {
+    if (snapshot.save()) showUndoButton(undoAutofill);
+    const report = updateFillReportField(fieldType, result);
+    return {
+      success: result.success,
+      message: result.success ? `${report.labels[fieldType] || fieldType} filled` : (result.reason || 'Field could not be filled'),
+      result,
+      report
+    };
+  }
+
+  // Put the form back the way it was before the last autofill
+  function undoAutofill() {
+    if (!getFormSnapshot()) {
+      return { success: false, message: 'Nothing to undo on this page' };
+    }
     
-    console.log('✅ Enhanced form filling completed:', { summary, results });
-    
-    return { summary, results };
+    const { restored, missing } = restoreFormSnapshot();
+    activeSnapshot = null;
+    return {
+      success: restored > 0,
+      restored,
+      missing,
+      message: missing > 0
+        ? `Restored ${restored} field(s); ${missing} are no longer on the page`
+        : `Restored ${restored} field(s)`
+    };
   }
 
-  // Main enhanced autofill function
+  // Fill the portal form from the active saved order, reporting progress in a toast
   async function autofillGrievancePortal() {
-    console.log('🚀 Enhanced autofill triggered on grievance portal');
+    console.log('🚀 Autofill triggered on grievance portal');
     
+    const toast = document.createElement('div');
+    toast.style.cssText = `
+      position: fixed; top: 20px; right: 20px; z-index: 10000;
+      background: #4CAF50; color: white; padding: 12px 20px;
+      border-radius: 6px; font-family: Arial, sans-serif;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.15);
+      transition: opacity 0.3s ease;
+    `;
+    toast.textContent = 'Filling form with the saved order details...';
+    document.body.appendChild(toast);
+    
+    // Auto-remove toast
+    setTimeout(() => {
+      toast.style.opacity = '0';
+      setTimeout(() => toast.remove(), 300);
+    }, 4000);
+
     try {
-      // Show notification
-      const toast = document.createElement('div');
-      toast.style.cssText = `
-        position: fixed; top: 20px; right: 20px; z-index: 10000;
-        background: #4CAF50; color: white; padding: 12px 20px;
-        border-radius: 6px; font-family: Arial, sans-serif;
-        box-shadow: 0 4px 12px rgba(0,0,0,0.15);
-        transition: opacity 0.3s ease;
-      `;
-      toast.textContent = 'Filling form with enhanced order details...';
-      document.body.appendChild(toast);
+      // The order chosen in the popup (or the latest capture) from the order store
+      const data = await getActiveOrder();
+      if (!data) {
+        throw new Error('No saved order found - capture an order first');
+      }
+
+      console.log('🎯 Retrieved saved order:', data);
+
+      const fillResult = await fillGrievanceForm(data);
       
-      // Auto-remove toast
-      setTimeout(() => {
-        if (toast.parentNode) {
-          toast.style.opacity = '0';
-          setTimeout(() => toast.remove(), 300);
+      if (fillResult.cancelled) {
+        toast.textContent = 'Fill cancelled - nothing was written';
+      } else if (fillResult.summary.successful > 0) {
+        console.log(`✅ Successfully filled ${fillResult.summary.successful}/${fillResult.summary.total} fields`);
+        
+        toast.textContent = `✅ Filled ${fillResult.summary.successful}/${fillResult.summary.total} fields successfully!`;
+        if (fillResult.summary.unloadedDependencies.length > 0) {
+          toast.style.background = '#FF9800';
+          toast.textContent += ` Options never loaded for: ${fillResult.summary.unloadedDependencies
+            .map(dep => `${dep.field} (after ${dep.parent})`).join(', ')}`;
         }
-      }, 4000);
-    } catch (e) {
-      console.warn('Toast notification failed:', e);
+      } else {
+        console.warn('⚠️ No fields could be auto-filled');
+        
+        toast.style.background = '#FF9800';
+        toast.textContent = '⚠️ Could not auto-fill any fields - manual entry required';
+      }
+      
+      return fillResult;
+    } catch (error) {
+      console.error('❌ Autofill failed:', error);
+      
+      toast.style.background = '#f44336';
+      toast.textContent = '❌ Auto-fill failed - ' + error.message;
+      throw error;
     }
+  }
 
-    return new Promise((resolve, reject) => {
-      // Retrieve enhanced order data
-      chrome.storage.local.get([
-        'autoComplaintOrderUniversal',
-        'autoComplaintOrderOCR', 
-        'autoComplaintOrderNER',
-        'autoComplaintOrderCompromise',
-        'autoComplaintOrder'
-      ], async (result) => {
-        try {
-          if (chrome.runtime.lastError) {
-            throw new Error(`Storage error: ${chrome.runtime.lastError.message}`);
-          }
-
-          let data = result.autoComplaintOrderUniversal || 
-                    result.autoComplaintOrderOCR || 
-                    result.autoComplaintOrderNER || 
-                    result.autoComplaintOrderCompromise || 
-                    result.autoComplaintOrder;
-          
-          if (!data) {
-            throw new Error('No order data found in storage');
-          }
-
-          console.log('🎯 Retrieved enhanced order data:', data);
-
-          // Use enhanced form filling
-          const fillResult = await fillGrievanceForm(data);
-          
-          // Update toast with results
-          const toast = document.querySelector('[style*="background: #4CAF50"]');
-          if (fillResult.summary.successful > 0) {
-            console.log(`✅ Successfully filled ${fillResult.summary.successful}/${fillResult.summary.total} fields`);
-            
-            if (toast) {
-              toast.style.background = '#4CAF50';
-              toast.textContent = `✅ Filled ${fillResult.summary.successful}/${fillResult.summary.total} fields successfully!`;
-            }
-            
-            resolve(fillResult);
-          } else {
-            console.warn('⚠️ No fields could be auto-filled');
-            
-            if (toast) {
-              toast.style.background = '#FF9800';
-              toast.textContent = '⚠️ Could not auto-fill any fields - manual entry required';
-            }
-            
-            resolve(fillResult);
-          }
-          
-        } catch (error) {
-          console.error('❌ Enhanced autofill failed:', error);
-          
-          const toast = document.querySelector('[style*="background: #4CAF50"]');
-          if (toast) {
-            toast.style.background = '#f44336';
-            toast.textContent = '❌ Auto-fill failed - ' + error.message;
-          }
-          
-          reject(error);
-        }
-      });
-    });
+  // Message reply for a finished (or cancelled) fill
+  function toFillResponse(result) {
+    if (result.cancelled) {
+      return { success: false, cancelled: true, message: 'Fill cancelled - nothing was written' };
+    }
+    return {
+      success: true,
+      message: `Filled ${result.summary.successful}/${result.summary.total} fields`,
+      result: result
+    };
   }
 
   // Listen for messages from popup
   if (typeof chrome !== 'undefined' && chrome.runtime) {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (message.action === 'ping') {
+        sendResponse({ ready: true, portal: portal.id, canUndo: !!getFormSnapshot() });
+        return false;
+      }
+      
+      if (message.action === 'undoFill') {
+        sendResponse(undoAutofill());
+        return false;
+      }
+      
+      if (message.action === 'getFillReport') {
+        sendResponse({ report: getFillReport() });
+        return false;
+      }
+      
+      if (message.action === 'startMappingRecorder') {
+        // Reply straight away: the popup closes as soon as the page is clicked
+        sendResponse({ success: true, started: true });
+        recordFieldMappings().catch(error => console.error('❌ Field mapping recording failed:', error));
+        return false;
+      }
+      
+      if (message.action === 'retryField' || message.action === 'pickFieldElement') {
+        const run = message.action === 'retryField' ? retryField : pickFieldElement;
+        run(message.fieldType)
+          .then(sendResponse)
+          .catch(error => sendResponse({ success: false, message: error.message }));
+        return true; // Will respond asynchronously
+      }
+      
       if (message.action === 'fillForm') {
-        console.log('📨 Received enhanced fillForm message');
+        console.log('📨 Received fillForm message');
         
         autofillGrievancePortal()
           .then((result) => {
-            console.log('✅ Enhanced autofill completed successfully');
-            sendResponse({
-              success: true, 
-              message: `Filled ${result.summary.successful}/${result.summary.total} fields`,
-              result: result
-            });
+            console.log('✅ Autofill completed successfully');
+            sendResponse(toFillResponse(result));
           })
           .catch((error) => {
-            console.error('❌ Enhanced autofill failed:', error);
+            console.error('❌ Autofill failed:', error);
             let userMessage = 'Failed to fill form';
             
             if (error.message.includes('No order data')) {
@@ -372,8 +300,8 @@
             });
           });
       } else if (message.action === 'fillGrievanceForm') {
-        fillGrievanceForm(message.data)
-          .then(() => sendResponse({ success: true }))
+        fillGrievanceForm(message.data, message.orderStoreId)
+          .then((result) => sendResponse(toFillResponse(result)))
           .catch(error => {
             console.error('Error filling form:', error);
             sendResponse({ success: false, error: error.message });
@@ -385,9 +313,34 @@
     });
   }
 
+  // Capture the docket number once the portal confirms the complaint, so the
+  // background worker can attach it to the filled order and schedule follow-ups.
+  // Only tabs holding an unfiled fill report watch - status and tracking pages
+  // show dockets too, and those belong to other complaints.
+  let stopDocketWatch = null;
+  function watchForFiledComplaint() {
+    const report = getFillReport();
+    if (stopDocketWatch || !report || !report.orderStoreId || report.docketNumber) return;
+    if (typeof chrome === 'undefined' || !chrome.runtime || !document.body) return;
+    
+    stopDocketWatch = watchForDocketNumber((docketNumber) => {
+      const message = { action: 'recordDocket', orderStoreId: report.orderStoreId, docketNumber, portalUrl: window.location.href };
+      chrome.runtime.sendMessage(message, (response) => {
+        if (response && response.success) {
+          saveFillReport({ ...(getFillReport() || report), docketNumber });
+          console.log('✅ Docket number saved with the order:', docketNumber);
+        } else {
+          console.warn('⚠️ Could not save docket number:', response && response.error);
+        }
+      });
+    });
+  }
+  watchForFiledComplaint();
+
   // Make fillGrievanceForm available globally for fallback injection
   window.fillGrievanceForm = fillGrievanceForm;
   window.autofillGrievancePortal = autofillGrievancePortal;
+  window.undoAutofill = undoAutofill;
 
-  console.log('🎯 Enhanced Consumer Portal Auto-Fill ready - grievance form optimized');
+  console.log('🎯 Grievance portal filler ready');
 })();
@@ -6,6 +6,13 @@
 // Import the main ML extraction logic
 import { initializeExtraction } from '../src/universal-extractor.js';
 
+// Import teach mode pieces - the recorder panel and per-domain learned rules
+import { startMappingRecorder } from '../src/mapping-recorder.js';
+import { TEACHABLE_FIELDS, getRuleDomain, buildLearnedLookups, saveLearnedField } from '../src/learned-rules.js';
+
+// Import evidence capture for orders saved from the popup
+import { captureOrderEvidence } from '../src/evidence-capture.js';
+
 console.log('🚀 AutoComplaint Universal Extractor v7.0 - ML-Based');
 
 // Initialize extraction when the script loads
@@ -68,8 +75,54 @@ if (typeof window !== 'undefined') {
   };
 }
 
+// Longest element text offered as a field value in teach mode
+const MAX_TEACH_TEXT = 200;
+
+// Teach mode: the user clicks the element holding each field and the extension
+// keeps a rule for this domain, used on later visits before the NER pass
+async function startTeachMode() {
+  const domain = getRuleDomain(window.location.href);
+  const recorded = await startMappingRecorder({
+    title: `Teach fields - ${domain}`,
+    fields: TEACHABLE_FIELDS,
+    pickHint: 'Click the text that shows a field',
+    accept: isTeachableElement,
+    describe: element => element.textContent.replace(/\s+/g, ' ').trim(),
+    editValue: true,
+    onSave: (field, element, value) => saveLearnedField(domain, field, buildLearnedLookups(field, element, value), value)
+  });
+  
+  // Extract again so the saved order picks up what was just taught
+  if (recorded.length > 0) startUniversalExtraction();
+  return recorded;
+}
+
+function isTeachableElement(element) {
+  if (element === document.body || element === document.documentElement) return false;
+  const text = element.textContent.trim();
+  return text.length > 0 && text.length <= MAX_TEACH_TEXT;
+}
+
 // Listen for extraction requests from popup/background
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.action === 'startTeachMode') {
+    // Reply straight away: the popup closes as soon as the page is clicked
+    sendResponse({ success: true, started: true });
+    startTeachMode().catch(error => console.error('❌ Teach mode failed:', error));
+    return false;
+  }
+  
+  if (request.action === 'captureEvidence') {
+    captureOrderEvidence(request.orderId)
+      .then(evidence => sendResponse({ success: true, evidence }))
+      .catch(error => {
+        console.error('❌ Evidence capture failed:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true; // Will respond asynchronously
+  }
+  
+
   if (request.action === 'extractOrderData') {
     console.log('📥 Received extraction request');
     
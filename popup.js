@@ -1,8 +1,61 @@
+import {
+  ORDER_STATUSES,
+  listOrders,
+  getOrder,
+  findOrderByUrl,
+  saveOrder,
+  updateOrder,
+  updateOrderStatus,
+  deleteOrder,
+  setActiveOrder,
+  getActiveOrder,
+  isEvidenceCaptureEnabled,
+  setEvidenceCaptureEnabled,
+  addOrderAttachment
+} from './src/order-store.js';
+import { buildComplaintNarrative } from './src/complaint-narrative.js';
+import { findPortalDefinition, getPortalDefinition } from './src/portal-definitions.js';
+import { FILL_STATUSES, describeFillResult } from './src/fill-report.js';
+import {
+  getOverrideOrigin,
+  getPortalOverrides,
+  clearPortalOverrides,
+  isGenericProfileEnabled,
+  setGenericProfileEnabled
+} from './src/portal-overrides.js';
+import { getRuleDomain, getLearnedRule, clearLearnedRules } from './src/learned-rules.js';
+import { parseInvoicePdf, mergeInvoiceIntoOrder } from './src/invoice-parser.js';
+
+// Portal form filler, injected on demand into portals without a registered content script
+const PORTAL_SCRIPT = 'dist/consumer_portal.bundle.js';
+
+// Map ML keys to form field names
+const FIELD_MAPPING = {
+  orderId: 'orderId',
+  productName: 'productName',
+  productValue: 'price',
+  sellerName: 'company',
+  location: 'dealerInfo',
+  orderDate: 'orderDate',
+  deliveryDate: 'deliveryDate',
+  productCategory: 'category',
+  // Add more mappings as needed
+};
+
+// Store ID of the order shown in the form
+let currentOrderId = null;
+
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('Popup DOM loaded');
   initializeTabs();
+  trackUserEdits();
+  setupNarrativeGenerator();
   await setupButtons();
   await loadSavedData();
+  await renderOrderList();
+  await renderTimeline();
+  await setupEvidenceToggle();
+  setupInvoiceDrop();
 });
 
 // Initialize tab functionality
@@ -24,28 +77,201 @@ function initializeTabs() {
   });
 }
 
-// Load saved data from storage
+// Load the order for this tab (or the chosen one) from the order store
 async function loadSavedData() {
   try {
-    const result = await chrome.storage.local.get([
-      'autoComplaintOrderUniversal',
-      'autoComplaintOrder'
-    ]);
+    const tab = await getCurrentTab();
+    const order = (tab && await findOrderByUrl(tab.url)) || await getActiveOrder();
     
-    console.log('Storage result:', result);
-    
-    const data = result.autoComplaintOrder || result.autoComplaintOrderUniversal;
-    if (data) {
-      console.log('Found data:', data);
-      fillFormWithSavedData(data);
+    if (order) {
+      console.log('Found order:', order);
+      currentOrderId = order.id;
+      fillFormWithSavedData(order);
     } else {
-      console.log('No data found in storage');
+      console.log('No saved orders found');
     }
   } catch (error) {
     console.error('Error loading saved data:', error);
   }
 }
 
+// List saved orders with choose, status and delete controls
+async function renderOrderList() {
+  const list = document.getElementById('orderList');
+  const empty = document.getElementById('orderListEmpty');
+  if (!list) return;
+
+  const orders = await listOrders();
+  list.innerHTML = '';
+  if (empty) empty.style.display = orders.length ? 'none' : 'block';
+
+  orders.forEach(order => {
+    const item = document.createElement('li');
+    item.className = `order-item${order.id === currentOrderId ? ' active' : ''}`;
+
+    const info = document.createElement('div');
+    info.className = 'order-item-info';
+    const title = document.createElement('div');
+    title.className = 'order-item-title';
+    title.textContent = order.productName || order.orderId || 'Untitled order';
+    const meta = document.createElement('div');
+    meta.className = 'order-item-meta';
+    meta.textContent = [
+      order.orderId,
+      getHostname(order.sourceUrl),
+      new Date(order.capturedAt).toLocaleDateString(),
+      order.evidence ? '📎 evidence' : '',
+      order.invoice ? '🧾 invoice' : ''
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    info.append(title, meta);
+
+    const status = document.createElement('select');
+    status.title = 'Complaint status';
+    Object.values(ORDER_STATUSES).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value;
+      status.appendChild(option);
+    });
+    status.value = order.status;
+    status.addEventListener('change', () => handleStatusChange(order.id, status.value));
+
+    const useBtn = createIconButton('fa-solid fa-pen-to-square', 'Use this order', () => handleChooseOrder(order.id));
+    const deleteBtn = createIconButton('fa-solid fa-trash', 'Delete this order', () => handleDeleteOrder(order));
+
+    item.append(info, status, useBtn, deleteBtn);
+    list.appendChild(item);
+  });
+}
+
+// Show each filed complaint's status timeline, with reminders still to come
+async function renderTimeline() {
+  const container = document.getElementById('complaintTimeline');
+  const empty = document.getElementById('complaintTimelineEmpty');
+  if (!container) return;
+
+  const complaints = (await listOrders()).filter(order => order.docketNumber || order.status !== ORDER_STATUSES.DRAFT);
+  container.innerHTML = '';
+  if (empty) empty.style.display = complaints.length ? 'none' : 'block';
+
+  complaints.forEach(order => {
+    const card = document.createElement('div');
+    card.className = 'timeline-card';
+
+    const title = document.createElement('div');
+    title.className = 'timeline-card-title';
+    title.textContent = order.productName || order.orderId || 'Untitled order';
+    const meta = document.createElement('div');
+    meta.className = 'timeline-card-meta';
+    meta.textContent = [order.docketNumber && `Docket ${order.docketNumber}`, order.status, getHostname(order.portalUrl)]
+      .filter(Boolean)
+      .join(' · ');
+
+    const events = document.createElement('ul');
+    events.className = 'timeline-events';
+    (order.timeline || []).forEach(entry => {
+      events.appendChild(createTimelineEntry(entry.at, `${entry.event}${entry.detail ? ` - ${entry.detail}` : ''}`));
+    });
+    if (order.status !== ORDER_STATUSES.RESOLVED) {
+      (order.reminders || []).filter(reminder => !reminder.firedAt).forEach(reminder => {
+        events.appendChild(createTimelineEntry(reminder.dueAt, reminder.label, true));
+      });
+    }
+
+    card.append(title, meta, events);
+    container.appendChild(card);
+  });
+}
+
+function createTimelineEntry(at, text, upcoming = false) {
+  const entry = document.createElement('li');
+  entry.className = `timeline-event${upcoming ? ' upcoming' : ''}`;
+  const time = document.createElement('time');
+  time.dateTime = at;
+  time.textContent = new Date(at).toLocaleDateString();
+  entry.append(time, document.createTextNode(text));
+  return entry;
+}
+
+function createIconButton(iconClass, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-btn';
+  button.title = title;
+  button.innerHTML = `<i class="${iconClass}"></i>`;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Load a saved order into the form and make it the one to fill
+async function handleChooseOrder(id) {
+  const order = await getOrder(id);
+  if (!order) return;
+
+  await setActiveOrder(id);
+  currentOrderId = id;
+  resetForm();
+  fillFormWithSavedData(order);
+  await renderOrderList();
+  document.querySelector('.tab-btn[data-tab="basic"]')?.click();
+  showToast('Order loaded');
+}
+
+async function handleStatusChange(id, status) {
+  try {
+    await updateOrderStatus(id, status);
+    await renderTimeline();
+    showToast(`Marked as ${status}`);
+  } catch (error) {
+    console.error('Error updating order status:', error);
+    showToast('Error updating status', 'error');
+  }
+}
+
+async function handleDeleteOrder(order) {
+  if (!confirm(`Delete saved order ${order.orderId || order.productName || ''}?`)) return;
+
+  await deleteOrder(order.id);
+  if (order.id === currentOrderId) {
+    currentOrderId = null;
+    resetForm();
+  }
+  await renderOrderList();
+  await renderTimeline();
+  showToast('Order deleted');
+}
+
+// Clear the form and any per-order hints before showing another order
+function resetForm() {
+  const form = document.getElementById('orderForm');
+  if (!form) return;
+
+  form.reset();
+  form.querySelectorAll('.low-confidence').forEach(input => {
+    input.classList.remove('low-confidence');
+    input.removeAttribute('title');
+  });
+  form.querySelectorAll('[data-user-edited]').forEach(input => delete input.dataset.userEdited);
+  fillOrderIdCandidates([]);
+  fillItemPicker([]);
+  highlightLowConfidenceFields({});
+}
+
+async function getCurrentTab() {
+  const tabs = await chrome.tabs.query({active: true, currentWindow: true});
+  return tabs[0];
+}
+
+function getHostname(url) {
+  try {
+    return url ? new URL(url).hostname : '';
+  } catch (error) {
+    return '';
+  }
+}
+
 // Fill form with saved data
 function fillFormWithSavedData(data) {
   const form = document.getElementById('orderForm');
@@ -53,20 +279,7 @@ function fillFormWithSavedData(data) {
   
   console.log('Filling form with data:', data);
   
-  // Map ML keys to form field names
-  const mapping = {
-    orderId: 'orderId',
-    productName: 'productName',
-    productValue: 'price',
-    sellerName: 'company',
-    location: 'dealerInfo',
-    orderDate: 'orderDate',
-    deliveryDate: 'deliveryDate',
-    productCategory: 'category',
-    // Add more mappings as needed
-  };
-
-  Object.entries(mapping).forEach(([mlKey, formKey]) => {
+  Object.entries(FIELD_MAPPING).forEach(([mlKey, formKey]) => {
     if (data[mlKey]) {
       const input = form.elements[formKey] || document.getElementById(formKey);
       if (input) {
@@ -84,6 +297,165 @@ function fillFormWithSavedData(data) {
       console.log(`Set ${key}: ${value}`);
     }
   });
+
+  fillOrderIdCandidates(data.orderIdCandidates);
+  fillItemPicker(data.items, data.selectedItem);
+  highlightLowConfidenceFields(data.fieldMeta);
+}
+
+// Flag fields the extractor was unsure about so the user checks them before filing
+function highlightLowConfidenceFields(fieldMeta) {
+  const notice = document.getElementById('reviewNotice');
+  let flagged = 0;
+
+  Object.entries(fieldMeta || {}).forEach(([mlKey, meta]) => {
+    const input = document.getElementById(FIELD_MAPPING[mlKey] || mlKey);
+    if (!input || !input.value || !meta || !meta.needsReview) return;
+
+    flagged++;
+    input.classList.add('low-confidence');
+    input.title = `Low confidence (${Math.round(meta.confidence * 100)}%) from ${meta.sourceType} - please check`;
+    input.addEventListener('input', () => {
+      input.classList.remove('low-confidence');
+      input.removeAttribute('title');
+    }, { once: true });
+  });
+
+  if (notice) {
+    notice.textContent = `${flagged} field${flagged === 1 ? '' : 's'} need checking - highlighted below.`;
+    notice.style.display = flagged > 0 ? 'block' : 'none';
+  }
+}
+
+// Track which fields the user typed into, so their provenance becomes "user-edit"
+function trackUserEdits() {
+  const form = document.getElementById('orderForm');
+  if (!form) return;
+
+  form.addEventListener('input', (event) => {
+    if (event.target.name) event.target.dataset.userEdited = 'true';
+  });
+}
+
+// Field metadata for every field the user edited in the popup
+function getUserEditMeta() {
+  const reverseMapping = Object.fromEntries(Object.entries(FIELD_MAPPING).map(([mlKey, formKey]) => [formKey, mlKey]));
+  const fieldMeta = {};
+
+  document.querySelectorAll('#orderForm [data-user-edited="true"]').forEach(input => {
+    fieldMeta[reverseMapping[input.name] || input.name] = {
+      confidence: 1,
+      sourceType: 'user-edit',
+      source: 'popup',
+      location: null,
+      needsReview: false
+    };
+  });
+
+  return fieldMeta;
+}
+
+// Let the user choose which item of a multi-item order the complaint is about
+function fillItemPicker(items, selectedItem) {
+  const group = document.getElementById('itemPickerGroup');
+  const select = document.getElementById('selectedItem');
+  if (!group || !select) return;
+
+  if (!Array.isArray(items) || items.length < 2) {
+    group.style.display = 'none';
+    return;
+  }
+
+  select.innerHTML = '';
+  items.forEach((item, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    const quantity = item.quantity > 1 ? ` ×${item.quantity}` : '';
+    option.textContent = `${item.name}${quantity}${item.lineTotal ? ` - ${item.lineTotal}` : ''}`;
+    select.appendChild(option);
+  });
+
+  group.style.display = 'block';
+  select.value = selectedItem && items[selectedItem] ? String(selectedItem) : '0';
+  select.onchange = () => applySelectedItem(items[Number(select.value)]);
+}
+
+// Copy the chosen item's details into the order fields
+function applySelectedItem(item) {
+  if (!item) return;
+
+  const fields = {
+    productName: item.name,
+    price: item.lineTotal || item.unitPrice,
+    company: item.seller
+  };
+
+  Object.entries(fields).forEach(([id, value]) => {
+    const input = document.getElementById(id);
+    if (input && value) input.value = value;
+  });
+}
+
+// Save the popup form into its stored order, keeping extraction-only data (items, candidates)
+async function saveFormData(data) {
+  const existing = currentOrderId ? await getOrder(currentOrderId) : null;
+  const fieldMeta = { ...((existing && existing.fieldMeta) || {}), ...getUserEditMeta() };
+  const tab = await getCurrentTab();
+
+  // Corrections also go under the extraction's field names, which the form reads first
+  const extractionFields = Object.fromEntries(Object.entries(FIELD_MAPPING)
+    .filter(([mlKey, formKey]) => mlKey !== formKey && formKey in data)
+    .map(([mlKey, formKey]) => [mlKey, data[formKey]]));
+
+  const order = await saveOrder({ ...data, ...extractionFields, fieldMeta }, {
+    id: currentOrderId,
+    sourceUrl: existing ? existing.sourceUrl : tab && tab.url
+  });
+  currentOrderId = order.id;
+  await renderOrderList();
+}
+
+// Offer the ranked alternative order IDs as suggestions on the Order ID field
+function fillOrderIdCandidates(candidates) {
+  const datalist = document.getElementById('orderIdSuggestions');
+  if (!datalist || !Array.isArray(candidates)) return;
+
+  datalist.innerHTML = '';
+  candidates.forEach(candidate => {
+    const option = document.createElement('option');
+    option.value = candidate.orderId;
+    option.label = `${candidate.marketplace || 'candidate'} · score ${Math.round(candidate.score * 100)}%`;
+    datalist.appendChild(option);
+  });
+}
+
+// Draft the grievance description from the order and the facts the user entered
+function setupNarrativeGenerator() {
+  const button = document.getElementById('generateNarrativeBtn');
+  const form = document.getElementById('orderForm');
+  if (!button || !form) return;
+
+  button.addEventListener('click', async () => {
+    const description = document.getElementById('description');
+    if (description.value.trim() && description.dataset.userEdited &&
+        !confirm('Replace the description you edited with a new draft?')) {
+      return;
+    }
+
+    const formData = Object.fromEntries(new FormData(form).entries());
+    const savedOrder = currentOrderId ? await getOrder(currentOrderId) : null;
+    // Fields edited in the popup win over the stored extraction
+    const order = {
+      ...(savedOrder || {}),
+      ...formData,
+      productValue: formData.price || (savedOrder && savedOrder.productValue),
+      sellerName: formData.company || (savedOrder && savedOrder.sellerName)
+    };
+
+    description.value = buildComplaintNarrative(order, formData, formData.narrativeLanguage);
+    delete description.dataset.userEdited;
+    showToast('Description drafted - review and edit it before filing');
+  });
 }
 
 // Setup page-specific buttons
@@ -96,18 +468,35 @@ async function setupButtons() {
     const currentUrl = tabs[0].url;
     
     const isEcommerceSite = /amazon\.|flipkart\.|myntra\.|paytm\.|snapdeal\.|shopclues\.|meesho\.|ajio\.|nykaa\.|tatacliq\.|bigbasket\.|grofers\./i.test(currentUrl);
-    const isGrievancePortal = /consumerhelpline\.gov\.in|consumer\.nic\.in|edca\.gov\.in/i.test(currentUrl);
-    const isTestPage = /test\.html/i.test(currentUrl) || currentUrl.includes('diagnostic.html');
+    // Known portals (and the local test pages) have a definition; other web pages
+    // get the generic profile only where the user turned it on
+    const isGrievancePortal = !!findPortalDefinition(currentUrl);
+    const isWebPage = /^https?:/i.test(currentUrl);
+    const usesGenericProfile = !isGrievancePortal && isWebPage &&
+      await isGenericProfileEnabled(getOverrideOrigin(currentUrl));
     
     if (isEcommerceSite && saveOrderBtn) {
       saveOrderBtn.style.display = 'inline-block';
       if (fillInBtn) fillInBtn.style.display = 'none';
       saveOrderBtn.addEventListener('click', handleSaveOrder);
-    } else if ((isGrievancePortal || isTestPage) && fillInBtn) {
+      setupTeachMode(tabs[0].id);
+      await showLearnedRules(currentUrl);
+    } else if ((isGrievancePortal || usesGenericProfile) && fillInBtn) {
       if (saveOrderBtn) saveOrderBtn.style.display = 'none';
       fillInBtn.style.display = 'inline-block';
       fillInBtn.addEventListener('click', handleFillIn);
+      showPortalProfile(currentUrl);
+      setupMappingRecorder(tabs[0].id);
+      // An unrecognised page may just as well be a niche shop the extractor missed
+      if (!isGrievancePortal) {
+        setupTeachMode(tabs[0].id);
+        await showLearnedRules(currentUrl);
+      }
+      await showPortalOverrides(currentUrl);
+      await setupUndoButton(tabs[0].id);
+      await loadFillReport(tabs[0].id);
     } else {
+      if (isWebPage) offerGenericProfile(currentUrl);
       showGuidance();
     }
   } catch (error) {
@@ -125,14 +514,119 @@ async function handleSaveOrder() {
     const formData = new FormData(form);
     const data = Object.fromEntries(formData.entries());
     
-    await chrome.storage.local.set({ autoComplaintOrder: data });
-    showToast('Order details saved successfully!');
+    await saveFormData(data);
+    if (await isEvidenceCaptureEnabled()) {
+      await captureEvidenceForOrder(currentOrderId);
+    } else {
+      showToast('Order details saved successfully!');
+    }
   } catch (error) {
     console.error('Error saving order:', error);
     showToast('Error saving order details', 'error');
   }
 }
 
+// Ask the shop page to screenshot and copy itself into the saved order
+async function captureEvidenceForOrder(orderId) {
+  const tab = await getCurrentTab();
+  showToast('Order saved - capturing evidence...');
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'captureEvidence', orderId });
+    if (!response || !response.success) throw new Error(response && response.error);
+    showToast('Order and evidence saved');
+    await renderOrderList();
+  } catch (error) {
+    console.error('Error capturing evidence:', error);
+    showToast('Order saved, but the page could not be captured as evidence', 'error');
+  }
+}
+
+// Opt-in toggle for saving a screenshot and page copy with each order
+async function setupEvidenceToggle() {
+  const toggle = document.getElementById('captureEvidenceToggle');
+  if (!toggle) return;
+  
+  toggle.checked = await isEvidenceCaptureEnabled();
+  toggle.addEventListener('change', () => setEvidenceCaptureEnabled(toggle.checked));
+}
+
+// Drop zone (or file chooser) for a tax invoice PDF
+function setupInvoiceDrop() {
+  const zone = document.getElementById('invoiceDrop');
+  const input = document.getElementById('invoiceFileInput');
+  const chooseBtn = document.getElementById('chooseInvoiceBtn');
+  if (!zone || !input) return;
+
+  if (chooseBtn) chooseBtn.addEventListener('click', () => input.click());
+  input.addEventListener('change', () => {
+    if (input.files[0]) handleInvoiceFile(input.files[0]);
+    input.value = '';
+  });
+
+  zone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    zone.classList.add('dragging');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+  zone.addEventListener('drop', (event) => {
+    event.preventDefault();
+    zone.classList.remove('dragging');
+    const file = event.dataTransfer.files[0];
+    if (file) handleInvoiceFile(file);
+  });
+}
+
+// Read an invoice PDF locally, merge its details into the order and keep the file as evidence
+async function handleInvoiceFile(file) {
+  if (file.type !== 'application/pdf' && !/\.pdf$/i.test(file.name)) {
+    showToast('Choose the invoice as a PDF file', 'error');
+    return;
+  }
+
+  const zone = document.getElementById('invoiceDrop');
+  zone.classList.add('busy');
+  showToast('Reading invoice...');
+  try {
+    const extracted = await parseInvoicePdf(file);
+    // The order in the form, else a saved order with the invoice's order ID
+    const target = (currentOrderId && await getOrder(currentOrderId)) ||
+      (extracted.orderId && (await listOrders()).find(order => order.orderId === extracted.orderId)) ||
+      null;
+
+    const { changes, filled, conflict } = mergeInvoiceIntoOrder(target, extracted);
+    if (conflict && !confirm(`This invoice is for order ${conflict.invoice}, not ${conflict.order}. Add it to this order anyway?`)) {
+      return;
+    }
+
+    const order = target
+      ? await updateOrder(target.id, changes)
+      : await saveOrder({ ...changes, orderIdCandidates: extracted.orderIdCandidates, items: extracted.items });
+    await addOrderAttachment(order.id, { name: file.name, dataUrl: await readFileAsDataUrl(file), kind: 'invoice' });
+
+    currentOrderId = order.id;
+    resetForm();
+    fillFormWithSavedData(await getOrder(order.id));
+    await renderOrderList();
+    showToast(filled.length > 0
+      ? `Invoice added - ${filled.length} field${filled.length === 1 ? '' : 's'} filled from it`
+      : 'Invoice added to the order');
+  } catch (error) {
+    console.error('Error reading invoice:', error);
+    showToast(`Could not read the invoice: ${error.message}`, 'error');
+  } finally {
+    zone.classList.remove('busy');
+  }
+}
+
+function readFileAsDataUrl(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
 // Handle fill in button click
 async function handleFillIn() {
   const fillInBtn = document.getElementById('fillInBtn');
@@ -148,15 +642,23 @@ async function handleFillIn() {
     const formData = new FormData(form);
     const data = Object.fromEntries(formData.entries());
     
-    await chrome.storage.local.set({ autoComplaintOrder: data });
+    await saveFormData(data);
     
     const tabs = await chrome.tabs.query({active: true, currentWindow: true});
-    await chrome.tabs.sendMessage(tabs[0].id, {
+    await ensurePortalScript(tabs[0].id);
+    
+    // The page shows a preview first; its reply only comes once the user applies or cancels
+    chrome.tabs.sendMessage(tabs[0].id, {
       action: 'fillGrievanceForm',
-      data: data
-    });
+      data: data,
+      orderStoreId: currentOrderId
+    }).then(response => {
+      if (response && response.cancelled) showToast(response.message, 'error');
+      else if (response && response.success) showToast(response.message);
+      if (response && response.success) loadFillReport(tabs[0].id);
+    }).catch(error => console.log('Fill reply not received:', error.message));
     
-    showToast('Filling grievance form...');
+    showToast('Review the values on the page, then click Apply');
   } catch (error) {
     console.error('Error filling form:', error);
     showToast('Error filling form. Please try again.', 'error');
@@ -166,6 +668,245 @@ async function handleFillIn() {
   }
 }
 
+// Offer undo when the portal page still holds a snapshot from the last autofill
+async function setupUndoButton(tabId) {
+  const undoBtn = document.getElementById('undoFillBtn');
+  if (!undoBtn) return;
+  
+  try {
+    const status = await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    if (!status || !status.canUndo) return;
+  } catch (error) {
+    return; // No portal script in this tab - nothing was filled
+  }
+  
+  undoBtn.style.display = 'inline-block';
+  undoBtn.addEventListener('click', async () => {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, { action: 'undoFill' });
+      showToast(response.message, response.success ? 'success' : 'error');
+      if (response.success) undoBtn.style.display = 'none';
+    } catch (error) {
+      console.error('Error undoing autofill:', error);
+      showToast('Could not undo - reload the portal page and try again', 'error');
+    }
+  });
+}
+
+// Show the field-by-field outcome of the last fill on this portal page
+async function loadFillReport(tabId) {
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'getFillReport' });
+    renderFillReport(tabId, response && response.report);
+  } catch (error) {
+    renderFillReport(tabId, null); // No portal script - nothing filled yet
+  }
+}
+
+function renderFillReport(tabId, report) {
+  const container = document.getElementById('fillReport');
+  const rows = document.getElementById('fillReportRows');
+  const summary = document.getElementById('fillReportSummary');
+  if (!container || !rows) return;
+  
+  if (!report) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  container.style.display = 'block';
+  if (summary) summary.textContent = `- ${report.summary.successful}/${report.summary.total} filled`;
+  rows.innerHTML = '';
+  
+  // Failures first, then skipped, then filled
+  const order = { [FILL_STATUSES.FAILED]: 0, [FILL_STATUSES.SKIPPED]: 1, [FILL_STATUSES.FILLED]: 2 };
+  Object.entries(report.results)
+    .map(([fieldType, result]) => ({ fieldType, result, ...describeFillResult(result) }))
+    .sort((a, b) => order[a.status] - order[b.status])
+    .forEach(({ fieldType, result, status, detail }) => {
+      const row = document.createElement('tr');
+      
+      const field = document.createElement('td');
+      field.textContent = report.labels[fieldType] || fieldType;
+      const statusCell = document.createElement('td');
+      statusCell.className = `fill-status ${status}`;
+      statusCell.textContent = status;
+      const details = document.createElement('td');
+      details.textContent = detail;
+      
+      const actions = document.createElement('td');
+      actions.className = 'fill-report-actions';
+      // Fields with no value to write have nothing to retry
+      if (report.values[fieldType]) {
+        actions.appendChild(createIconButton('fa-solid fa-rotate-right', 'Retry this field',
+          () => handleFieldAction(tabId, 'retryField', fieldType)));
+        // The picker does not offer file inputs - uploads can only be retried
+        if (result.widget !== 'file') {
+          actions.appendChild(createIconButton('fa-solid fa-crosshairs', 'Pick the element on the page',
+            () => handleFieldAction(tabId, 'pickFieldElement', fieldType)));
+        }
+      }
+      
+      row.append(field, statusCell, details, actions);
+      rows.appendChild(row);
+    });
+}
+
+// Retry a field or let the user pick its element; picking closes the popup when the page is clicked
+async function handleFieldAction(tabId, action, fieldType) {
+  if (action === 'pickFieldElement') {
+    showToast('Click the field on the page - reopen this popup to see the result');
+  }
+  
+  try {
+    const response = await chrome.tabs.sendMessage(tabId, { action, fieldType });
+    showToast(response.message, response.success ? 'success' : 'error');
+    if (response.report) renderFillReport(tabId, response.report);
+  } catch (error) {
+    console.error(`Error running ${action}:`, error);
+    showToast('Could not reach the portal page', 'error');
+  }
+}
+
+// Make sure the portal script is in the tab, injecting it on portals it is not registered for
+async function ensurePortalScript(tabId) {
+  try {
+    await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+  } catch (error) {
+    // "Receiving end does not exist" - no portal script in this tab yet
+    console.log('Portal script not present, injecting:', error.message);
+    await chrome.scripting.executeScript({ target: { tabId }, files: [PORTAL_SCRIPT] });
+  }
+}
+
+// Show which portal definition will be used to fill this page
+function showPortalProfile(url) {
+  const profile = document.getElementById('portalProfile');
+  const text = document.getElementById('portalProfileText');
+  const stopBtn = document.getElementById('stopGenericProfileBtn');
+  if (!profile || !text) return;
+  
+  const known = findPortalDefinition(url);
+  const portal = known || getPortalDefinition(url);
+  text.textContent = known
+    ? `Portal profile: ${portal.name}`
+    : `Portal profile: ${portal.name} - this portal is not recognised, so fields are matched by common names`;
+  profile.classList.toggle('generic', !known);
+  profile.style.display = 'block';
+  
+  if (!known && stopBtn) {
+    stopBtn.style.display = 'inline';
+    stopBtn.addEventListener('click', async () => {
+      await setGenericProfileEnabled(getOverrideOrigin(url), false);
+      window.location.reload();
+    });
+  }
+}
+
+// Unknown pages only get the fill tools once the user asks for the generic profile there
+function offerGenericProfile(url) {
+  const offer = document.getElementById('genericProfileOffer');
+  const useBtn = document.getElementById('useGenericProfileBtn');
+  if (!offer || !useBtn) return;
+  
+  offer.style.display = 'block';
+  useBtn.addEventListener('click', async () => {
+    try {
+      await setGenericProfileEnabled(getOverrideOrigin(url), true);
+      window.location.reload();
+    } catch (error) {
+      console.error('Error turning on the generic profile:', error);
+      showToast('Could not turn on the generic profile', 'error');
+    }
+  });
+}
+
+// Start recording field mappings on the portal page; the popup closes once the page is clicked
+function setupMappingRecorder(tabId) {
+  const recordBtn = document.getElementById('recordMappingBtn');
+  if (!recordBtn) return;
+  
+  recordBtn.style.display = 'inline-block';
+  recordBtn.addEventListener('click', async () => {
+    try {
+      await ensurePortalScript(tabId);
+      await chrome.tabs.sendMessage(tabId, { action: 'startMappingRecorder' });
+      showToast('Click each field on the page and choose what it is');
+    } catch (error) {
+      console.error('Error starting field recording:', error);
+      showToast('Could not start recording on this page', 'error');
+    }
+  });
+}
+
+// Start teach mode on the shop page; the popup closes once the page is clicked
+function setupTeachMode(tabId) {
+  const teachBtn = document.getElementById('teachFieldsBtn');
+  if (!teachBtn) return;
+  
+  teachBtn.style.display = 'inline-block';
+  teachBtn.addEventListener('click', async () => {
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: 'startTeachMode' });
+      showToast('Click the text of each field on the page and confirm its value');
+    } catch (error) {
+      console.error('Error starting teach mode:', error);
+      showToast('Could not start teach mode - reload the page and try again', 'error');
+    }
+  });
+}
+
+// Show how many fields were taught for this shop, with a way to forget them
+async function showLearnedRules(url) {
+  const container = document.getElementById('learnedRules');
+  const text = document.getElementById('learnedRulesText');
+  const clearBtn = document.getElementById('clearLearnedRulesBtn');
+  if (!container || !text) return;
+  
+  const domain = getRuleDomain(url);
+  const rule = domain ? await getLearnedRule(domain) : null;
+  const count = rule ? Object.keys(rule.fields).length : 0;
+  if (count === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  text.textContent = `${count} taught field${count === 1 ? '' : 's'} for ${domain}`;
+  container.style.display = 'block';
+  if (clearBtn) {
+    clearBtn.onclick = async () => {
+      await clearLearnedRules(domain);
+      container.style.display = 'none';
+      showToast('Taught fields cleared');
+    };
+  }
+}
+
+// Show how many fields were recorded for this site, with a way to forget them
+async function showPortalOverrides(url) {
+  const container = document.getElementById('portalOverrides');
+  const text = document.getElementById('portalOverridesText');
+  const clearBtn = document.getElementById('clearOverridesBtn');
+  if (!container || !text) return;
+  
+  const origin = getOverrideOrigin(url);
+  const count = Object.keys(await getPortalOverrides(origin)).length;
+  if (count === 0) {
+    container.style.display = 'none';
+    return;
+  }
+  
+  text.textContent = `${count} recorded field mapping${count === 1 ? '' : 's'} for this site`;
+  container.style.display = 'block';
+  if (clearBtn) {
+    clearBtn.onclick = async () => {
+      await clearPortalOverrides(origin);
+      container.style.display = 'none';
+      showToast('Recorded field mappings cleared');
+    };
+  }
+}
+
 // Show guidance for unsupported pages
 function showGuidance() {
   const container = document.querySelector('.container');
@@ -0,0 +1,242 @@
+/**
+ * AutoComplaint - Complaint Narrative Generator
+ * Writes the grievance description from the saved order, the chosen nature of
+ * grievance and a few facts from the user, using fixed English/Hindi templates
+ * (no language model involved).
+ *
+ * Each sentence lists variants from most to least detailed; the first variant
+ * whose {placeholders} all have values is used, and a sentence with no usable
+ * variant is left out.
+ */
+
+export const NARRATIVE_LANGUAGES = {
+  en: { name: 'English', dateLocale: 'en-IN' },
+  hi: { name: 'हिन्दी', dateLocale: 'hi-IN' }
+};
+
+// Issue and resolution sentences per natureOfGrievance value
+const NATURE_TEMPLATES = {
+  en: {
+    'Product Quality Issue': {
+      issue: [
+        'On {issueDate}, I found that the product is defective: {issueDetails}.',
+        'The product I received is defective: {issueDetails}.',
+        'The product I received is defective and not of the quality promised.'
+      ],
+      resolution: [
+        'I request a replacement of the product or a full refund of {amount}.',
+        'I request a replacement of the product or a full refund.'
+      ]
+    },
+    'Service Issue': {
+      issue: [
+        'On {issueDate}, I faced deficiency in service: {issueDetails}.',
+        'I have faced deficiency in service: {issueDetails}.',
+        'I have faced deficiency in the service provided by the seller.'
+      ],
+      resolution: ['I request that the deficiency in service be remedied without further delay.']
+    },
+    'Delivery Issue': {
+      issue: [
+        'As of {issueDate}, the order has not been delivered properly: {issueDetails}.',
+        'There is a problem with the delivery of this order: {issueDetails}.',
+        'The order has not been delivered as promised.'
+      ],
+      resolution: [
+        'I request immediate delivery of the order or a full refund of {amount}.',
+        'I request immediate delivery of the order or a full refund.'
+      ]
+    },
+    'Refund Issue': {
+      issue: [
+        'I requested a refund on {issueDate}, but it has not been received: {issueDetails}.',
+        'I requested a refund on {issueDate}, but it has not been received.',
+        'The refund due to me has not been received: {issueDetails}.',
+        'The refund due to me has not been received.'
+      ],
+      resolution: [
+        'I request that the refund of {amount} be credited at the earliest.',
+        'I request that the refund be credited at the earliest.'
+      ]
+    },
+    default: {
+      issue: [
+        'On {issueDate}, the following problem arose: {issueDetails}.',
+        'The problem is as follows: {issueDetails}.'
+      ],
+      resolution: ['I request a fair resolution of this matter.']
+    }
+  },
+  hi: {
+    'Product Quality Issue': {
+      issue: [
+        '{issueDate} को पता चला कि उत्पाद में खराबी है: {issueDetails}।',
+        'प्राप्त उत्पाद में खराबी है: {issueDetails}।',
+        'प्राप्त उत्पाद खराब है और वादे के अनुसार गुणवत्ता का नहीं है।'
+      ],
+      resolution: [
+        'अनुरोध है कि उत्पाद बदला जाए या {amount} की पूरी राशि वापस की जाए।',
+        'अनुरोध है कि उत्पाद बदला जाए या पूरी राशि वापस की जाए।'
+      ]
+    },
+    'Service Issue': {
+      issue: [
+        '{issueDate} को सेवा में कमी सामने आई: {issueDetails}।',
+        'सेवा में कमी रही है: {issueDetails}।',
+        'विक्रेता द्वारा दी गई सेवा में कमी रही है।'
+      ],
+      resolution: ['अनुरोध है कि सेवा में इस कमी को बिना और देरी के दूर किया जाए।']
+    },
+    'Delivery Issue': {
+      issue: [
+        '{issueDate} तक ऑर्डर की डिलीवरी ठीक से नहीं हुई है: {issueDetails}।',
+        'इस ऑर्डर की डिलीवरी में समस्या है: {issueDetails}।',
+        'ऑर्डर की डिलीवरी वादे के अनुसार नहीं हुई है।'
+      ],
+      resolution: [
+        'अनुरोध है कि ऑर्डर की तुरंत डिलीवरी की जाए या {amount} की पूरी राशि वापस की जाए।',
+        'अनुरोध है कि ऑर्डर की तुरंत डिलीवरी की जाए या पूरी राशि वापस की जाए।'
+      ]
+    },
+    'Refund Issue': {
+      issue: [
+        '{issueDate} को रिफंड का अनुरोध किया गया था, परंतु राशि अभी तक प्राप्त नहीं हुई है: {issueDetails}।',
+        '{issueDate} को रिफंड का अनुरोध किया गया था, परंतु राशि अभी तक प्राप्त नहीं हुई है।',
+        'देय रिफंड अभी तक प्राप्त नहीं हुआ है: {issueDetails}।',
+        'देय रिफंड अभी तक प्राप्त नहीं हुआ है।'
+      ],
+      resolution: [
+        'अनुरोध है कि {amount} की राशि शीघ्र वापस की जाए।',
+        'अनुरोध है कि रिफंड की राशि शीघ्र वापस की जाए।'
+      ]
+    },
+    default: {
+      issue: [
+        '{issueDate} को निम्नलिखित समस्या उत्पन्न हुई: {issueDetails}।',
+        'समस्या इस प्रकार है: {issueDetails}।'
+      ],
+      resolution: ['अनुरोध है कि इस मामले का उचित समाधान किया जाए।']
+    }
+  }
+};
+
+// Sentences shared by every nature of grievance; {issue}/{resolution} come from NATURE_TEMPLATES
+const NARRATIVE_TEMPLATES = {
+  en: [
+    [
+      'I wish to register a formal grievance against {seller} regarding an order placed through {platform}.',
+      'I wish to register a formal grievance against {seller} regarding an online order.',
+      'I wish to register a formal grievance regarding an order placed through {platform}.',
+      'I wish to register a formal grievance regarding an online order.'
+    ],
+    [
+      'On {orderDate}, I purchased {productName} (Order ID: {orderId}) for {amount}.',
+      'I purchased {productName} (Order ID: {orderId}) for {amount}.',
+      'I purchased {productName} (Order ID: {orderId}).',
+      'I purchased {productName}.'
+    ],
+    ['The order was delivered on {deliveryDate}.'],
+    '{issue}',
+    ['The seller had promised {promise}, but this commitment has not been honoured.'],
+    '{resolution}',
+    ['I request your intervention to resolve this matter under the Consumer Protection Act, 2019.']
+  ],
+  hi: [
+    [
+      'यह शिकायत {platform} के माध्यम से {seller} से किए गए ऑर्डर के संबंध में दर्ज की जा रही है।',
+      'यह शिकायत {seller} से किए गए ऑनलाइन ऑर्डर के संबंध में दर्ज की जा रही है।',
+      'यह शिकायत {platform} के माध्यम से किए गए ऑर्डर के संबंध में दर्ज की जा रही है।',
+      'यह शिकायत एक ऑनलाइन ऑर्डर के संबंध में दर्ज की जा रही है।'
+    ],
+    [
+      '{orderDate} को {productName} (ऑर्डर आईडी: {orderId}) {amount} में खरीदा गया था।',
+      '{productName} (ऑर्डर आईडी: {orderId}) {amount} में खरीदा गया था।',
+      '{productName} (ऑर्डर आईडी: {orderId}) खरीदा गया था।',
+      '{productName} खरीदा गया था।'
+    ],
+    ['ऑर्डर की डिलीवरी {deliveryDate} को हुई थी।'],
+    '{issue}',
+    ['विक्रेता ने {promise} का वादा किया था, परंतु यह वादा पूरा नहीं किया गया।'],
+    '{resolution}',
+    ['कृपया उपभोक्ता संरक्षण अधिनियम, 2019 के अंतर्गत इस मामले में हस्तक्षेप कर उचित समाधान दिलाएँ।']
+  ]
+};
+
+/**
+ * Build the complaint description
+ * order: saved order (ML keys or popup form keys); facts: { natureOfGrievance, issueDate, issueDetails, promise }
+ */
+export function buildComplaintNarrative(order = {}, facts = {}, language = 'en') {
+  const lang = NARRATIVE_TEMPLATES[language] ? language : 'en';
+  const values = getNarrativeValues(order, facts, lang);
+  const nature = NATURE_TEMPLATES[lang][facts.natureOfGrievance] || NATURE_TEMPLATES[lang].default;
+
+  return NARRATIVE_TEMPLATES[lang]
+    .map(sentence => {
+      if (sentence === '{issue}') return fillFirst(nature.issue, values);
+      if (sentence === '{resolution}') return fillFirst(nature.resolution, values);
+      return fillFirst(sentence, values);
+    })
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Placeholder values from the order and the user's facts
+ */
+function getNarrativeValues(order, facts, lang) {
+  const { dateLocale } = NARRATIVE_LANGUAGES[lang];
+
+  return {
+    seller: order.sellerName || order.company || '',
+    platform: getPlatform(order.sourceUrl || order.url),
+    productName: order.productName || '',
+    orderId: order.orderId || '',
+    amount: order.productValue || order.price || '',
+    orderDate: formatDate(order.orderDate, dateLocale),
+    deliveryDate: formatDate(order.deliveryDate, dateLocale),
+    issueDate: formatDate(facts.issueDate, dateLocale),
+    issueDetails: trimSentence(facts.issueDetails),
+    promise: trimSentence(facts.promise)
+  };
+}
+
+/**
+ * Fill the first template variant whose placeholders all have values
+ */
+function fillFirst(variants, values) {
+  for (const template of variants) {
+    const placeholders = [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]);
+    if (placeholders.every(name => values[name])) {
+      return template.replace(/\{(\w+)\}/g, (match, name) => values[name]);
+    }
+  }
+  return '';
+}
+
+function getPlatform(url) {
+  try {
+    return url ? new URL(url).hostname.replace(/^www\./, '') : '';
+  } catch (error) {
+    return '';
+  }
+}
+
+// ISO dates read as "12 March 2024" / "12 मार्च 2024"; anything else is used as typed
+function formatDate(value, locale) {
+  if (!value) return '';
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return value;
+
+  const date = new Date(`${value.slice(0, 10)}T00:00:00`);
+  return isNaN(date) ? value : date.toLocaleDateString(locale, { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// User text goes mid-sentence, so drop its own closing punctuation
+function trimSentence(text) {
+  return (text || '').trim().replace(/[.।!]+$/, '');
+}
+
+export default {
+  NARRATIVE_LANGUAGES,
+  buildComplaintNarrative
+};
@@ -0,0 +1,191 @@
+/**
+ * AutoComplaint - Date Normalization
+ * Parses the date strings found on order pages into ISO dates and labels each
+ * one (ordered, shipped, delivered, ...) from the words around it.
+ * Numeric dates are read day-first unless the page locale says otherwise,
+ * since Indian shops and portals use DD/MM/YYYY.
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+// Date shapes seen on order pages; the year is optional on "Delivered 3 Mar" style text
+const DATE_PATTERNS = [
+  { format: 'iso', pattern: /\b(\d{4})-(\d{2})-(\d{2})(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?\b/ },
+  { format: 'numeric', pattern: /\b(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})\b/ },
+  { format: 'day-month', pattern: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+${MONTH_NAME},?(?:\\s+(\\d{4}))?\\b`, 'i') },
+  { format: 'month-day', pattern: new RegExp(`\\b${MONTH_NAME}\\s+(\\d{1,2})(?:st|nd|rd|th)?,?(?:\\s+(\\d{4}))?\\b`, 'i') }
+];
+
+// Words that tell what a date means, checked closest-first in the text before it
+export const DATE_LABELS = {
+  'refund-initiated': /refund(?:ed)?(?:\s+(?:initiated|processed|issued|credited|completed))?/gi,
+  'return-window-ends': /return\s+(?:window|policy|eligible|by|till|until|closes?|closed|ends?)|returnable\s+(?:till|until)|exchange\s+(?:window|by|till)/gi,
+  delivered: /delivered|delivery|arriving|arrives?|expected\s+by|received/gi,
+  shipped: /shipped|dispatched|in\s+transit|out\s+for\s+delivery/gi,
+  ordered: /ordered|order\s+(?:placed|date|on)|placed\s+on|purchased?|invoice\s+date|booked|order/gi
+};
+
+const LABEL_WINDOW = 50;
+
+// Domains and locales that write numeric dates month-first
+const MONTH_FIRST_LOCALES = ['en-us', 'en-ph', 'en-ca'];
+const MONTH_FIRST_DOMAINS = ['.us', 'walmart.com', 'target.com', 'bestbuy.com'];
+
+/**
+ * Decide whether numeric dates on this page are day-first or month-first,
+ * and whether a locale or domain hint backed it or it is the DD/MM default
+ */
+function resolveDateOrder({ locale = '', domain = '' } = {}) {
+  const lang = (locale || '').toLowerCase();
+  const host = (domain || '').toLowerCase();
+
+  if (lang.endsWith('-in') || host.endsWith('.in')) return { order: 'DMY', hinted: true };
+  if (MONTH_FIRST_LOCALES.includes(lang)) return { order: 'MDY', hinted: true };
+  if (MONTH_FIRST_DOMAINS.some(suffix => host.endsWith(suffix))) return { order: 'MDY', hinted: true };
+  // Any other regional locale (en-GB, hi, ...) writes the day first
+  return { order: 'DMY', hinted: lang.includes('-') || lang === 'hi' };
+}
+
+/**
+ * Parse a raw date string into { iso, raw, format, ambiguous, yearInferred }
+ * Returns null for anything that is not a real calendar date
+ */
+export function normalizeDate(raw, hints = {}) {
+  if (!raw || typeof raw !== 'string') return null;
+
+  for (const { format, pattern } of DATE_PATTERNS) {
+    const match = raw.match(pattern);
+    if (!match) continue;
+
+    const parsed = readDateParts(format, match, hints);
+    if (parsed) return { raw: match[0], ...parsed };
+  }
+
+  return null;
+}
+
+/**
+ * Find every date in the page text, normalized and labelled from nearby words
+ */
+export function findDates(text, hints = {}) {
+  if (!text) return [];
+
+  const combined = new RegExp(DATE_PATTERNS.map(({ pattern }) => `(?:${pattern.source})`).join('|'), 'gi');
+  const matches = [...text.matchAll(combined)];
+
+  // Year-less dates ("Delivered 3 Mar") belong near the latest full date on the page
+  const fullDates = matches
+    .map(match => normalizeDate(match[0], hints))
+    .filter(date => date && !date.yearInferred)
+    .map(date => new Date(`${date.iso}T00:00:00`));
+  const referenceDate = fullDates.length > 0 ? new Date(Math.max(...fullDates)) : hints.referenceDate;
+
+  const dates = [];
+  for (const match of matches) {
+    const normalized = normalizeDate(match[0], { ...hints, referenceDate });
+    if (!normalized) continue;
+
+    dates.push({
+      ...normalized,
+      index: match.index,
+      label: labelDate(text, match.index)
+    });
+  }
+
+  return dates;
+}
+
+/**
+ * Label a date from the closest label word before it on the same stretch of text
+ */
+function labelDate(text, index) {
+  const before = text.substring(Math.max(0, index - LABEL_WINDOW), index);
+  let best = null;
+
+  for (const [label, pattern] of Object.entries(DATE_LABELS)) {
+    for (const match of before.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      // Later (closer) matches win; on a tie the more specific label listed first stays
+      if (!best || end > best.end) best = { label, end };
+    }
+  }
+
+  return best ? best.label : null;
+}
+
+function readDateParts(format, match, hints) {
+  let day;
+  let month;
+  let year;
+  let ambiguous = false;
+  let yearInferred = false;
+
+  if (format === 'iso') {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else if (format === 'numeric') {
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    year = Number(match[3]);
+    if (match[3].length === 2) year += 2000;
+
+    // A part above 12 settles the order; otherwise fall back to the page hint
+    if (first > 12) {
+      [day, month] = [first, second];
+    } else if (second > 12) {
+      [day, month] = [second, first];
+    } else {
+      const { order, hinted } = resolveDateOrder(hints);
+      ambiguous = first !== second && !hinted;
+      [day, month] = order === 'MDY' ? [second, first] : [first, second];
+    }
+  } else {
+    const dayFirst = format === 'day-month';
+    day = Number(match[dayFirst ? 1 : 2]);
+    month = MONTHS[match[dayFirst ? 2 : 1].toLowerCase().slice(0, 3)];
+    year = Number(match[3]);
+    if (!year) {
+      year = inferYear(month, day, hints.referenceDate);
+      yearInferred = true;
+    }
+  }
+
+  if (!isValidDate(year, month, day)) return null;
+
+  return {
+    iso: `${year}-${pad(month)}-${pad(day)}`,
+    format,
+    ambiguous,
+    yearInferred
+  };
+}
+
+/**
+ * Year-less dates are recent: this year, unless that puts them months in the future
+ */
+function inferYear(month, day, referenceDate = new Date()) {
+  const year = referenceDate.getFullYear();
+  const candidate = new Date(year, month - 1, day);
+  const sixtyDays = 60 * 24 * 60 * 60 * 1000;
+  return candidate - referenceDate > sixtyDays ? year - 1 : year;
+}
+
+function isValidDate(year, month, day) {
+  if (!year || !month || !day || year < 1990 || year > 2100) return false;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+export default {
+  DATE_LABELS,
+  normalizeDate,
+  findDates
+};
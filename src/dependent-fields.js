@@ -0,0 +1,165 @@
+/**
+ * AutoComplaint - Dependent (Cascading) Dropdowns
+ * Portal selects whose options load only after a parent is chosen
+ * (State → City, Sector → Category → Company). The filler sets the parent,
+ * waits for the child's options to change, then matches the child value.
+ */
+
+// Child field → the field whose choice loads its options
+// (NCH defaults; portal definitions can declare their own with dependsOn)
+export const FIELD_DEPENDENCIES = {
+  purchaseCity: 'state',
+  category: 'sectorIndustry',
+  company: 'category'
+};
+
+const DEPENDENCY_CONFIG = {
+  TIMEOUT: 8000,     // Longest wait for a child's options after its parent changes
+  SETTLE_DELAY: 150  // Options often arrive in several mutations - wait for them to stop
+};
+
+/**
+ * Order fields so every parent comes before the fields that depend on it
+ */
+export function orderByDependencies(fields, dependencies = FIELD_DEPENDENCIES) {
+  const ordered = [];
+  const visit = (field, path = []) => {
+    if (ordered.includes(field) || path.includes(field)) return;
+    const parent = dependencies[field];
+    if (parent && fields.includes(parent)) visit(parent, [...path, field]);
+    ordered.push(field);
+  };
+
+  fields.forEach(field => visit(field));
+  return ordered;
+}
+
+/**
+ * Fingerprint of a select's current options; other elements have none
+ */
+export function getOptionsSignature(element) {
+  if (!element || element.tagName !== 'SELECT') return null;
+  return [...element.options].map(option => `${option.value}:${option.text}`).join('|');
+}
+
+/**
+ * Wait until the element found by getElement has options different from previousSignature
+ * getElement is called again on every check, since portals often re-render the whole select.
+ * Resolves { loaded, waitedMs } - never rejects.
+ */
+export function waitForOptionsChange(getElement, previousSignature, timeout = DEPENDENCY_CONFIG.TIMEOUT) {
+  const started = Date.now();
+
+  return new Promise(resolve => {
+    let settleTimer = null;
+    let finished = false;
+
+    const finish = (loaded) => {
+      if (finished) return;
+      finished = true;
+      observer.disconnect();
+      clearTimeout(timeoutTimer);
+      clearTimeout(settleTimer);
+      resolve({ loaded, waitedMs: Date.now() - started });
+    };
+
+    const hasNewOptions = () => {
+      const element = getElement();
+      if (!element || element.tagName !== 'SELECT' || element.disabled) return false;
+      const signature = getOptionsSignature(element);
+      // Only a placeholder ("Select City") means nothing has loaded yet
+      return signature !== previousSignature && element.options.length > 1;
+    };
+
+    const check = () => {
+      clearTimeout(settleTimer);
+      if (hasNewOptions()) settleTimer = setTimeout(() => finish(hasNewOptions()), DEPENDENCY_CONFIG.SETTLE_DELAY);
+    };
+
+    const observer = new MutationObserver(check);
+    const timeoutTimer = setTimeout(() => finish(false), timeout);
+
+    observer.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['disabled']
+    });
+    check();
+  });
+}
+
+/**
+ * Track parent fills during one form fill and hold back children until their options load
+ * findElement(field) returns the portal element currently used for a field
+ */
+export function createDependencyTracker(findElement, {
+  timeout = DEPENDENCY_CONFIG.TIMEOUT,
+  dependencies = FIELD_DEPENDENCIES
+} = {}) {
+  const snapshots = {};
+  const pending = {};
+  const unloaded = [];
+
+  return {
+    // Call before filling a field: remember its children's options and its own value
+    beforeFill(field) {
+      Object.entries(dependencies)
+        .filter(([, parent]) => parent === field)
+        .forEach(([child]) => {
+          snapshots[child] = getOptionsSignature(findElement(child));
+        });
+      const element = findElement(field);
+      return element ? element.value : undefined;
+    },
+
+    // Call after a successful fill; children wait only if the parent's value really changed
+    afterFill(field, previousValue) {
+      const element = findElement(field);
+      if (!element || element.value === previousValue) return;
+
+      Object.entries(dependencies)
+        .filter(([, parent]) => parent === field)
+        .forEach(([child]) => {
+          pending[child] = { parent: field, signature: snapshots[child] };
+        });
+    },
+
+    // Call before filling a field; returns a failed fill result if its options never loaded
+    async waitFor(field) {
+      const dependency = pending[field];
+      if (!dependency) return null;
+      delete pending[field];
+
+      const element = findElement(field);
+      if (element && element.tagName !== 'SELECT') return null;
+
+      const { loaded, waitedMs } = await waitForOptionsChange(() => findElement(field), dependency.signature, timeout);
+      if (loaded) {
+        console.log(`🔗 DEPENDENT FIELD - ${field} options loaded ${waitedMs}ms after ${dependency.parent} was set`);
+        return null;
+      }
+
+      console.warn(`⚠️ DEPENDENT FIELD - ${field} options never loaded after ${dependency.parent} was set (waited ${waitedMs}ms)`);
+      unloaded.push({ field, parent: dependency.parent, waitedMs });
+      return {
+        success: false,
+        reason: `Options for ${field} did not load within ${Math.round(waitedMs / 1000)}s after ${dependency.parent} was selected`,
+        dependency: { parent: dependency.parent, loaded: false, waitedMs }
+      };
+    },
+
+    // Dependencies that timed out during this fill
+    getUnloaded() {
+      return [...unloaded];
+    }
+  };
+}
+
+export default {
+  FIELD_DEPENDENCIES,
+  orderByDependencies,
+  getOptionsSignature,
+  waitForOptionsChange,
+  createDependencyTracker
+};
@@ -1,47 +1,136 @@
 /**
  * DistilBERT MNLI Order Page Classifier for Chrome Extension
- * Uses @xenova/transformers for real ML classification
+ * Uses @xenova/transformers for real zero-shot NLI classification, with a
+ * keyword heuristic as fallback when the bundled model cannot be loaded
  */
 
+import { pipeline, env } from '@xenova/transformers';
+
+// Zero-shot NLI configuration - model files ship inside the extension under models/
+const NLI_CONFIG = {
+  MODEL_NAME: 'Xenova/distilbert-base-uncased-mnli',
+  LOCAL_MODEL_PATH: 'models/',
+  WASM_PATH: 'models/wasm/',
+  QUANTIZED: true,
+  HYPOTHESIS_TEMPLATE: 'This is {}.',
+  // Hypotheses that mean "this page describes an order we can complain about"
+  ORDER_LABELS: [
+    'an order details page',
+    'an order confirmation page',
+    'an order tracking or delivery status page'
+  ],
+  // Competing hypotheses - listing and product pages mention "price" and "total" too
+  NON_ORDER_LABELS: [
+    'a product listing or search results page',
+    'a product description page',
+    'a shopping cart or checkout page',
+    'a general website page'
+  ],
+  ORDER_THRESHOLD: 0.5,
+  MAX_INPUT_CHARS: 1500
+};
+
+// Backends that can answer a classification request
+const BACKENDS = {
+  NLI: 'transformers-zero-shot-nli',
+  KEYWORD: 'keyword-heuristic'
+};
+
+/**
+ * Resolve a path inside the extension package (falls back to a site-relative path in test pages)
+ */
+function resolveExtensionPath(path) {
+  if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.getURL) {
+    return chrome.runtime.getURL(path);
+  }
+  return `/${path}`;
+}
+
 class DistilBERTMNLIClassifier {
   constructor() {
     this.isLoaded = false;
     this.classifier = null;
-    // Use a browser-compatible model for sentiment analysis
-    this.modelName = 'Xenova/distilbert-base-uncased-finetuned-sst-2-english';
+    this.backend = null;
+    this.loadError = null;
+    this.loadingPromise = null;
+    this.modelName = NLI_CONFIG.MODEL_NAME;
     this.cache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
   }
 
   /**
-   * Load the DistilBERT model for classification
+   * Load the zero-shot NLI pipeline from the bundled model files,
+   * falling back to the keyword heuristic when loading fails
    */
   async loadModel() {
     if (this.isLoaded && this.classifier) {
       return true;
     }
 
+    // Several callers may ask for the model at once - share one load
+    if (!this.loadingPromise) {
+      this.loadingPromise = this.loadBackend().finally(() => {
+        this.loadingPromise = null;
+      });
+    }
+
+    return this.loadingPromise;
+  }
+
+  /**
+   * Try the NLI backend first, then the keyword heuristic
+   */
+  async loadBackend() {
     try {
-      console.log('🔄 Loading DistilBERT model...');
-      
-      // Use a fallback approach for Chrome extensions
-      // Create a simplified but effective classifier
-      this.classifier = await this.createSentimentClassifier();
-      
+      console.log('🔄 Loading DistilBERT MNLI zero-shot pipeline...');
+      this.classifier = await this.createNLIClassifier();
+      this.backend = BACKENDS.NLI;
+      this.loadError = null;
       this.isLoaded = true;
-      console.log('✅ DistilBERT-inspired model loaded successfully');
+      console.log('✅ DistilBERT MNLI zero-shot pipeline loaded from', resolveExtensionPath(NLI_CONFIG.LOCAL_MODEL_PATH));
       return true;
-      
+
+    } catch (error) {
+      console.warn('⚠️ DistilBERT MNLI pipeline unavailable, falling back to keyword heuristic:', error.message);
+      this.loadError = error.message;
+    }
+
+    try {
+      this.classifier = await this.createKeywordClassifier();
+      this.backend = BACKENDS.KEYWORD;
+      this.isLoaded = true;
+      console.log('✅ Keyword heuristic classifier loaded');
+      return true;
+
     } catch (error) {
-      console.error('❌ Failed to load DistilBERT model:', error);
+      console.error('❌ Failed to load any classifier backend:', error);
       throw new Error(`DistilBERT model loading failed: ${error.message}`);
     }
   }
 
   /**
-   * Create a sentiment-based classifier that works reliably in Chrome extensions
+   * Create the zero-shot classification pipeline using local ONNX weights only
    */
-  async createSentimentClassifier() {
+  async createNLIClassifier() {
+    // Never reach out to the Hugging Face hub - everything must come from the extension package
+    env.allowRemoteModels = false;
+    env.allowLocalModels = true;
+    env.useBrowserCache = false;
+    env.localModelPath = resolveExtensionPath(NLI_CONFIG.LOCAL_MODEL_PATH);
+
+    // Content scripts cannot spawn the threaded WASM workers, so run single-threaded
+    env.backends.onnx.wasm.wasmPaths = resolveExtensionPath(NLI_CONFIG.WASM_PATH);
+    env.backends.onnx.wasm.numThreads = 1;
+
+    return pipeline('zero-shot-classification', NLI_CONFIG.MODEL_NAME, {
+      quantized: NLI_CONFIG.QUANTIZED
+    });
+  }
+
+  /**
+   * Create the keyword heuristic used when the NLI model cannot be loaded
+   */
+  async createKeywordClassifier() {
     return (text) => {
       // Advanced keyword and pattern analysis
       const orderKeywords = [
@@ -98,7 +187,14 @@ class DistilBERTMNLIClassifier {
   }
 
   /**
-   * Classify text using DistilBERT sentiment analysis adapted for order detection
+   * Name reported in results for the backend currently answering
+   */
+  getMethodName() {
+    return this.backend === BACKENDS.NLI ? 'distilbert-mnli-zero-shot' : 'keyword-heuristic';
+  }
+
+  /**
+   * Classify text as order / non-order page using whichever backend is loaded
    */
   async classify(text) {
     if (!this.isLoaded) {
@@ -117,7 +213,8 @@ class DistilBERTMNLIClassifier {
       return {
         isOrder: false,
         confidence: 0,
-        method: 'distilbert-sentiment-adapted',
+        method: this.getMethodName(),
+        backend: this.backend,
         topLabel: 'non-order page',
         allPredictions: [
           { label: 'non-order page', score: 1.0 },
@@ -125,9 +222,6 @@ class DistilBERTMNLIClassifier {
         ],
         details: {
           model: this.modelName,
-          keywordMatches: 0,
-          keywordConfidence: 0,
-          sentimentResult: [{ label: 'NEGATIVE', score: 1.0 }],
           timestamp: new Date().toISOString(),
           error: 'Invalid or empty text input'
         }
@@ -142,6 +236,7 @@ class DistilBERTMNLIClassifier {
     }
 
     console.log('🔍 CLASSIFICATION DEBUG - Input text length:', text.length);
+    console.log('🔍 CLASSIFICATION DEBUG - Backend:', this.backend);
     console.log('🔍 CLASSIFICATION DEBUG - First 200 chars:', text.slice(0, 200));
 
     // Check cache first
@@ -155,60 +250,9 @@ class DistilBERTMNLIClassifier {
     }
 
     try {
-      // Use sentiment analysis on order-related keywords
-      const orderKeywords = [
-        'order', 'purchase', 'buy', 'transaction', 'invoice', 'receipt', 
-        'confirmed', 'shipped', 'delivered', 'payment', 'total', 'amount',
-        'order id', 'order number', 'tracking', 'quantity'
-      ];
-      
-      // Count order-related keywords in text
-      const textLower = text.toLowerCase();
-      const foundKeywords = orderKeywords.filter(keyword => 
-        textLower.includes(keyword)
-      );
-      const keywordMatches = foundKeywords.length;
-      
-      console.log('🔍 CLASSIFICATION DEBUG - Found keywords:', foundKeywords);
-      console.log('🔍 CLASSIFICATION DEBUG - Keyword matches:', keywordMatches);
-      
-      // Analyze sentiment of the text
-      const sentimentResult = await this.classifier(text);
-      console.log('🔍 CLASSIFICATION DEBUG - Sentiment result:', sentimentResult);
-      
-      // Combine keyword analysis with sentiment for order detection
-      const keywordConfidence = Math.min(keywordMatches / 5, 1.0); // Normalize to 0-1
-      const sentimentConfidence = sentimentResult[0].score;
-      
-      console.log('🔍 CLASSIFICATION DEBUG - Keyword confidence:', keywordConfidence.toFixed(3));
-      console.log('🔍 CLASSIFICATION DEBUG - Sentiment confidence:', sentimentConfidence.toFixed(3));
-      
-      // Order pages typically have positive sentiment and order keywords
-      const combinedConfidence = (keywordConfidence * 0.7) + (sentimentConfidence * 0.3);
-      const isOrder = keywordMatches >= 2 && combinedConfidence > 0.6;
-
-      console.log('🔍 CLASSIFICATION DEBUG - Combined confidence:', combinedConfidence.toFixed(3));
-      console.log('🔍 CLASSIFICATION DEBUG - Is order page?', isOrder);
-      console.log('🔍 CLASSIFICATION DEBUG - Decision logic: keywordMatches >= 2 && combinedConfidence > 0.6');
-      console.log('🔍 CLASSIFICATION DEBUG - Actual: keywordMatches =', keywordMatches, ', combinedConfidence =', combinedConfidence.toFixed(3));
-
-      const classificationResult = {
-        isOrder,
-        confidence: combinedConfidence,
-        method: 'distilbert-sentiment-adapted',
-        topLabel: isOrder ? 'order page' : 'non-order page',
-        allPredictions: [
-          { label: 'order page', score: combinedConfidence },
-          { label: 'non-order page', score: 1 - combinedConfidence }
-        ],
-        details: {
-          model: this.modelName,
-          keywordMatches: keywordMatches,
-          keywordConfidence: keywordConfidence,
-          sentimentResult: sentimentResult,
-          timestamp: new Date().toISOString()
-        }
-      };
+      const classificationResult = this.backend === BACKENDS.NLI
+        ? await this.classifyWithNLI(text)
+        : await this.classifyWithKeywords(text);
 
       // Cache the result
       this.cache.set(cacheKey, {
@@ -217,10 +261,10 @@ class DistilBERTMNLIClassifier {
       });
 
       console.log('🤖 DistilBERT classification:', {
-        isOrder,
-        confidence: combinedConfidence.toFixed(3),
-        keywordMatches,
-        sentiment: sentimentResult[0].label
+        isOrder: classificationResult.isOrder,
+        confidence: classificationResult.confidence.toFixed(3),
+        topLabel: classificationResult.topLabel,
+        backend: classificationResult.backend
       });
 
       return classificationResult;
@@ -231,6 +275,101 @@ class DistilBERTMNLIClassifier {
     }
   }
 
+  /**
+   * Zero-shot NLI classification against order / non-order page hypotheses
+   */
+  async classifyWithNLI(text) {
+    const candidateLabels = [...NLI_CONFIG.ORDER_LABELS, ...NLI_CONFIG.NON_ORDER_LABELS];
+    const output = await this.classifier(text.slice(0, NLI_CONFIG.MAX_INPUT_CHARS), candidateLabels, {
+      hypothesis_template: NLI_CONFIG.HYPOTHESIS_TEMPLATE,
+      multi_label: false
+    });
+
+    const allPredictions = output.labels.map((label, index) => ({
+      label,
+      score: output.scores[index]
+    }));
+
+    // Order probability is the mass on all order hypotheses combined
+    const confidence = allPredictions
+      .filter(prediction => NLI_CONFIG.ORDER_LABELS.includes(prediction.label))
+      .reduce((sum, prediction) => sum + prediction.score, 0);
+    const topLabel = allPredictions[0].label;
+    const isOrder = NLI_CONFIG.ORDER_LABELS.includes(topLabel) && confidence >= NLI_CONFIG.ORDER_THRESHOLD;
+
+    console.log('🔍 CLASSIFICATION DEBUG - NLI predictions:', allPredictions);
+    console.log('🔍 CLASSIFICATION DEBUG - Order probability:', confidence.toFixed(3));
+
+    return {
+      isOrder,
+      confidence,
+      method: this.getMethodName(),
+      backend: BACKENDS.NLI,
+      topLabel,
+      allPredictions,
+      details: {
+        model: this.modelName,
+        hypothesisTemplate: NLI_CONFIG.HYPOTHESIS_TEMPLATE,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Keyword heuristic classification (fallback backend)
+   */
+  async classifyWithKeywords(text) {
+    const orderKeywords = [
+      'order', 'purchase', 'buy', 'transaction', 'invoice', 'receipt', 
+      'confirmed', 'shipped', 'delivered', 'payment', 'total', 'amount',
+      'order id', 'order number', 'tracking', 'quantity'
+    ];
+    
+    // Count order-related keywords in text
+    const textLower = text.toLowerCase();
+    const foundKeywords = orderKeywords.filter(keyword => 
+      textLower.includes(keyword)
+    );
+    const keywordMatches = foundKeywords.length;
+    
+    console.log('🔍 CLASSIFICATION DEBUG - Found keywords:', foundKeywords);
+    console.log('🔍 CLASSIFICATION DEBUG - Keyword matches:', keywordMatches);
+    
+    // Score the text with the keyword/pattern heuristic
+    const sentimentResult = await this.classifier(text);
+    console.log('🔍 CLASSIFICATION DEBUG - Heuristic result:', sentimentResult);
+    
+    // Combine keyword analysis with the heuristic score
+    const keywordConfidence = Math.min(keywordMatches / 5, 1.0); // Normalize to 0-1
+    const sentimentConfidence = sentimentResult[0].score;
+    
+    const combinedConfidence = (keywordConfidence * 0.7) + (sentimentConfidence * 0.3);
+    const isOrder = keywordMatches >= 2 && combinedConfidence > 0.6;
+
+    console.log('🔍 CLASSIFICATION DEBUG - Combined confidence:', combinedConfidence.toFixed(3));
+    console.log('🔍 CLASSIFICATION DEBUG - Decision logic: keywordMatches >= 2 && combinedConfidence > 0.6');
+
+    return {
+      isOrder,
+      confidence: combinedConfidence,
+      method: this.getMethodName(),
+      backend: BACKENDS.KEYWORD,
+      topLabel: isOrder ? 'order page' : 'non-order page',
+      allPredictions: [
+        { label: 'order page', score: combinedConfidence },
+        { label: 'non-order page', score: 1 - combinedConfidence }
+      ],
+      details: {
+        model: this.modelName,
+        keywordMatches: keywordMatches,
+        keywordConfidence: keywordConfidence,
+        sentimentResult: sentimentResult,
+        fallbackReason: this.loadError,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
   /**
    * Classify the current page content
    */
@@ -266,7 +405,25 @@ class DistilBERTMNLIClassifier {
     ];
 
     try {
-      // Use the main classify method which works with sentiment analysis
+      // With the NLI pipeline loaded the custom labels are real hypotheses
+      if (this.backend === BACKENDS.NLI && text && text.trim()) {
+        const output = await this.classifier(text.trim().slice(0, NLI_CONFIG.MAX_INPUT_CHARS), labels, {
+          hypothesis_template: NLI_CONFIG.HYPOTHESIS_TEMPLATE,
+          multi_label: false
+        });
+        const topLabel = output.labels[0];
+
+        return {
+          isOrder: /order|tracking|invoice|receipt/i.test(topLabel),
+          confidence: output.scores[0],
+          method: 'distilbert-mnli-zero-shot-custom',
+          backend: BACKENDS.NLI,
+          topLabel,
+          allPredictions: output.labels.map((label, index) => ({ label, score: output.scores[index] }))
+        };
+      }
+
+      // Keyword backend: map the binary order decision onto the custom labels
       const result = await this.classify(text);
       
       // Map the result to custom labels based on order detection
@@ -288,7 +445,8 @@ class DistilBERTMNLIClassifier {
       return {
         isOrder: result.isOrder,
         confidence: confidence,
-        method: 'distilbert-sentiment-custom',
+        method: 'keyword-heuristic-custom',
+        backend: result.backend,
         topLabel: bestLabel,
         allPredictions: labels.map(label => {
           const isOrderLabel = label.includes('order') || label.includes('cart') || label.includes('tracking');
@@ -531,10 +689,13 @@ class DistilBERTMNLIClassifier {
    * Get model info
    */
   getModelInfo() {
+    const usingNLI = this.backend === BACKENDS.NLI;
     return {
-      name: 'DistilBERT-Inspired Order Classifier',
-      model: 'advanced-pattern-sentiment-classifier',
-      type: 'keyword-pattern-sentiment-analysis',
+      name: usingNLI ? 'DistilBERT MNLI Zero-Shot Order Classifier' : 'Keyword Heuristic Order Classifier',
+      model: usingNLI ? this.modelName : 'keyword-pattern-heuristic',
+      type: usingNLI ? 'zero-shot-nli' : 'keyword-pattern-analysis',
+      backend: this.backend,
+      fallbackReason: this.loadError,
       loaded: this.isLoaded,
       cacheSize: this.cache.size
     };
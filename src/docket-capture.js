@@ -0,0 +1,75 @@
+/**
+ * AutoComplaint - Docket Number Capture
+ * Watches a grievance portal for its confirmation message and reads the
+ * docket / registration number the portal assigns to the complaint.
+ */
+
+// Label words followed by the number, strongest first
+const DOCKET_PATTERNS = [
+  /docket\s*(?:no\.?|number|#|id)?\s*(?:is\s*)?[:\-]?\s*([A-Z0-9][A-Z0-9\/\-]{4,30})/i,
+  /registration\s*(?:no\.?|number|#|id)\s*(?:is\s*)?[:\-]?\s*([A-Z0-9][A-Z0-9\/\-]{4,30})/i,
+  /(?:grievance|complaint|case)\s*(?:registration\s*)?(?:no\.?|number|#|id)\s*(?:is\s*)?[:\-]?\s*([A-Z0-9][A-Z0-9\/\-]{4,30})/i
+];
+
+// Wording portals use once a complaint has been accepted
+const CONFIRMATION_PATTERN = /(?:successfully\s+(?:registered|submitted|lodged|filed)|has\s+been\s+(?:registered|submitted|lodged)|thank\s+you\s+for\s+(?:registering|submitting|lodging)|acknowledg(?:e)?ment)/i;
+
+const WATCH_TIMEOUT = 10 * 60 * 1000; // Stop watching a page after ten minutes
+
+/**
+ * Find a docket number in confirmation text
+ * Returns null unless the text reads like a confirmation and holds a number-bearing docket
+ */
+export function findDocketNumber(text) {
+  if (!text || !CONFIRMATION_PATTERN.test(text)) return null;
+
+  for (const pattern of DOCKET_PATTERNS) {
+    const match = text.match(pattern);
+    // Real dockets always carry digits; this skips "Docket Number: Pending"
+    if (match && /\d{4,}/.test(match[1])) {
+      return match[1].replace(/[\/\-]+$/, '');
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Watch the page (including SPA confirmation dialogs) and call onFound once
+ * with the docket number. Returns a function that stops watching.
+ */
+export function watchForDocketNumber(onFound, root = document.body) {
+  let done = false;
+  let scheduled = null;
+
+  const check = () => {
+    scheduled = null;
+    if (done) return;
+
+    const docketNumber = findDocketNumber(root.innerText || root.textContent || '');
+    if (docketNumber) {
+      stop();
+      console.log('🧾 DOCKET - Confirmation found with docket number:', docketNumber);
+      onFound(docketNumber);
+    }
+  };
+
+  const observer = new MutationObserver(() => {
+    if (!scheduled) scheduled = setTimeout(check, 500);
+  });
+  const timeout = setTimeout(() => stop(), WATCH_TIMEOUT);
+
+  function stop() {
+    done = true;
+    observer.disconnect();
+    clearTimeout(timeout);
+    if (scheduled) clearTimeout(scheduled);
+  }
+
+  observer.observe(root, { childList: true, subtree: true, characterData: true });
+  check();
+
+  return stop;
+}
+
+export default { findDocketNumber, watchForDocketNumber };
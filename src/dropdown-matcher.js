@@ -0,0 +1,223 @@
+/**
+ * AutoComplaint - Dropdown Matching
+ * Scores portal <select> options (or custom dropdown items) against a value
+ * from the saved order: token similarity with abbreviation and synonym
+ * expansion, acronyms ("Bharat Sanchar Nigam Limited" vs "BSNL") and numeric
+ * ranges for product value bands ("Rs 1 lakh to 10 lakh").
+ */
+
+import { parseMoney } from './money-parser.js';
+
+const MATCH_CONFIG = {
+  MIN_SCORE: 0.5,       // Below this the best option is not trusted
+  FUZZY_TOKEN_RATIO: 0.8,
+  RUNNERS_UP: 3
+};
+
+// Short forms expanded before comparing
+const ABBREVIATIONS = {
+  pvt: 'private', ltd: 'limited', co: 'company', corp: 'corporation', inc: 'incorporated',
+  intl: 'international', govt: 'government', dept: 'department', mfg: 'manufacturing',
+  elec: 'electronics', tech: 'technology', svc: 'services', svcs: 'services',
+  ecom: 'ecommerce', 'e-commerce': 'ecommerce'
+};
+
+// Words that name the same thing; each group maps to its first entry
+const SYNONYM_GROUPS = [
+  ['ecommerce', 'online shopping', 'online retail', 'internet shopping'],
+  ['mobile', 'smartphone', 'cell phone', 'mobile phone', 'handset'],
+  ['electronics', 'electronic goods', 'consumer electronics', 'consumer durables'],
+  ['telecom', 'telecommunication', 'telecommunications'],
+  ['delivery', 'shipping', 'courier', 'logistics'],
+  ['refund', 'money back', 'reimbursement'],
+  ['apparel', 'clothing', 'garments', 'fashion'],
+  ['amazon', 'amazon seller services', 'amazon retail', 'amazon in', 'amazon india'],
+  ['flipkart', 'flipkart internet', 'flipkart india'],
+  ['myntra', 'myntra designs']
+];
+
+// Company boilerplate that should not make two names look alike
+const GENERIC_TOKENS = new Set([
+  'private', 'limited', 'company', 'corporation', 'incorporated', 'llp', 'the',
+  'india', 'services', 'and', 'of', 'pvt', 'ltd'
+]);
+
+const OTHER_OPTION = /\bother(?:s)?\b/i;
+
+/**
+ * Score every option against the value
+ * options: HTMLOptionElement list or [{ text, value }]
+ * Returns { best, runnersUp, matched, otherOption }; best is { index, text, value, score, method }
+ * (null below minScore) and otherOption is the portal's "Other" entry, if any
+ */
+export function matchOption(options, value, { minScore = MATCH_CONFIG.MIN_SCORE } = {}) {
+  const candidates = [...options]
+    .map((option, index) => ({ index, text: (option.text || option.textContent || '').trim(), value: option.value }))
+    .filter(option => option.text && !isPlaceholder(option.text));
+
+  const valueText = String(value == null ? '' : value);
+  const valueMoney = parseMoney(valueText);
+  const scored = candidates
+    .map(option => ({ ...option, ...scoreOption(option.text, valueText, valueMoney) }))
+    .sort((a, b) => b.score - a.score);
+
+  const best = scored[0] && scored[0].score >= minScore ? scored[0] : null;
+  return {
+    best,
+    runnersUp: scored.slice(best ? 1 : 0, (best ? 1 : 0) + MATCH_CONFIG.RUNNERS_UP).map(toSummary),
+    matched: !!best,
+    otherOption: candidates.find(option => OTHER_OPTION.test(option.text)) || null
+  };
+}
+
+/**
+ * Read a numeric band from option text
+ * "Rs 1 lakh to 10 lakh", "Up to Rs. 5,00,000", "Above 1 crore", "20,001 - 50,000"
+ * Returns { min, max } (max Infinity for open bands) or null
+ */
+export function parseValueRange(text) {
+  if (!text || !/\d/.test(text)) return null;
+
+  const amounts = [...text.matchAll(/\d[\d,]*(?:\.\d+)?(?:\s*(?:lakhs?|lacs?|crores?|cr)\b)?/gi)]
+    .map(match => parseMoney(match[0]))
+    .filter(Boolean)
+    .map(money => money.amount);
+  if (amounts.length === 0) return null;
+
+  const lower = text.toLowerCase();
+  if (amounts.length >= 2) {
+    return { min: Math.min(amounts[0], amounts[1]), max: Math.max(amounts[0], amounts[1]) };
+  }
+  if (/\b(?:up\s*to|upto|below|less\s+than|under|within|not\s+exceeding)\b/.test(lower)) {
+    return { min: 0, max: amounts[0] };
+  }
+  if (/\b(?:above|over|more\s+than|exceeding|greater\s+than)\b|\+/.test(lower)) {
+    return { min: amounts[0], max: Infinity };
+  }
+  return null;
+}
+
+/**
+ * Score one option: range match for amounts, else normalized token similarity
+ */
+function scoreOption(optionText, valueText, valueMoney) {
+  if (valueMoney && /\d/.test(valueText)) {
+    const range = parseValueRange(optionText);
+    if (range) {
+      const inRange = valueMoney.amount >= range.min && valueMoney.amount <= range.max;
+      return { score: inRange ? 1 : 0, method: 'range' };
+    }
+  }
+
+  const optionNorm = normalize(optionText);
+  const valueNorm = normalize(valueText);
+  if (!optionNorm || !valueNorm) return { score: 0, method: 'none' };
+  if (optionNorm === valueNorm) return { score: 1, method: 'exact' };
+
+  const optionTokens = significantTokens(optionNorm);
+  const valueTokens = significantTokens(valueNorm);
+
+  if (isAcronymOf(optionText, valueNorm) || isAcronymOf(valueText, optionNorm)) {
+    return { score: 0.85, method: 'acronym' };
+  }
+
+  const shared = countSharedTokens(optionTokens, valueTokens);
+  if (shared === 0) return { score: 0, method: 'none' };
+
+  // Jaccard for overall likeness; containment so "AMAZON" still matches the long legal name
+  const jaccard = shared / (optionTokens.length + valueTokens.length - shared);
+  const containment = shared / Math.min(optionTokens.length, valueTokens.length);
+  const score = Math.max(jaccard, containment * 0.9);
+
+  return { score: Number(score.toFixed(3)), method: containment === 1 ? 'contains' : 'token' };
+}
+
+/**
+ * Lowercase, expand abbreviations and map synonyms to one canonical phrase
+ */
+function normalize(text) {
+  let normalized = ` ${text.toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9ऀ-ॿ\s-]/g, ' ')
+    .split(/\s+/)
+    .map(token => ABBREVIATIONS[token] || token)
+    .join(' ')} `;
+
+  for (const [canonical, ...synonyms] of SYNONYM_GROUPS) {
+    for (const synonym of synonyms) {
+      normalized = normalized.replace(new RegExp(`\\s${synonym}\\s`, 'g'), ` ${canonical} `);
+    }
+  }
+
+  return normalized.replace(/\s+/g, ' ').trim();
+}
+
+function significantTokens(normalized) {
+  const tokens = normalized.split(' ').filter(token => token && !GENERIC_TOKENS.has(token));
+  // A name made only of boilerplate still needs something to compare
+  return tokens.length > 0 ? tokens : normalized.split(' ');
+}
+
+/**
+ * Count tokens shared by both lists, allowing small spelling differences
+ */
+function countSharedTokens(a, b) {
+  const remaining = [...b];
+  let shared = 0;
+
+  for (const token of a) {
+    const index = remaining.findIndex(other => other === token || isFuzzyTokenMatch(token, other));
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+
+  return shared;
+}
+
+function isFuzzyTokenMatch(a, b) {
+  if (a.length < 4 || b.length < 4) return false;
+  const distance = levenshtein(a, b);
+  return 1 - distance / Math.max(a.length, b.length) >= MATCH_CONFIG.FUZZY_TOKEN_RATIO;
+}
+
+/**
+ * "BSNL" against "bharat sanchar nigam limited"
+ */
+function isAcronymOf(shortText, longNormalized) {
+  const acronym = shortText.replace(/[^A-Za-z]/g, '');
+  if (acronym.length < 2 || acronym.length > 6 || acronym !== acronym.toUpperCase()) return false;
+
+  const initials = longNormalized.split(' ').filter(Boolean).map(token => token[0]).join('');
+  const significantInitials = longNormalized.split(' ')
+    .filter(token => token && !GENERIC_TOKENS.has(token))
+    .map(token => token[0])
+    .join('');
+  const lowerAcronym = acronym.toLowerCase();
+  return initials === lowerAcronym || significantInitials === lowerAcronym;
+}
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function isPlaceholder(text) {
+  return /^(?:--+.*|select\b.*|choose\b.*|please select.*)$/i.test(text.trim());
+}
+
+function toSummary(option) {
+  return { text: option.text, score: option.score, method: option.method };
+}
+
+export default { matchOption, parseValueRange };
@@ -0,0 +1,112 @@
+/**
+ * AutoComplaint - Element Picker
+ * Lets the user point at a form control on the page: the control under the
+ * pointer is outlined, a click picks it and Escape cancels.
+ */
+
+const PICKER_ID = 'autocomplaint-picker';
+const OWN_UI_SELECTOR = '[id^="autocomplaint-"]';
+
+// Picking another element while one pick is running cancels the first
+let cancelActivePick = null;
+
+/**
+ * Wait for the user to click a control
+ * hint: text shown in the banner ("Click the Company field")
+ * accept(element): which elements can be picked (default: input, select, textarea)
+ * Resolves the picked element, or null when cancelled
+ */
+export function pickElement({ hint = 'Click a form field', accept = isFormControl } = {}) {
+  if (cancelActivePick) cancelActivePick();
+
+  return new Promise(resolve => {
+    const outline = document.createElement('div');
+    outline.style.cssText = `
+      position: fixed; z-index: 2147483646; pointer-events: none; display: none;
+      border: 2px solid #1a73e8; background: rgba(26, 115, 232, 0.12); border-radius: 3px;
+    `;
+
+    const banner = document.createElement('div');
+    banner.id = PICKER_ID;
+    banner.style.cssText = `
+      position: fixed; top: 12px; left: 50%; transform: translateX(-50%); z-index: 2147483647;
+      background: #1a73e8; color: white; padding: 10px 16px; border-radius: 6px;
+      font-family: Arial, sans-serif; font-size: 13px; box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+    `;
+    banner.textContent = `${hint} - press Esc to cancel`;
+
+    let hovered = null;
+
+    const targetOf = (event) => {
+      const element = event.target instanceof Element ? event.target.closest('input, select, textarea, [role="combobox"]') || event.target : null;
+      // Our own panels and overlays are never picked
+      if (!element || element.closest(OWN_UI_SELECTOR)) return null;
+      return accept(element) ? element : null;
+    };
+
+    const onMove = (event) => {
+      hovered = targetOf(event);
+      if (!hovered) {
+        outline.style.display = 'none';
+        return;
+      }
+      const rect = hovered.getBoundingClientRect();
+      Object.assign(outline.style, {
+        display: 'block',
+        top: `${rect.top - 2}px`,
+        left: `${rect.left - 2}px`,
+        width: `${rect.width + 4}px`,
+        height: `${rect.height + 4}px`
+      });
+    };
+
+    // Swallow the click so the page does not open a dropdown or submit
+    const onClick = (event) => {
+      const element = targetOf(event);
+      if (!element) return;
+      event.preventDefault();
+      event.stopPropagation();
+      finish(element);
+    };
+
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        finish(null);
+      }
+    };
+
+    function finish(element) {
+      cancelActivePick = null;
+      document.removeEventListener('mousemove', onMove, true);
+      document.removeEventListener('click', onClick, true);
+      document.removeEventListener('keydown', onKeyDown, true);
+      outline.remove();
+      banner.remove();
+      console.log(element ? '👆 PICKER - Element picked' : '👆 PICKER - Cancelled');
+      resolve(element);
+    }
+
+    cancelActivePick = () => finish(null);
+    document.addEventListener('mousemove', onMove, true);
+    document.addEventListener('click', onClick, true);
+    document.addEventListener('keydown', onKeyDown, true);
+    document.body.appendChild(outline);
+    document.body.appendChild(banner);
+  });
+}
+
+/**
+ * Cancel the pick in progress, if any (its promise resolves null)
+ */
+export function cancelPick() {
+  if (cancelActivePick) cancelActivePick();
+}
+
+export function isFormControl(element) {
+  if (element.getAttribute('role') === 'combobox') return true;
+  if (element.tagName === 'INPUT') return !/^(?:hidden|submit|button|reset|image|file)$/i.test(element.type || '');
+  return element.tagName === 'SELECT' || element.tagName === 'TEXTAREA';
+}
+
+export default { pickElement, cancelPick, isFormControl };
@@ -0,0 +1,135 @@
+/**
+ * AutoComplaint - Evidence Capture
+ * Optional evidence bundle for a saved order: a compressed screenshot of the
+ * order page, a sanitized copy of its HTML, the URL and when it was taken.
+ * The bundle is stored alongside the order so it can be attached to the grievance.
+ */
+
+import html2canvas from 'html2canvas';
+import { compressImage } from '../utils/image_compress.js';
+import { saveOrderEvidence } from './order-store.js';
+
+const EVIDENCE_CONFIG = {
+  MAX_SCREENSHOT_HEIGHT: 8000, // Canvas limits - very long pages are cut here
+  MAX_SCREENSHOT_WIDTH: 1600,
+  MAX_SCREENSHOT_MB: 1,
+  SCREENSHOT_QUALITY: 0.7,
+  MAX_HTML_LENGTH: 2 * 1024 * 1024
+};
+
+// Never copied into the HTML snapshot: active content and our own overlays
+const STRIPPED_ELEMENTS = 'script, noscript, iframe, object, embed, template, [id^="autocomplaint-"]';
+
+/**
+ * Capture the evidence bundle for the current page
+ * The screenshot is null when the page cannot be rendered; the HTML is null
+ * when even the stripped-down copy is too large to keep
+ */
+export async function captureEvidence(doc = document) {
+  const url = doc.location ? doc.location.href : window.location.href;
+  const html = sanitizePageHtml(doc, url);
+  const screenshot = await captureScreenshot(doc).catch(error => {
+    console.warn('⚠️ EVIDENCE - Screenshot failed:', error);
+    return null;
+  });
+
+  const bundle = {
+    url,
+    title: doc.title,
+    capturedAt: new Date().toISOString(),
+    screenshot,
+    html
+  };
+  console.log(`📸 EVIDENCE - Captured ${screenshot ? `screenshot (${Math.round(screenshot.bytes / 1024)} KB)` : 'no screenshot'} and ${html ? `HTML (${Math.round(html.length / 1024)} KB)` : 'no HTML'}`);
+  return bundle;
+}
+
+/**
+ * Capture the current page and store it with a saved order
+ * Returns the evidence summary kept on the order
+ */
+export async function captureOrderEvidence(orderId, doc = document) {
+  const bundle = await captureEvidence(doc);
+  const order = await saveOrderEvidence(orderId, bundle);
+  return order.evidence;
+}
+
+/**
+ * Copy of the page's HTML without scripts, event handlers, hidden tokens or
+ * password values; a <base> keeps relative images and styles resolvable
+ */
+export function sanitizePageHtml(doc = document, url = window.location.href) {
+  const clone = doc.documentElement.cloneNode(true);
+  clone.querySelectorAll(STRIPPED_ELEMENTS).forEach(element => element.remove());
+
+  clone.querySelectorAll('*').forEach(element => {
+    [...element.attributes].forEach(attribute => {
+      if (/^on/i.test(attribute.name) || /^\s*javascript:/i.test(attribute.value)) {
+        element.removeAttribute(attribute.name);
+      }
+    });
+  });
+  clone.querySelectorAll('input[type="password"], input[type="hidden"]').forEach(input => input.removeAttribute('value'));
+
+  const head = clone.querySelector('head');
+  if (head) {
+    head.querySelectorAll('base').forEach(base => base.remove());
+    const base = doc.createElement('base');
+    base.setAttribute('href', url);
+    head.insertBefore(base, head.firstChild);
+  }
+
+  let html = `<!DOCTYPE html>\n${clone.outerHTML}`;
+  if (html.length > EVIDENCE_CONFIG.MAX_HTML_LENGTH) {
+    // Inline styles, icons and embedded images are what usually blow the size up
+    clone.querySelectorAll('style, svg').forEach(element => element.remove());
+    clone.querySelectorAll('[src^="data:"]').forEach(element => element.removeAttribute('src'));
+    html = `<!DOCTYPE html>\n${clone.outerHTML}`;
+  }
+  return html.length > EVIDENCE_CONFIG.MAX_HTML_LENGTH ? null : html;
+}
+
+async function captureScreenshot(doc) {
+  const body = doc.body;
+  const height = Math.min(body.scrollHeight, EVIDENCE_CONFIG.MAX_SCREENSHOT_HEIGHT);
+  const canvas = await html2canvas(body, {
+    logging: false,
+    useCORS: true,
+    scale: 1,
+    height,
+    windowHeight: height,
+    ignoreElements: element => typeof element.id === 'string' && element.id.startsWith('autocomplaint-')
+  });
+
+  const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+  if (!png) return null;
+  const compressed = await compressImage(png, {
+    maxSizeMB: EVIDENCE_CONFIG.MAX_SCREENSHOT_MB,
+    quality: EVIDENCE_CONFIG.SCREENSHOT_QUALITY,
+    maxWidth: EVIDENCE_CONFIG.MAX_SCREENSHOT_WIDTH,
+    maxHeight: EVIDENCE_CONFIG.MAX_SCREENSHOT_HEIGHT
+  });
+
+  return {
+    dataUrl: await blobToDataUrl(compressed.blob),
+    type: compressed.type,
+    bytes: compressed.bytes,
+    width: compressed.width,
+    height: compressed.height
+  };
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+export default {
+  captureEvidence,
+  captureOrderEvidence,
+  sanitizePageHtml
+};
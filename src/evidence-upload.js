@@ -0,0 +1,257 @@
+/**
+ * AutoComplaint - Evidence Upload
+ * Attaches an order's stored evidence (screenshot, invoice PDF) to a portal's
+ * file inputs. Files go to the input whose label asks for them, only in the
+ * types the input accepts, and images are compressed (or converted to JPEG)
+ * when the portal states a size limit they exceed.
+ */
+
+import { compressImage } from '../utils/image_compress.js';
+import { getControlLabels } from './form-analyzer.js';
+import { getNodePath } from './field-provenance.js';
+
+export const UPLOAD_FIELD_PREFIX = 'upload:';
+
+// What an upload's label asks for, by evidence kind
+const KIND_KEYWORDS = {
+  invoice: /invoice|bill|receipt|बिल|चालान/i,
+  screenshot: /screenshot|photo|image|picture|snap/i
+};
+
+// Uploads that take any supporting document - they get the files no kind asked for
+const GENERIC_UPLOAD = /document|attachment|attach|supporting|evidence|दस्तावेज़|संलग्न/i;
+
+// Proofs about the complainant, never order evidence ("ID proof", "Address proof document")
+const PERSONAL_DOCUMENT = /\b(?:id|identity|address|residence|aadhaa?r|pan|passport|voter|driving|licen[cs]e|signature|authori[sz]ation)\b/i;
+
+// "Max size 2 MB", "(up to 500 KB)", "not exceeding 5MB", "size limit: 1.5 mb"
+const SIZE_LIMIT_PATTERN = /(?:max(?:imum)?|up\s*to|upto|not\s+(?:more\s+than|exceeding)|less\s+than|limit|within)[^\d]{0,25}(\d+(?:\.\d+)?)\s*(kb|mb)/i;
+const SIZE_ATTRIBUTES = ['data-max-size', 'data-maxsize', 'data-max-file-size', 'data-file-max-size'];
+const MAX_HELP_TEXT = 300;
+const JPEG_TYPES = ['image/jpeg', 'image/jpg', '.jpg', '.jpeg', 'image/*'];
+
+/**
+ * File objects for an order's evidence bundle (from getOrderEvidence)
+ * Each gets an evidenceKind of 'screenshot' or the attachment's kind
+ */
+export function buildEvidenceFiles(bundle) {
+  if (!bundle) return [];
+  const date = (bundle.capturedAt || new Date().toISOString()).slice(0, 10);
+  const sources = [];
+
+  if (bundle.screenshot && bundle.screenshot.dataUrl) {
+    sources.push({ name: `order-screenshot-${date}.jpg`, dataUrl: bundle.screenshot.dataUrl, kind: 'screenshot' });
+  }
+  (bundle.attachments || []).forEach(attachment => {
+    if (attachment.dataUrl) sources.push({ name: attachment.name, dataUrl: attachment.dataUrl, kind: attachment.kind || 'document' });
+  });
+
+  return sources.map(({ name, dataUrl, kind }) => {
+    const file = dataUrlToFile(dataUrl, name);
+    file.evidenceKind = kind;
+    return file;
+  });
+}
+
+/**
+ * Decide which files go into which file input, without touching the page
+ * Inputs that ask for a kind (invoice, screenshot) get it; generic document
+ * inputs take what is left, and inputs for anything else (ID or address proof)
+ * stay empty. Returns [{ fieldType, label, element, files, limits }]
+ */
+export function planEvidenceUploads(files, root = document) {
+  if (!files || files.length === 0) return [];
+
+  const uploads = [...root.querySelectorAll('input[type="file"]:not([disabled])')]
+    .filter(input => !input.closest('[id^="autocomplaint-"]'))
+    .map((input, index) => {
+      const labels = getControlLabels(input, root);
+      const labelText = labels.map(label => label.text).join(' ');
+      // Shown in the preview and report: the input's own label as printed, if it has one
+      const shownLabel = input.labels && input.labels.length > 0
+        ? input.labels[0].textContent.replace(/\s+/g, ' ').trim()
+        : (labels[0] && labels[0].text) || '';
+      const personal = PERSONAL_DOCUMENT.test(labelText);
+      return {
+        fieldType: `${UPLOAD_FIELD_PREFIX}${input.name || input.id || index + 1}`,
+        label: shownLabel.slice(0, 60) || 'Document upload',
+        element: input,
+        wants: personal ? null : Object.keys(KIND_KEYWORDS).find(kind => KIND_KEYWORDS[kind].test(labelText)) || null,
+        generic: !personal && GENERIC_UPLOAD.test(labelText),
+        limits: readUploadLimits(input, labelText),
+        files: []
+      };
+    });
+
+  const used = new Set();
+  const assign = (upload, candidates) => {
+    const usable = candidates.filter(file => !used.has(file) && canUpload(file, upload.limits));
+    const chosen = upload.element.multiple ? usable : usable.slice(0, 1);
+    chosen.forEach(file => used.add(file));
+    upload.files.push(...chosen);
+  };
+
+  uploads.filter(upload => upload.wants).forEach(upload => assign(upload, files.filter(file => file.evidenceKind === upload.wants)));
+  uploads.filter(upload => !upload.wants && upload.generic).forEach(upload => assign(upload, files));
+
+  return uploads
+    .filter(upload => upload.files.length > 0)
+    .map(({ wants, generic, ...upload }) => upload);
+}
+
+/**
+ * Accepted types and size limit of a file input
+ * The limit comes from data attributes or the help text near the input
+ */
+export function readUploadLimits(input, labelText = '') {
+  const accept = (input.getAttribute('accept') || '')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+  let maxBytes = null;
+  for (const attribute of SIZE_ATTRIBUTES) {
+    const bytes = parseSize(input.getAttribute(attribute));
+    if (bytes) {
+      maxBytes = bytes;
+      break;
+    }
+  }
+
+  if (!maxBytes) {
+    const container = input.closest('td, .form-group, .form-field, fieldset, li') || input.parentElement;
+    const helpText = `${labelText} ${container ? container.textContent : ''}`.replace(/\s+/g, ' ').slice(0, MAX_HELP_TEXT);
+    const match = helpText.match(SIZE_LIMIT_PATTERN);
+    if (match) maxBytes = parseSize(`${match[1]} ${match[2]}`);
+  }
+
+  return { accept, maxBytes };
+}
+
+/**
+ * Put files into a file input through a DataTransfer, compressing or
+ * converting images the input would otherwise reject
+ * record(input) keeps the input's state for undo before it is changed
+ */
+export async function attachEvidenceFiles(input, files, limits = readUploadLimits(input), record = () => {}) {
+  const attached = [];
+  const skippedFiles = [];
+
+  for (const file of files) {
+    try {
+      const prepared = await prepareFile(file, limits);
+      attached.push(prepared);
+    } catch (error) {
+      skippedFiles.push({ name: file.name, reason: error.message });
+    }
+  }
+
+  if (attached.length === 0) {
+    return {
+      success: false,
+      reason: skippedFiles.map(skipped => `${skipped.name}: ${skipped.reason}`).join('; ') || 'No evidence file fits this upload',
+      skippedFiles
+    };
+  }
+
+  record(input);
+  const transfer = new DataTransfer();
+  attached.forEach(file => transfer.items.add(file));
+  input.files = transfer.files;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+
+  const names = attached.map(file => file.compressedFrom
+    ? `${file.name} (compressed to ${Math.round(file.size / 1024)} KB)`
+    : file.name);
+  console.log(`📎 Attached ${names.join(', ')} to ${getNodePath(input)}`);
+  return {
+    success: true,
+    value: attached.map(file => file.name).join(', '),
+    selectedText: names.join(', '),
+    method: 'upload',
+    score: 1,
+    runnersUp: [],
+    skippedFiles
+  };
+}
+
+/**
+ * Whether a file can go into an upload as it is or after converting it to JPEG
+ */
+function canUpload(file, limits) {
+  return accepts(file, limits.accept) || (isImage(file) && acceptsJpeg(limits.accept));
+}
+
+/**
+ * The file as the input will take it - the original, or a compressed JPEG
+ */
+async function prepareFile(file, { accept, maxBytes }) {
+  const fitsType = accepts(file, accept);
+  const fitsSize = !maxBytes || file.size <= maxBytes;
+  if (fitsType && fitsSize) return file;
+
+  if (!isImage(file)) {
+    throw new Error(fitsType ? `larger than the ${formatSize(maxBytes)} limit` : 'type not accepted here');
+  }
+  if (!fitsType && !acceptsJpeg(accept)) throw new Error('type not accepted here');
+
+  const maxSizeMB = maxBytes ? maxBytes / (1024 * 1024) : 1;
+  const result = await compressImage(file, { maxSizeMB, type: 'image/jpeg' });
+  if (maxBytes && !result.fitsTarget) throw new Error(`still larger than the ${formatSize(maxBytes)} limit after compressing`);
+
+  const compressed = new File([result.blob], file.name.replace(/\.[^.]+$/, '') + '.jpg', { type: result.type });
+  compressed.compressedFrom = file.size;
+  compressed.evidenceKind = file.evidenceKind;
+  return compressed;
+}
+
+function accepts(file, accept) {
+  if (accept.length === 0) return true;
+  const name = file.name.toLowerCase();
+  const type = (file.type || '').toLowerCase();
+  return accept.some(entry => {
+    if (entry.startsWith('.')) return name.endsWith(entry);
+    if (entry.endsWith('/*')) return type.startsWith(entry.slice(0, -1));
+    return type === entry;
+  });
+}
+
+function acceptsJpeg(accept) {
+  return accept.length === 0 || accept.some(entry => JPEG_TYPES.includes(entry));
+}
+
+function isImage(file) {
+  return (file.type || '').startsWith('image/');
+}
+
+function parseSize(text) {
+  if (!text) return null;
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(kb|mb|bytes|b)?$/i);
+  if (!match) return null;
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 'b').toLowerCase();
+  const bytes = unit === 'mb' ? amount * 1024 * 1024 : unit === 'kb' ? amount * 1024 : amount;
+  return bytes > 0 ? Math.floor(bytes) : null;
+}
+
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${+(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+function dataUrlToFile(dataUrl, name) {
+  const [header, data] = dataUrl.split(',');
+  const type = (header.match(/^data:([^;]+)/) || [])[1] || 'application/octet-stream';
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new File([bytes], name, { type });
+}
+
+export default {
+  UPLOAD_FIELD_PREFIX,
+  buildEvidenceFiles,
+  planEvidenceUploads,
+  readUploadLimits,
+  attachEvidenceFiles
+};
@@ -0,0 +1,94 @@
+/**
+ * AutoComplaint - Field Provenance
+ * Per-field confidence and source tracking for extraction results.
+ * Every extracted field gets an entry in result.fieldMeta describing how sure
+ * we are about it, which kind of source produced it and where on the page it came from.
+ */
+
+// Kinds of source a field value can come from
+export const FIELD_SOURCE_TYPES = {
+  PATTERN: 'pattern',
+  NER_ENTITY: 'ner-entity',
+  SELECTOR: 'selector',
+  STRUCTURED_DATA: 'structured-data',
+  INVOICE: 'invoice',
+  USER_EDIT: 'user-edit'
+};
+
+// Fields below this confidence are highlighted in the popup for the user to check
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Build a field metadata record
+ */
+export function createFieldMeta({ confidence = 0, sourceType, source = null, location = null }) {
+  const bounded = Math.min(1, Math.max(0, Number(confidence) || 0));
+
+  return {
+    confidence: Number(bounded.toFixed(3)),
+    sourceType,
+    source: source || sourceType,
+    location,
+    needsReview: bounded < LOW_CONFIDENCE_THRESHOLD
+  };
+}
+
+/**
+ * Record metadata for a field on an extraction result
+ */
+export function setFieldMeta(result, field, meta) {
+  if (!result.fieldMeta) result.fieldMeta = {};
+  result.fieldMeta[field] = createFieldMeta(meta);
+  return result.fieldMeta[field];
+}
+
+/**
+ * Location of a value inside the extracted page text
+ */
+export function textLocation(text, value) {
+  if (!text || !value || typeof value !== 'string') return null;
+  const offset = text.indexOf(value);
+  return offset === -1 ? null : { textOffset: offset, length: value.length };
+}
+
+/**
+ * Location of a DOM node as a stable CSS path
+ */
+export function nodeLocation(element) {
+  const nodePath = getNodePath(element);
+  return nodePath ? { nodePath } : null;
+}
+
+/**
+ * Build a CSS path (tag:nth-of-type chain, anchored at the nearest id) for an element
+ */
+export function getNodePath(element) {
+  if (!element || element.nodeType !== 1) return '';
+
+  const parts = [];
+  let current = element;
+  while (current && current.nodeType === 1 && current.tagName !== 'HTML') {
+    if (current.id && /^[A-Za-z][\w-]*$/.test(current.id)) {
+      parts.unshift(`#${current.id}`);
+      break;
+    }
+
+    const tag = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    const sameTag = parent ? [...parent.children].filter(child => child.tagName === current.tagName) : [];
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+    current = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+export default {
+  FIELD_SOURCE_TYPES,
+  LOW_CONFIDENCE_THRESHOLD,
+  createFieldMeta,
+  setFieldMeta,
+  textLocation,
+  nodeLocation,
+  getNodePath
+};
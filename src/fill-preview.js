@@ -0,0 +1,251 @@
+/**
+ * AutoComplaint - Fill Preview Overlay
+ * Shows what is about to be written into the portal form - target field,
+ * value, matched dropdown option and confidence - and waits for the user to
+ * untick or edit rows and click Apply. Nothing is written from here; the
+ * caller fills the form with the confirmed values.
+ */
+
+import { previewOption } from './portal-filler.js';
+import { LOW_CONFIDENCE_THRESHOLD } from './field-provenance.js';
+
+const OVERLAY_ID = 'autocomplaint-fill-preview';
+
+const OVERLAY_STYLES = `
+  :host { all: initial; }
+  .backdrop {
+    position: fixed; inset: 0; z-index: 2147483646;
+    background: rgba(32, 33, 36, 0.45);
+    display: flex; align-items: flex-start; justify-content: center;
+    font-family: Arial, sans-serif; font-size: 13px; color: #202124;
+  }
+  .panel {
+    margin-top: 40px; width: min(760px, 94vw); max-height: 84vh;
+    display: flex; flex-direction: column;
+    background: #fff; border-radius: 8px; box-shadow: 0 8px 28px rgba(0,0,0,0.3);
+  }
+  .header { padding: 14px 18px; border-bottom: 1px solid #e0e0e0; }
+  .title { font-size: 16px; font-weight: bold; }
+  .subtitle { margin-top: 4px; color: #5f6368; font-size: 12px; }
+  .body { overflow: auto; padding: 0 18px; }
+  table { width: 100%; border-collapse: collapse; }
+  th { position: sticky; top: 0; background: #fff; text-align: left; padding: 8px 6px; border-bottom: 1px solid #e0e0e0; font-size: 12px; color: #5f6368; }
+  td { padding: 6px; border-bottom: 1px solid #f1f3f4; vertical-align: top; }
+  tr.low td { background: #fef7e0; }
+  tr.missing td { color: #9aa0a6; }
+  input[type="text"] { width: 100%; box-sizing: border-box; padding: 4px 6px; border: 1px solid #dadce0; border-radius: 4px; font: inherit; }
+  .option { color: #3c4043; }
+  .option.none { color: #d93025; }
+  .hint { display: block; color: #80868b; font-size: 11px; margin-top: 2px; }
+  .confidence { font-weight: bold; white-space: nowrap; }
+  .confidence.high { color: #188038; }
+  .confidence.medium { color: #b06000; }
+  .confidence.low { color: #d93025; }
+  .footer { display: flex; justify-content: flex-end; gap: 8px; padding: 12px 18px; border-top: 1px solid #e0e0e0; }
+  button { padding: 8px 16px; border-radius: 4px; border: 1px solid #dadce0; background: #fff; font: inherit; cursor: pointer; }
+  button.apply { background: #1a73e8; border-color: #1a73e8; color: #fff; }
+  button:disabled { opacity: 0.5; cursor: default; }
+`;
+
+/**
+ * Show the preview for a fill plan (from planPortalFill)
+ * Resolves { confirmed: true, fieldValues: { fieldType: value } } on Apply
+ * or { confirmed: false } on Cancel / Escape
+ */
+export function showFillPreview(plan, definition) {
+  closeFillPreview();
+
+  return new Promise(resolve => {
+    const host = document.createElement('div');
+    host.id = OVERLAY_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    const rows = plan.rows.map(row => ({ ...row, checked: row.found }));
+
+    const style = document.createElement('style');
+    style.textContent = OVERLAY_STYLES;
+    shadow.appendChild(style);
+
+    const backdrop = element('div', 'backdrop');
+    const panel = element('div', 'panel');
+    backdrop.appendChild(panel);
+    shadow.appendChild(backdrop);
+
+    const header = element('div', 'header');
+    header.appendChild(element('div', 'title', 'Review before filling'));
+    header.appendChild(element('div', 'subtitle',
+      `${plan.portal.name} - untick anything that should stay empty and correct any value, then click Apply. Highlighted rows need a closer look.`));
+    panel.appendChild(header);
+
+    const body = element('div', 'body');
+    const table = document.createElement('table');
+    const headRow = document.createElement('tr');
+    ['', 'Field', 'Value', 'Will select', 'Confidence'].forEach(text => headRow.appendChild(element('th', '', text)));
+    const thead = document.createElement('thead');
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    const tbody = document.createElement('tbody');
+    table.appendChild(tbody);
+    body.appendChild(table);
+    panel.appendChild(body);
+
+    const footer = element('div', 'footer');
+    const cancelButton = element('button', 'cancel', 'Cancel');
+    const applyButton = element('button', 'apply', 'Apply');
+    footer.appendChild(cancelButton);
+    footer.appendChild(applyButton);
+    panel.appendChild(footer);
+
+    const updateApply = () => {
+      const count = rows.filter(row => row.checked).length;
+      applyButton.disabled = count === 0;
+      applyButton.textContent = `Apply ${count} field${count === 1 ? '' : 's'}`;
+    };
+
+    rows.forEach(row => tbody.appendChild(renderRow(row, rows, definition, updateApply)));
+    if (rows.length === 0) {
+      const empty = document.createElement('tr');
+      const cell = element('td', '', 'No saved order values to fill on this form.');
+      cell.colSpan = 5;
+      empty.appendChild(cell);
+      tbody.appendChild(empty);
+    }
+    updateApply();
+
+    const finish = (result) => {
+      document.removeEventListener('keydown', onKeyDown, true);
+      host.remove();
+      resolve(result);
+    };
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') finish({ confirmed: false });
+    };
+
+    host.autoComplaintCancel = () => finish({ confirmed: false });
+    cancelButton.addEventListener('click', () => finish({ confirmed: false }));
+    applyButton.addEventListener('click', () => {
+      const fieldValues = Object.fromEntries(rows.filter(row => row.checked).map(row => [row.fieldType, row.value]));
+      finish({ confirmed: true, fieldValues });
+    });
+    document.addEventListener('keydown', onKeyDown, true);
+
+    document.body.appendChild(host);
+  });
+}
+
+/**
+ * Close an open preview (treated as Cancel)
+ */
+export function closeFillPreview() {
+  const existing = document.getElementById(OVERLAY_ID);
+  if (!existing) return;
+  if (existing.autoComplaintCancel) existing.autoComplaintCancel();
+  else existing.remove();
+}
+
+/**
+ * One editable row: tick box, field, value, matched option, confidence
+ */
+function renderRow(row, rows, definition, onChange) {
+  const tr = document.createElement('tr');
+  const spec = definition.fields[row.fieldType] || {};
+
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.checked = row.checked;
+  checkbox.disabled = !row.found;
+  checkbox.addEventListener('change', () => {
+    row.checked = checkbox.checked;
+    onChange();
+  });
+  tr.appendChild(cellWith(checkbox));
+
+  const fieldCell = element('td', '', row.label);
+  if (row.discoveredBy === 'label' && row.labelText) {
+    fieldCell.appendChild(element('span', 'hint', `found by label "${row.labelText}"`));
+  }
+  tr.appendChild(fieldCell);
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.value = row.value;
+  input.disabled = !row.found;
+  tr.appendChild(cellWith(input));
+
+  const optionCell = document.createElement('td');
+  const confidenceCell = document.createElement('td');
+  tr.appendChild(optionCell);
+  tr.appendChild(confidenceCell);
+
+  const refresh = () => {
+    renderOption(optionCell, row, rows);
+    renderConfidence(confidenceCell, row.confidence);
+    tr.className = !row.found ? 'missing'
+      : (typeof row.confidence === 'number' && row.confidence < LOW_CONFIDENCE_THRESHOLD ? 'low' : '');
+  };
+
+  input.addEventListener('input', () => {
+    row.value = input.value;
+    Object.assign(row, previewOption(row, spec));
+    refresh();
+  });
+
+  refresh();
+  return tr;
+}
+
+function renderOption(cell, row, rows) {
+  cell.textContent = '';
+  if (!row.found) {
+    cell.appendChild(element('span', 'option none', 'No matching field on this page'));
+    return;
+  }
+  if (row.widget === 'file') {
+    cell.appendChild(element('span', 'option', 'Attaches the files listed'));
+    cell.appendChild(element('span', 'hint', 'remove a name to leave that file out'));
+    return;
+  }
+  if (row.widget !== 'select') {
+    cell.appendChild(element('span', 'option', 'Typed as shown'));
+    return;
+  }
+  if (row.pendingOn) {
+    const parent = rows.find(other => other.fieldType === row.pendingOn);
+    cell.appendChild(element('span', 'option', `Matched after ${parent ? parent.label : row.pendingOn} is set`));
+    return;
+  }
+  if (!row.option) {
+    cell.appendChild(element('span', 'option none', 'No close option'));
+  } else {
+    cell.appendChild(element('span', row.usesOther ? 'option none' : 'option', row.option.text));
+    if (row.usesOther) cell.appendChild(element('span', 'hint', 'no close option - "Other" will be chosen'));
+  }
+  const closeOptions = row.runnersUp.filter(option => option.score > 0);
+  if (closeOptions.length > 0) {
+    cell.appendChild(element('span', 'hint', `also close: ${closeOptions.map(option => option.text).join(', ')}`));
+  }
+}
+
+function renderConfidence(cell, confidence) {
+  cell.textContent = '';
+  if (typeof confidence !== 'number') {
+    cell.appendChild(element('span', 'confidence', '-'));
+    return;
+  }
+  const level = confidence >= 0.8 ? 'high' : confidence >= LOW_CONFIDENCE_THRESHOLD ? 'medium' : 'low';
+  cell.appendChild(element('span', `confidence ${level}`, `${Math.round(confidence * 100)}%`));
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+function cellWith(child) {
+  const cell = document.createElement('td');
+  cell.appendChild(child);
+  return cell;
+}
+
+export default { showFillPreview, closeFillPreview };
@@ -0,0 +1,110 @@
+/**
+ * AutoComplaint - Fill Report
+ * The outcome of the last autofill on a portal page, field by field, kept in
+ * the page's sessionStorage so the popup can show it after it was closed for
+ * the preview. Per-field retries and manual picks update the same report.
+ */
+
+const REPORT_KEY = 'autoComplaintFillReport';
+
+export const FILL_STATUSES = {
+  FILLED: 'filled',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+/**
+ * Build the report for one fillPortalForm run
+ * values: every value that was offered in the preview, ticked or not (for retries)
+ * orderStoreId: the saved order that was filled, which the portal's docket number belongs to
+ */
+export function buildFillReport(definition, values, fillResult, orderStoreId = null) {
+  return {
+    portal: { id: definition.id, name: definition.name },
+    orderStoreId,
+    docketNumber: null,
+    url: window.location.href,
+    createdAt: new Date().toISOString(),
+    labels: {
+      ...Object.fromEntries(Object.entries(definition.fields).map(([field, spec]) => [field, spec.label || field])),
+      // Upload inputs are found on the page, not in the definition
+      ...Object.fromEntries(Object.entries(fillResult.results).filter(([, result]) => result.fieldLabel).map(([field, result]) => [field, result.fieldLabel]))
+    },
+    values,
+    summary: fillResult.summary,
+    results: fillResult.results
+  };
+}
+
+export function saveFillReport(report) {
+  try {
+    window.sessionStorage.setItem(REPORT_KEY, JSON.stringify(report));
+  } catch (error) {
+    console.warn('⚠️ FILL REPORT - Could not store the report:', error);
+  }
+  return report;
+}
+
+/**
+ * The last report for this tab, or null
+ */
+export function getFillReport() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(REPORT_KEY) || 'null');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Replace one field's result (after a retry or pick) and recount the summary
+ */
+export function updateFillReportField(fieldType, result) {
+  const report = getFillReport();
+  if (!report) return null;
+
+  report.results[fieldType] = result;
+  const successful = Object.values(report.results).filter(r => r.success).length;
+  const total = report.summary.total;
+  report.summary = {
+    ...report.summary,
+    successful,
+    failed: total - successful,
+    successRate: `${Math.round((successful / total) * 100)}%`
+  };
+  return saveFillReport(report);
+}
+
+/**
+ * Status and one-line detail for a field result, as shown in the popup
+ */
+export function describeFillResult(result = {}) {
+  if (result.success) {
+    const shown = result.selectedText || result.value || '';
+    const how = result.method === 'text' || result.method === 'upload' ? '' : ` (${result.method}${typeof result.score === 'number' ? `, ${Math.round(result.score * 100)}%` : ''})`;
+    const where = result.discoveredBy === 'label' ? ' - found by label'
+      : result.discoveredBy === 'picked' ? ' - picked by you' : '';
+    const skippedFiles = (result.skippedFiles || []).map(file => `${file.name} left out: ${file.reason}`);
+    return { status: FILL_STATUSES.FILLED, detail: `${shown}${how}${where}${skippedFiles.length ? `; ${skippedFiles.join('; ')}` : ''}` };
+  }
+
+  if (result.skipped || result.reason === 'No data available') {
+    return { status: FILL_STATUSES.SKIPPED, detail: result.reason || 'Skipped' };
+  }
+
+  const closest = (result.runnersUp || []).filter(option => option.score > 0).map(option => option.text);
+  const searched = result.searchedSelectors ? ` - tried ${result.searchedSelectors.length} selector(s)` : '';
+  return {
+    status: FILL_STATUSES.FAILED,
+    detail: `${result.reason || 'Not filled'}${searched}${closest.length ? `; closest: ${closest.join(', ')}` : ''}`
+  };
+}
+
+export default {
+  FILL_STATUSES,
+  buildFillReport,
+  saveFillReport,
+  getFillReport,
+  updateFillReportField,
+  describeFillResult
+};
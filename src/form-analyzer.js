@@ -0,0 +1,333 @@
+/**
+ * AutoComplaint - Label-Based Form Analyzer
+ * Finds grievance form fields by what the user sees rather than by name/id,
+ * for portals with opaque control names (ctl00$ContentPlaceHolder1$txt7).
+ * Each visible control's label text is read from <label for>, a wrapping
+ * <label>, aria-labelledby/aria-label, placeholder, title and nearby text,
+ * then scored against keywords for our semantic fields.
+ */
+
+const ANALYZER_CONFIG = {
+  MIN_SCORE: 0.45,      // Below this a control is not trusted for a field
+  MAX_NEARBY_TEXT: 80,  // Longer text next to a control is content, not a label
+  NEARBY_DEPTH: 3       // Ancestors searched for a preceding label cell/element
+};
+
+// How much each label source says about a control
+const SOURCE_WEIGHTS = {
+  label: 1,
+  'aria-labelledby': 1,
+  'aria-label': 0.95,
+  placeholder: 0.85,
+  title: 0.8,
+  nearby: 0.75,
+  name: 0.5
+};
+
+// Keyword phrases per semantic field: [phrase, weight]; `not` phrases rule a label out
+export const FIELD_KEYWORDS = {
+  grievanceType: {
+    phrases: [['grievance type', 1], ['type of grievance', 1], ['complaint type', 1], ['type of complaint', 1]]
+  },
+  grievanceClassification: {
+    phrases: [['grievance classification', 1], ['classification', 0.9]]
+  },
+  state: {
+    phrases: [['state', 1], ['राज्य', 1]],
+    not: ['statement', 'opposite party', 'dealer', 'seller']
+  },
+  purchaseCity: {
+    phrases: [['purchase city', 1], ['city', 0.95], ['town', 0.8], ['district', 0.6], ['शहर', 0.95]],
+    not: ['opposite party', 'dealer', 'seller']
+  },
+  district: {
+    phrases: [['district', 1], ['city', 0.6], ['जिला', 1]],
+    not: ['opposite party', 'dealer', 'seller']
+  },
+  sectorIndustry: {
+    phrases: [['sector', 1], ['industry', 1]]
+  },
+  category: {
+    phrases: [['product category', 1], ['category', 0.9], ['product type', 0.8]],
+    not: ['grievance category', 'complaint category']
+  },
+  grievanceCategory: {
+    phrases: [['grievance category', 1], ['complaint category', 1], ['category', 0.7]]
+  },
+  ministry: {
+    phrases: [['ministry', 1], ['department', 0.8]]
+  },
+  company: {
+    phrases: [['company', 1], ['brand', 0.9], ['service provider', 0.9], ['seller', 0.8], ['trader', 0.8], ['firm', 0.7]],
+    not: ['address', 'contact', 'email', 'phone', 'mobile', 'city', 'state']
+  },
+  oppositeParty: {
+    phrases: [['opposite party', 1], ['respondent', 0.9], ['company', 0.6]],
+    not: ['address', 'email', 'phone', 'mobile', 'state', 'district', 'pin']
+  },
+  natureOfGrievance: {
+    phrases: [['nature of grievance', 1], ['nature of complaint', 1], ['grievance nature', 1], ['nature', 0.7]]
+  },
+  productValue: {
+    phrases: [['product value', 1], ['value of product', 1], ['price', 0.8], ['amount', 0.7], ['value', 0.7], ['cost', 0.7]],
+    not: ['claim', 'compensation']
+  },
+  considerationPaid: {
+    phrases: [['consideration', 1], ['amount paid', 1], ['price paid', 1], ['value of goods', 0.9], ['amount', 0.6]],
+    not: ['compensation', 'fee']
+  },
+  dealerInfo: {
+    phrases: [['dealer', 1], ['seller address', 1], ['address of seller', 1], ['dealer address', 1], ['seller details', 0.9]]
+  },
+  oppositePartyAddress: {
+    phrases: [['opposite party address', 1], ['address of opposite party', 1], ['respondent address', 1]]
+  },
+  customerName: {
+    phrases: [['consumer name', 1], ['complainant name', 1], ['customer name', 1], ['your name', 1],
+      ['applicant name', 1], ['full name', 0.9], ['name', 0.6], ['नाम', 0.6]],
+    not: ['company', 'opposite', 'respondent', 'father', 'husband', 'dealer', 'seller', 'product', 'brand', 'user name', 'username']
+  },
+  email: {
+    phrases: [['email', 1], ['e-mail', 1], ['mail id', 0.9], ['ईमेल', 1]],
+    not: ['opposite party', 'dealer', 'seller', 'company']
+  },
+  phone: {
+    phrases: [['mobile', 1], ['phone', 1], ['contact number', 0.9], ['telephone', 0.9], ['मोबाइल', 1]],
+    not: ['opposite party', 'dealer', 'seller', 'company']
+  },
+  orderId: {
+    phrases: [['order id', 1], ['order number', 1], ['order no', 1], ['invoice number', 0.8], ['invoice no', 0.8],
+      ['bill number', 0.8], ['transaction id', 0.7], ['reference number', 0.6]]
+  },
+  productName: {
+    phrases: [['product name', 1], ['name of product', 1], ['product', 0.7], ['item', 0.7], ['model', 0.6]],
+    not: ['value', 'price', 'category', 'type', 'amount']
+  },
+  description: {
+    phrases: [['grievance description', 1], ['description', 0.95], ['details of grievance', 1], ['facts', 0.9],
+      ['brief', 0.8], ['grievance', 0.7], ['complaint', 0.7], ['details', 0.7], ['remarks', 0.6], ['विवरण', 0.95]],
+    not: ['type', 'category', 'nature', 'classification', 'number', 'date']
+  }
+};
+
+// How well a control's tag suits the field's declared widget
+const WIDGET_FIT = {
+  select: { SELECT: 1, INPUT: 0.85, TEXTAREA: 0.4 },
+  combobox: { SELECT: 1, INPUT: 1, TEXTAREA: 0.4 },
+  text: { INPUT: 1, TEXTAREA: 0.85, SELECT: 0.5 },
+  textarea: { TEXTAREA: 1, INPUT: 0.85, SELECT: 0.4 }
+};
+
+// Input types that never hold a grievance value
+const SKIPPED_INPUT_TYPES = new Set([
+  'hidden', 'submit', 'button', 'reset', 'image', 'checkbox', 'radio', 'file', 'password'
+]);
+
+/**
+ * Map semantic fields to the form's visible controls
+ * fields: { fieldType: spec } (spec.widget and spec.keywords are used when present)
+ * exclude: controls already taken, e.g. filled through a hardcoded selector
+ * Returns { fieldType: { element, score, source, labelText } } - each control used at most once
+ */
+export function analyzeForm(root = document, fields = {}, { exclude = new Set(), minScore = ANALYZER_CONFIG.MIN_SCORE } = {}) {
+  const controls = getFormControls(root).filter(element => !exclude.has(element));
+  const labelled = controls.map(element => ({ element, labels: getControlLabels(element, root) }));
+
+  const candidates = [];
+  for (const [fieldType, spec] of Object.entries(fields)) {
+    const keywords = getFieldKeywords(fieldType, spec);
+    if (!keywords) continue;
+
+    for (const control of labelled) {
+      const match = scoreControl(control, keywords, (spec && spec.widget) || 'text', fieldType);
+      if (match.score >= minScore) candidates.push({ fieldType, element: control.element, ...match });
+    }
+  }
+
+  // Strongest pairs first; a control or field is used once
+  candidates.sort((a, b) => b.score - a.score);
+  const assigned = {};
+  const used = new Set();
+  for (const candidate of candidates) {
+    if (assigned[candidate.fieldType] || used.has(candidate.element)) continue;
+    assigned[candidate.fieldType] = {
+      element: candidate.element,
+      score: Number(candidate.score.toFixed(3)),
+      source: candidate.source,
+      labelText: candidate.labelText
+    };
+    used.add(candidate.element);
+  }
+
+  return assigned;
+}
+
+/**
+ * Visible controls that could take a grievance value
+ */
+export function getFormControls(root = document) {
+  return [...root.querySelectorAll('input, select, textarea')].filter(element => {
+    if (element.tagName === 'INPUT' && SKIPPED_INPUT_TYPES.has((element.type || 'text').toLowerCase())) return false;
+    return element.offsetParent !== null;
+  });
+}
+
+/**
+ * Every piece of text that names a control, with where it came from
+ * Returns [{ source, text }]
+ */
+export function getControlLabels(element, root = document) {
+  const labels = [];
+  const add = (source, text) => {
+    const clean = cleanLabel(text);
+    if (clean) labels.push({ source, text: clean });
+  };
+
+  if (element.id) {
+    root.querySelectorAll(`label[for="${cssEscape(element.id)}"]`).forEach(label => add('label', label.textContent));
+  }
+  const wrapping = element.closest('label');
+  if (wrapping) add('label', textWithoutControls(wrapping));
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const ownerDocument = element.ownerDocument;
+    labelledBy.split(/\s+/).forEach(id => {
+      const labelElement = ownerDocument.getElementById(id);
+      if (labelElement) add('aria-labelledby', labelElement.textContent);
+    });
+  }
+
+  add('aria-label', element.getAttribute('aria-label'));
+  add('placeholder', element.getAttribute('placeholder'));
+  add('title', element.getAttribute('title'));
+  if (labels.length === 0 || !labels.some(label => label.source === 'label' || label.source === 'aria-labelledby')) {
+    add('nearby', getNearbyText(element));
+  }
+  add('name', splitIdentifier(element.name || element.id || ''));
+
+  return labels;
+}
+
+/**
+ * Keywords for a field - the spec's own plus the built-in table
+ */
+function getFieldKeywords(fieldType, spec) {
+  const builtIn = FIELD_KEYWORDS[fieldType];
+  const extra = spec && spec.keywords;
+  if (!builtIn && !extra) return null;
+
+  return {
+    phrases: [...(extra || []).map(phrase => Array.isArray(phrase) ? phrase : [phrase, 1]), ...((builtIn && builtIn.phrases) || [])],
+    not: (builtIn && builtIn.not) || []
+  };
+}
+
+/**
+ * Best score of a control for one field across its label sources
+ */
+function scoreControl(control, keywords, widget, fieldType) {
+  const { element, labels } = control;
+  const fit = (WIDGET_FIT[widget] || WIDGET_FIT.text)[element.tagName] || 0.5;
+
+  // Typed inputs say what they hold
+  const inputType = element.tagName === 'INPUT' ? (element.type || '').toLowerCase() : '';
+  if ((fieldType === 'email' && inputType === 'email') || (fieldType === 'phone' && inputType === 'tel')) {
+    return { score: 1, source: 'type', labelText: inputType };
+  }
+
+  let best = { score: 0, source: null, labelText: '' };
+  for (const label of labels) {
+    const keywordScore = scoreLabel(label.text, keywords);
+    const score = keywordScore * SOURCE_WEIGHTS[label.source] * fit;
+    if (score > best.score) best = { score, source: label.source, labelText: label.text };
+  }
+  return best;
+}
+
+/**
+ * Weight of the best keyword phrase found in the label (0 if ruled out)
+ */
+function scoreLabel(text, keywords) {
+  if (keywords.not.some(phrase => containsPhrase(text, phrase))) return 0;
+
+  let best = 0;
+  for (const [phrase, weight] of keywords.phrases) {
+    if (!containsPhrase(text, phrase)) continue;
+    // A label that is nothing but the phrase ("State") is the clearest signal
+    const score = text === phrase ? Math.min(1, weight + 0.1) : weight;
+    best = Math.max(best, score);
+  }
+  return best;
+}
+
+function containsPhrase(text, phrase) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  // \b does not work for Devanagari, so use explicit separators
+  return new RegExp(`(?:^|[^\\p{L}\\p{M}])${escaped}(?:$|[^\\p{L}\\p{M}])`, 'u').test(text);
+}
+
+/**
+ * Short text just before the control - a sibling label element or the previous table cell
+ */
+function getNearbyText(element) {
+  let current = element;
+  for (let depth = 0; depth < ANALYZER_CONFIG.NEARBY_DEPTH && current; depth++) {
+    let sibling = current.previousElementSibling;
+    while (sibling) {
+      if (!sibling.querySelector('input, select, textarea') && !/^(?:INPUT|SELECT|TEXTAREA)$/.test(sibling.tagName)) {
+        const text = (sibling.textContent || '').trim();
+        if (text) return text.length <= ANALYZER_CONFIG.MAX_NEARBY_TEXT ? text : '';
+      } else {
+        break; // Another control sits in between - its label is not ours
+      }
+      sibling = sibling.previousElementSibling;
+    }
+
+    // Bare text node right before the control ("State: <select>")
+    const textBefore = current.previousSibling;
+    if (textBefore && textBefore.nodeType === 3 && textBefore.textContent.trim()) {
+      const text = textBefore.textContent.trim();
+      return text.length <= ANALYZER_CONFIG.MAX_NEARBY_TEXT ? text : '';
+    }
+    current = current.parentElement;
+  }
+  return '';
+}
+
+function textWithoutControls(label) {
+  const clone = label.cloneNode(true);
+  clone.querySelectorAll('select, option, textarea').forEach(child => child.remove());
+  return clone.textContent;
+}
+
+/**
+ * "ctl00$ContentPlaceHolder1$txtConsumerName" → "consumer name"
+ */
+function splitIdentifier(identifier) {
+  const last = identifier.split(/[$:.]/).pop() || '';
+  return last
+    .replace(/^(?:txt|ddl|drp|cmb|cbo|lst|tb|ta|sel|inp)(?=[A-Z_])/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/[_\-]+/g, ' ')
+    .replace(/\d+/g, ' ');
+}
+
+function cleanLabel(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[*:()\[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function cssEscape(value) {
+  return typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(value) : value.replace(/["\\]/g, '\\$&');
+}
+
+export default {
+  FIELD_KEYWORDS,
+  analyzeForm,
+  getFormControls,
+  getControlLabels
+};
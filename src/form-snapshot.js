@@ -0,0 +1,205 @@
+/**
+ * AutoComplaint - Form Snapshot and Undo
+ * Records each portal control's value, selected index and checked state just
+ * before the filler first writes to it, so an autofill can be undone.
+ * The snapshot lives in the page's sessionStorage, so it outlives the popup
+ * and in-page overlays for as long as the tab stays on the portal.
+ */
+
+import { getNodePath } from './field-provenance.js';
+
+const SNAPSHOT_KEY = 'autoComplaintFormSnapshot';
+const UNDO_BUTTON_ID = 'autocomplaint-undo';
+
+// Elements from the latest run on this page, used before falling back to stored paths
+let liveEntries = null;
+
+/**
+ * Start a snapshot for one autofill run
+ * record(element) keeps the element's state the first time it is seen;
+ * save() stores the snapshot for restoreFormSnapshot()
+ */
+export function createFormSnapshot(portalId) {
+  const entries = [];
+  const seen = new Set();
+  let saved = false;
+
+  const persist = () => {
+    liveEntries = entries;
+    const stored = {
+      portal: portalId,
+      url: window.location.href,
+      takenAt: new Date().toISOString(),
+      entries: entries.map(entry => entry.state)
+    };
+    try {
+      window.sessionStorage.setItem(SNAPSHOT_KEY, JSON.stringify(stored));
+    } catch (error) {
+      console.warn('⚠️ SNAPSHOT - Could not store the undo snapshot:', error);
+    }
+  };
+
+  return {
+    record(element) {
+      if (!element || seen.has(element)) return;
+      seen.add(element);
+      entries.push({ element, state: readControlState(element) });
+      // Late writes (the "Other" free-text box) land after save()
+      if (saved) persist();
+    },
+
+    get size() {
+      return entries.length;
+    },
+
+    save() {
+      if (entries.length === 0) return false;
+      saved = true;
+      persist();
+      console.log(`📸 SNAPSHOT - Saved state of ${entries.length} control(s) before autofill`);
+      return true;
+    }
+  };
+}
+
+/**
+ * The stored snapshot for this tab, or null
+ */
+export function getFormSnapshot() {
+  try {
+    const stored = JSON.parse(window.sessionStorage.getItem(SNAPSHOT_KEY) || 'null');
+    return stored && Array.isArray(stored.entries) ? stored : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Put every recorded control back the way it was and fire input/change events
+ * Returns { restored, missing } counts; the snapshot is cleared afterwards
+ */
+export function restoreFormSnapshot(root = document) {
+  const stored = getFormSnapshot();
+  if (!stored) return { restored: 0, missing: 0 };
+
+  const live = liveEntries || [];
+  let restored = 0;
+  let missing = 0;
+
+  stored.entries.forEach((state, index) => {
+    const liveEntry = live[index];
+    const element = liveEntry && liveEntry.element.isConnected
+      ? liveEntry.element
+      : root.querySelector(state.path);
+
+    if (!element || element.tagName !== state.tagName) {
+      missing++;
+      return;
+    }
+    writeControlState(element, state);
+    restored++;
+  });
+
+  clearFormSnapshot();
+  console.log(`↩️ SNAPSHOT - Restored ${restored} control(s)${missing ? `, ${missing} no longer on the page` : ''}`);
+  return { restored, missing };
+}
+
+/**
+ * Forget the stored snapshot
+ */
+export function clearFormSnapshot() {
+  liveEntries = null;
+  try {
+    window.sessionStorage.removeItem(SNAPSHOT_KEY);
+  } catch (error) {
+    // Storage blocked by the page - nothing stored to clear
+  }
+  const button = document.getElementById(UNDO_BUTTON_ID);
+  if (button) button.remove();
+}
+
+/**
+ * Floating "Undo autofill" action; onUndo runs when it is clicked
+ */
+export function showUndoButton(onUndo) {
+  const existing = document.getElementById(UNDO_BUTTON_ID);
+  if (existing) existing.remove();
+
+  const bar = document.createElement('div');
+  bar.id = UNDO_BUTTON_ID;
+  bar.style.cssText = `
+    position: fixed; bottom: 20px; right: 20px; z-index: 2147483645;
+    display: flex; align-items: center; gap: 8px;
+    background: #202124; color: white; padding: 10px 14px;
+    border-radius: 6px; font-family: Arial, sans-serif; font-size: 13px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.25);
+  `;
+
+  const label = document.createElement('span');
+  label.textContent = 'AutoComplaint filled this form.';
+  const undo = document.createElement('button');
+  undo.textContent = 'Undo autofill';
+  undo.style.cssText = 'background: none; border: none; color: #8ab4f8; font: inherit; font-weight: bold; cursor: pointer;';
+  const dismiss = document.createElement('button');
+  dismiss.textContent = '×';
+  dismiss.title = 'Hide (undo stays available from the extension popup)';
+  dismiss.style.cssText = 'background: none; border: none; color: #bdc1c6; font-size: 16px; cursor: pointer;';
+
+  undo.addEventListener('click', () => onUndo());
+  dismiss.addEventListener('click', () => bar.remove());
+
+  bar.appendChild(label);
+  bar.appendChild(undo);
+  bar.appendChild(dismiss);
+  document.body.appendChild(bar);
+}
+
+function readControlState(element) {
+  return {
+    path: getNodePath(element),
+    tagName: element.tagName,
+    value: element.value,
+    selectedIndex: element.tagName === 'SELECT' ? element.selectedIndex : null,
+    selectedText: element.tagName === 'SELECT' && element.selectedIndex >= 0 ? element.options[element.selectedIndex].text : null,
+    checked: 'checked' in element ? element.checked : null
+  };
+}
+
+function writeControlState(element, state) {
+  if (element.type === 'file') {
+    // Attached files cannot be put back - only an input that was empty can be restored
+    if (state.value === '') element.value = '';
+  } else if (element.tagName === 'SELECT') {
+    // Dependent selects may have reloaded their options, so an index can point at another choice
+    const index = findSnapshotOption(element, state);
+    if (index === -1) return;
+    element.selectedIndex = index;
+  } else {
+    element.value = state.value;
+  }
+  if (state.checked !== null && 'checked' in element) element.checked = state.checked;
+
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Option matching the saved value, then the saved text; the index only for snapshots without a value
+function findSnapshotOption(select, state) {
+  const options = Array.from(select.options);
+  if (state.value !== undefined && state.value !== null) {
+    const byValue = options.findIndex(option => option.value === state.value);
+    if (byValue !== -1) return byValue;
+    return state.selectedText ? options.findIndex(option => option.text === state.selectedText) : -1;
+  }
+  const index = state.selectedIndex;
+  return index !== null && index !== undefined && index < options.length ? index : -1;
+}
+
+export default {
+  createFormSnapshot,
+  getFormSnapshot,
+  restoreFormSnapshot,
+  clearFormSnapshot,
+  showUndoButton
+};
@@ -0,0 +1,96 @@
+/**
+ * AutoComplaint - Grievance Lifecycle
+ * Escalation deadlines per grievance portal and the follow-up reminders
+ * scheduled once a complaint is filed with a docket number.
+ * Used by the background worker (chrome.alarms) and the popup timeline.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alarm names look like "autocomplaint-reminder|<store order id>|<reminder index>"
+const ALARM_PREFIX = 'autocomplaint-reminder';
+
+// When to follow up after filing, per portal
+export const ESCALATION_SCHEDULES = {
+  nch: {
+    name: 'National Consumer Helpline',
+    hosts: ['consumerhelpline.gov.in'],
+    deadlines: [
+      { days: 7, label: 'Check whether the company has replied on the NCH docket' },
+      { days: 30, label: 'No resolution after 30 days - escalate to the consumer commission via e-Daakhil' }
+    ]
+  },
+  cpgrams: {
+    name: 'CPGRAMS',
+    hosts: ['pgportal.gov.in'],
+    deadlines: [
+      { days: 21, label: 'CPGRAMS resolution deadline reached - check the grievance status' },
+      { days: 30, label: 'File an appeal against the CPGRAMS reply if it is unsatisfactory' }
+    ]
+  },
+  edaakhil: {
+    name: 'e-Daakhil',
+    hosts: ['edaakhil.nic.in'],
+    deadlines: [
+      { days: 21, label: 'Check whether the commission has admitted your e-Daakhil complaint' }
+    ]
+  },
+  default: {
+    name: 'Grievance portal',
+    hosts: [],
+    deadlines: [
+      { days: 15, label: 'Follow up on your complaint' },
+      { days: 30, label: 'Still unresolved after 30 days - consider escalating' }
+    ]
+  }
+};
+
+/**
+ * Pick the escalation schedule for the portal a complaint was filed on
+ */
+export function getEscalationSchedule(portalUrl) {
+  let host = '';
+  try {
+    host = new URL(portalUrl).hostname;
+  } catch (error) {
+    // Unknown portal - default schedule
+  }
+
+  const entry = Object.entries(ESCALATION_SCHEDULES)
+    .find(([, schedule]) => schedule.hosts.some(portalHost => host.endsWith(portalHost)));
+  const [portal, schedule] = entry || ['default', ESCALATION_SCHEDULES.default];
+  return { portal, ...schedule };
+}
+
+/**
+ * Reminder records for a complaint filed at filedAt
+ */
+export function buildReminders(orderStoreId, portalUrl, filedAt) {
+  const schedule = getEscalationSchedule(portalUrl);
+  const filedTime = Date.parse(filedAt);
+
+  return schedule.deadlines.map((deadline, index) => ({
+    alarmName: [ALARM_PREFIX, orderStoreId, index].join('|'),
+    dueAt: new Date(filedTime + deadline.days * DAY_MS).toISOString(),
+    label: deadline.label,
+    portal: schedule.portal,
+    firedAt: null
+  }));
+}
+
+/**
+ * Read the order ID and reminder index back out of an alarm name
+ * Returns null for alarms that are not AutoComplaint reminders
+ */
+export function parseReminderAlarm(alarmName) {
+  const [prefix, orderStoreId, index] = (alarmName || '').split('|');
+  if (prefix !== ALARM_PREFIX || !orderStoreId) return null;
+  return { orderStoreId, index: Number(index) };
+}
+
+export default {
+  ESCALATION_SCHEDULES,
+  getEscalationSchedule,
+  buildReminders,
+  parseReminderAlarm
+};
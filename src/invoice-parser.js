@@ -0,0 +1,262 @@
+/**
+ * AutoComplaint - Invoice Parser
+ * Reads order details from a downloaded tax invoice PDF. The PDF's text layer
+ * goes through the NER extractor like page text; invoice rules then pick out
+ * what order pages rarely show - GSTINs, the invoice number and date, HSN codes
+ * and the seller's registered address. Everything runs locally in the popup.
+ */
+
+import { extractPdfText } from './pdf-text.js';
+import { extractOrderInfoWithNER } from './ner-extractor.js';
+import { normalizeDate } from './date-normalizer.js';
+import { FIELD_SOURCE_TYPES, setFieldMeta, textLocation } from './field-provenance.js';
+
+export const MAX_INVOICE_BYTES = 15 * 1024 * 1024;
+
+// Indian tax invoices: DD/MM dates, rupee amounts
+const INVOICE_LOCALE = 'en-IN';
+
+const GSTIN_PATTERN = /\b\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]\b/g;
+const INVOICE_NUMBER_PATTERN = /invoice\s*(?:no\.?|number|num|#)\s*[:#.-]*\s*([A-Z0-9][A-Z0-9\-/]{3,30})/i;
+const INVOICE_DATE_PATTERN = /invoice\s*date\s*[:-]?\s*([^\n]{6,30})/i;
+const ORDER_ID_PATTERN = /order\s*(?:id|no\.?|number|#)\s*[:#.-]*\s*([A-Z0-9][A-Z0-9-]{5,30})/i;
+const HSN_PATTERN = /\bHSN(?:\s*\/\s*SAC)?(?:\s*code)?\s*[:-]?\s*(\d{4,8})\b/gi;
+// Header row of the items table, and invoice headings NER mistakes for products
+const ITEM_TABLE_HEADER = /\b(?:description|product|item)s?\b.*\b(?:qty|quantity|price|amount|rate)\b/i;
+const INVOICE_HEADING = /tax\s*invoice|bill\s*of\s*supply|cash\s*memo|^invoice$/i;
+
+// Labels before a GSTIN that say whose it is, checked closest-first
+const SELLER_CONTEXT = /sold\s*by|seller|supplier|ship-?from|registered|regd|gst\s*registration/gi;
+const BUYER_CONTEXT = /buyer|bill(?:ing)?\s*(?:to|address)|ship(?:ping)?\s*(?:to|address)|customer|recipient|consignee|deliver(?:y|ed)\s*(?:to|address)/gi;
+const GSTIN_CONTEXT_WINDOW = 120;
+
+const SELLER_LABEL = /(?:sold\s*by|seller(?:\s*name)?|supplier(?:\s*name)?)\s*[:-]?\s*/i;
+const ADDRESS_LABEL = /(?:registered\s*(?:office\s*)?address|regd\.?\s*(?:office|address)|ship-?from\s*address)\s*[:-]?\s*/i;
+// Where a seller or address block ends
+const BLOCK_END = /\b(?:PAN|GSTIN|GST\s*Reg|CIN|FSSAI|Billing\s*Address|Shipping\s*Address|Bill\s*To|Ship\s*To|Invoice\s*(?:No|Number|Date|Details)|Order\s*(?:ID|No|Number|Date)|Buyer|State\/UT\s*Code)\b/i;
+const MAX_BLOCK_LENGTH = 300;
+
+// Order fields an invoice can supply, in the order the popup shows them
+const MERGED_FIELDS = ['orderId', 'productName', 'productValue', 'orderDate', 'sellerName', 'location'];
+
+/**
+ * Read an invoice PDF (File or Blob) into an order-shaped extraction
+ * Throws when the file is not a readable PDF or has no text layer
+ */
+export async function parseInvoicePdf(file) {
+  if (file.size > MAX_INVOICE_BYTES) {
+    throw new Error(`Invoice is larger than ${MAX_INVOICE_BYTES / (1024 * 1024)} MB`);
+  }
+
+  const { text, pageCount } = await extractPdfText(await file.arrayBuffer());
+  if (!text) throw new Error('This PDF has no text to read - it may be a scanned invoice');
+
+  const extracted = await extractInvoiceOrder(text);
+  extracted.invoice = { ...extracted.invoice, fileName: file.name || 'invoice.pdf', pageCount };
+  return extracted;
+}
+
+/**
+ * Run invoice text through the NER extractor and the invoice rules
+ * Labelled invoice values win over NER guesses for the same field
+ */
+export async function extractInvoiceOrder(text) {
+  const extracted = await extractOrderInfoWithNER(text, '', INVOICE_LOCALE);
+  const invoice = extractInvoiceDetails(text);
+
+  const setInvoiceField = (field, value, confidence) => {
+    if (!value) return;
+    extracted[field] = value;
+    if (!extracted.extractedFields.includes(field)) extracted.extractedFields.push(field);
+    setFieldMeta(extracted, field, {
+      confidence,
+      sourceType: FIELD_SOURCE_TYPES.INVOICE,
+      source: 'invoice-pdf',
+      location: textLocation(text, value)
+    });
+  };
+
+  setInvoiceField('orderId', invoice.orderId, 0.9);
+  if (invoice.productName) {
+    setInvoiceField('productName', invoice.productName, 0.75);
+  } else if (INVOICE_HEADING.test(extracted.productName)) {
+    extracted.productName = '';
+    delete extracted.fieldMeta.productName;
+  }
+  setInvoiceField('sellerName', invoice.sellerName, 0.85);
+  if (!extracted.orderDate && invoice.invoiceDate) {
+    // Marketplaces invoice on the order day or the day it ships
+    setInvoiceField('orderDate', invoice.invoiceDate, 0.6);
+  }
+  setInvoiceField('location', formatDealerInfo(invoice), 0.85);
+
+  extracted.invoice = invoice;
+  extracted.extractionMethod = `invoice-pdf+${extracted.extractionMethod}`;
+  console.log('🧾 INVOICE - Extracted invoice details:', invoice);
+  return extracted;
+}
+
+/**
+ * Invoice-only details from the invoice text
+ * Returns { invoiceNumber, invoiceDate, orderId, productName, sellerName, sellerAddress, sellerGstin, buyerGstin, hsnCodes }
+ */
+export function extractInvoiceDetails(text) {
+  const invoiceNumber = firstGroup(text, INVOICE_NUMBER_PATTERN, value => /\d/.test(value));
+  const orderId = firstGroup(text, ORDER_ID_PATTERN, value => /\d/.test(value));
+  const invoiceDateText = firstGroup(text, INVOICE_DATE_PATTERN);
+  const invoiceDate = invoiceDateText ? normalizeDate(invoiceDateText, { locale: INVOICE_LOCALE }) : null;
+  const { sellerGstin, buyerGstin } = classifyGstins(text);
+  const { sellerName, sellerAddress } = readSellerBlock(text);
+  const hsnCodes = [...new Set([...text.matchAll(HSN_PATTERN)].map(match => match[1]))];
+
+  return {
+    invoiceNumber,
+    invoiceDate: invoiceDate ? invoiceDate.iso : '',
+    orderId,
+    productName: readFirstItem(text),
+    sellerName,
+    sellerAddress,
+    sellerGstin,
+    buyerGstin,
+    hsnCodes
+  };
+}
+
+/**
+ * Work out which stored fields an invoice extraction should change
+ * A field is taken from the invoice when the order has none, or when the
+ * order's value was flagged for review and the user has not edited it.
+ * Returns { changes, filled, conflict } - conflict is set when the invoice
+ * names a different order ID than the order already has
+ */
+export function mergeInvoiceIntoOrder(order, extracted) {
+  const current = order || {};
+  const currentMeta = current.fieldMeta || {};
+  const invoiceMeta = extracted.fieldMeta || {};
+  const changes = { fieldMeta: { ...currentMeta } };
+  const filled = [];
+
+  MERGED_FIELDS.forEach(field => {
+    const value = extracted[field];
+    if (!value) return;
+
+    const meta = currentMeta[field];
+    const replaceable = !current[field] ||
+      (meta && meta.needsReview && meta.sourceType !== FIELD_SOURCE_TYPES.USER_EDIT &&
+        !(invoiceMeta[field] && invoiceMeta[field].needsReview));
+    if (!replaceable || current[field] === value) return;
+
+    changes[field] = value;
+    if (invoiceMeta[field]) changes.fieldMeta[field] = invoiceMeta[field];
+    filled.push(field);
+  });
+
+  if (changes.productValue && extracted.amountPaid) changes.amountPaid = extracted.amountPaid;
+  changes.invoice = { ...extracted.invoice, parsedAt: new Date().toISOString() };
+
+  const normalizeId = id => String(id || '').replace(/[^0-9A-Z]/gi, '').toUpperCase();
+  const conflict = current.orderId && extracted.orderId && normalizeId(current.orderId) !== normalizeId(extracted.orderId)
+    ? { field: 'orderId', order: current.orderId, invoice: extracted.orderId }
+    : null;
+
+  return { changes, filled, conflict };
+}
+
+/**
+ * Seller GSTIN and buyer GSTIN (if the invoice shows one), from the labels before each
+ */
+function classifyGstins(text) {
+  let sellerGstin = '';
+  let buyerGstin = '';
+
+  for (const match of text.matchAll(GSTIN_PATTERN)) {
+    const before = text.slice(Math.max(0, match.index - GSTIN_CONTEXT_WINDOW), match.index);
+    const sellerAt = lastMatchIndex(before, SELLER_CONTEXT);
+    const buyerAt = lastMatchIndex(before, BUYER_CONTEXT);
+
+    if (buyerAt > sellerAt) {
+      if (!buyerGstin) buyerGstin = match[0];
+    } else if (!sellerGstin) {
+      sellerGstin = match[0];
+    }
+  }
+  return { sellerGstin, buyerGstin };
+}
+
+/**
+ * Seller name and address from the "Sold By" block; a registered or
+ * ship-from address, when printed, is preferred as the address
+ */
+function readSellerBlock(text) {
+  const sellerBlock = readBlock(text, SELLER_LABEL);
+  const lines = sellerBlock ? sellerBlock.split('\n') : [];
+
+  // "Sold By: Retail Co , Ship-from Address: ..." keeps both on one line
+  const [firstLine = '', ...rest] = lines;
+  const sellerName = cleanText(firstLine.split(/\s,\s|,\s*(?=ship-?from)/i)[0]).replace(/[,.]$/, '');
+  const labelledAddress = readBlock(text, ADDRESS_LABEL);
+  const sellerAddress = cleanText((labelledAddress ? labelledAddress.split('\n') : rest).join(', '));
+
+  return { sellerName, sellerAddress };
+}
+
+/**
+ * First line of the items table, without its serial number, codes and amounts
+ */
+function readFirstItem(text) {
+  const lines = text.split('\n');
+  const header = lines.findIndex(line => ITEM_TABLE_HEADER.test(line));
+  if (header === -1) return '';
+
+  const row = lines.slice(header + 1).find(line => /[A-Za-z]{3,}/.test(line)) || '';
+  const name = row
+    .replace(/^\s*\d+[.)]?\s+/, '')
+    .split(/\s+\|\s+|\s+HSN\b/i)[0]
+    .replace(/(?:\s+(?:₹|Rs\.?|INR)?\s*-?[\d,]+(?:\.\d+)?%?)+\s*$/, '');
+  return cleanText(name).length >= 3 && !/^(?:total|hsn)/i.test(name) ? cleanText(name) : '';
+}
+
+// Text after a label, up to the next block label
+function readBlock(text, label) {
+  const match = label.exec(text);
+  if (!match) return '';
+
+  let block = text.slice(match.index + match[0].length, match.index + match[0].length + MAX_BLOCK_LENGTH);
+  const end = block.search(BLOCK_END);
+  if (end !== -1) block = block.slice(0, end);
+  return block.trim();
+}
+
+// Seller, address and GSTIN as one block for the portal's dealer field
+function formatDealerInfo({ sellerName, sellerAddress, sellerGstin }) {
+  if (!sellerAddress && !sellerGstin) return '';
+  return [sellerName, sellerAddress, sellerGstin && `GSTIN: ${sellerGstin}`].filter(Boolean).join('\n');
+}
+
+function firstGroup(text, pattern, accept = () => true) {
+  const match = text.match(pattern);
+  const value = match ? match[1].trim() : '';
+  return value && accept(value) ? value : '';
+}
+
+function lastMatchIndex(text, pattern) {
+  let last = -1;
+  for (const match of text.matchAll(pattern)) last = match.index;
+  return last;
+}
+
+function cleanText(text) {
+  return (text || '')
+    .replace(/^\s*\*\s*/, '')
+    .replace(/\s+/g, ' ')
+    .replace(/\s*,(?:\s*,)+/g, ',')
+    .replace(/^[\s,]+|[\s,]+$/g, '');
+}
+
+export default {
+  MAX_INVOICE_BYTES,
+  parseInvoicePdf,
+  extractInvoiceOrder,
+  extractInvoiceDetails,
+  mergeInvoiceIntoOrder
+};
@@ -0,0 +1,191 @@
+/**
+ * AutoComplaint - Learned Extraction Rules
+ * Per-domain rules the user taught by clicking the element that holds a field
+ * on a shop page. Each taught field becomes site-adapter lookups (selectors
+ * plus a label-anchored text pattern), stored in chrome.storage.local and
+ * run through extractWithSiteAdapter on later visits to the same domain.
+ */
+
+import { extractWithSiteAdapter } from './site-adapters.js';
+import { generateSelectors } from './selector-generator.js';
+
+const LEARNED_RULES_KEY = 'autoComplaintLearnedRules';
+
+// Fields that can be taught, with the labels shown in the teach panel
+export const TEACHABLE_FIELDS = {
+  orderId: 'Order ID',
+  productName: 'Product name',
+  productValue: 'Price / amount paid',
+  orderDate: 'Order date',
+  deliveryDate: 'Delivery date',
+  sellerName: 'Seller',
+  trackingNumber: 'Tracking number'
+};
+
+// Value shapes that hold across orders on the same site
+const MONEY_SHAPE = '(?:₹|Rs\\.?|INR)?\\s*[\\d,]+(?:\\.\\d{1,2})?';
+const DATE_SHAPE = '\\d{1,2}(?:st|nd|rd|th)?\\s+[A-Za-z]{3,9},?\\s+\\d{4}|[A-Za-z]{3,9}\\s+\\d{1,2},?\\s+\\d{4}|\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}';
+// Names and sellers have no shape - inside their own element they run to its end
+const FREE_TEXT_SHAPE = '.{2,80}';
+const MAX_LABEL_LENGTH = 30;
+
+/**
+ * Storage key for a page: its hostname without "www."
+ */
+export function getRuleDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Turn one taught element into site-adapter lookups (JSON-safe: patterns are strings)
+ * value: the part of the element's text the user confirmed as the field value
+ */
+export function buildLearnedLookups(field, element, value, root = document) {
+  const text = normalize(element.textContent);
+  const shape = valueShape(field, value);
+  const lookups = [];
+
+  // Element lookups - narrowed to the value when the element holds more text than that
+  let pattern = null;
+  if (text !== value) {
+    const label = labelBefore(text, value);
+    pattern = `${label ? `${escapeRegex(label)}\\s*` : ''}(${shape || FREE_TEXT_SHAPE})`;
+  }
+  generateSelectors(element, root).forEach(selector => {
+    lookups.push(pattern ? { selector, pattern } : { selector });
+  });
+
+  // Text lookup anchored at the label printed before the value - survives markup
+  // changes, but only for values with a recognisable shape
+  const label = shape && labelBefore(normalize((element.parentElement || element).textContent), value);
+  if (label) lookups.push({ text: `${escapeRegex(label)}\\s*(${shape})` });
+
+  return lookups;
+}
+
+/**
+ * Save the lookups taught for one field on a domain
+ */
+export async function saveLearnedField(domain, field, lookups, sample) {
+  if (!domain || !TEACHABLE_FIELDS[field] || !Array.isArray(lookups) || lookups.length === 0) {
+    throw new Error('A learned rule needs a domain, a known field and at least one lookup');
+  }
+
+  const all = await readRules();
+  const now = new Date().toISOString();
+  const rule = all[domain] || { fields: {} };
+  rule.fields[field] = { lookups, sample, learnedAt: now };
+  rule.updatedAt = now;
+  all[domain] = rule;
+
+  await chrome.storage.local.set({ [LEARNED_RULES_KEY]: all });
+  console.log(`🎓 LEARNED RULES - Saved ${field} for ${domain}:`, lookups);
+  return rule;
+}
+
+/**
+ * Stored rule for a domain ({ fields: { field: { lookups, sample, learnedAt } } }), or null
+ */
+export async function getLearnedRule(domain) {
+  const all = await readRules();
+  return all[domain] || null;
+}
+
+/**
+ * Forget everything taught for a domain
+ */
+export async function clearLearnedRules(domain) {
+  const all = await readRules();
+  if (!all[domain]) return false;
+
+  delete all[domain];
+  await chrome.storage.local.set({ [LEARNED_RULES_KEY]: all });
+  console.log(`🎓 LEARNED RULES - Cleared rules for ${domain}`);
+  return true;
+}
+
+/**
+ * Run the rule taught for this page's domain
+ * Returns { adapterId, fields, fieldMeta } like extractWithSiteAdapter, or null when nothing was taught
+ */
+export async function extractWithLearnedRules(root = document, url = window.location.href) {
+  const domain = getRuleDomain(url);
+  const rule = domain ? await getLearnedRule(domain) : null;
+  if (!rule) return null;
+
+  return extractWithSiteAdapter(toSiteAdapter(domain, rule), root, url);
+}
+
+/**
+ * Stored rule as a site adapter, with the string patterns compiled
+ */
+function toSiteAdapter(domain, rule) {
+  const fields = {};
+  for (const [field, { lookups }] of Object.entries(rule.fields)) {
+    fields[field] = lookups.map(lookup => {
+      const compiled = { ...lookup };
+      if (lookup.pattern) compiled.pattern = new RegExp(lookup.pattern, 'i');
+      if (lookup.text) compiled.text = new RegExp(lookup.text, 'i');
+      return compiled;
+    });
+  }
+  return { id: `learned:${domain}`, name: `Learned rules for ${domain}`, urlPatterns: [], fields };
+}
+
+/**
+ * Regex for values of this field that look like the taught one, or null for free text
+ */
+function valueShape(field, value) {
+  if (field === 'productValue') return MONEY_SHAPE;
+  if (field === 'orderDate' || field === 'deliveryDate') return DATE_SHAPE;
+  if (field === 'orderId' || field === 'trackingNumber') {
+    // Short letter prefixes ("OD", "FN") stay literal; digit and letter runs keep their length
+    return value.replace(/\s+/g, ' ').match(/\d+|[A-Za-z]+|[^\dA-Za-z]+/g).map((run, index) => {
+      if (/^\d+$/.test(run)) return `\\d{${run.length}}`;
+      if (/^[A-Za-z]+$/.test(run)) return index === 0 && run.length <= 4 ? escapeRegex(run) : `[A-Za-z]{${run.length}}`;
+      return run === ' ' ? '\\s*' : escapeRegex(run);
+    }).join('');
+  }
+  return null;
+}
+
+/**
+ * Label text printed right before the value ("Order ID:"), or ''
+ */
+function labelBefore(text, value) {
+  const offset = text.indexOf(value);
+  if (offset <= 0) return '';
+  let before = text.slice(Math.max(0, offset - MAX_LABEL_LENGTH), offset);
+  // Start at a word boundary when the window cut into a word
+  if (offset > MAX_LABEL_LENGTH) before = before.replace(/^\S*\s+/, '');
+  // Only the text after the last digit - numbers before the label change per order
+  const label = before.match(/[^\d]*$/)[0].trim();
+  return /[A-Za-z]{2,}/.test(label) ? label : '';
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function readRules() {
+  const { [LEARNED_RULES_KEY]: all } = await chrome.storage.local.get(LEARNED_RULES_KEY);
+  return all || {};
+}
+
+export default {
+  TEACHABLE_FIELDS,
+  getRuleDomain,
+  buildLearnedLookups,
+  saveLearnedField,
+  getLearnedRule,
+  clearLearnedRules,
+  extractWithLearnedRules
+};
@@ -0,0 +1,289 @@
+/**
+ * AutoComplaint - Line Item Extraction
+ * Finds the individual items of a multi-item order from table rows or
+ * repeated DOM blocks on the order page
+ */
+
+import { getNodePath } from './field-provenance.js';
+
+const LINE_ITEM_CONFIG = {
+  MAX_ITEMS: 20,
+  MIN_NAME_LENGTH: 3,
+  MAX_NAME_LENGTH: 200,
+  MAX_BLOCK_TEXT: 1500
+};
+
+// Money amounts as they appear on order pages (₹1,299.00, Rs. 499, $19.99)
+const MONEY_PATTERN = /(?:[\$₹£€¥]|rs\.?|inr)\s*[\d,]+(?:\.\d{1,2})?/gi;
+const MONEY_TEST = new RegExp(MONEY_PATTERN.source, 'i');
+
+const QUANTITY_PATTERNS = [
+  /(?:qty|quantity)\s*[:\-]?\s*(\d{1,3})/i,
+  /(\d{1,3})\s*(?:x\b|×)/i,
+  /\b(\d{1,3})\s*(?:items?|pcs?|pieces?|units?|nos?)\b/i
+];
+
+const SELLER_PATTERN = /(?:sold by|seller)\s*[:\-]?\s*([^\n|·•]{2,60})/i;
+
+const STATUS_PATTERN = /\b(out for delivery|in transit|return requested|refund (?:initiated|processed|completed)|delivered|shipped|dispatched|cancelled|canceled|returned|refunded|packed|ordered|confirmed)\b/i;
+
+// Table header words mapped to item fields
+const COLUMN_KEYWORDS = {
+  name: ['item', 'product', 'description', 'particulars', 'name'],
+  quantity: ['qty', 'quantity', 'units'],
+  unitPrice: ['unit price', 'rate', 'price', 'mrp'],
+  lineTotal: ['total', 'amount', 'subtotal', 'net'],
+  seller: ['seller', 'sold by', 'vendor'],
+  status: ['status']
+};
+
+// Class/id fragments that mark an element as one item of an order
+const ITEM_BLOCK_SELECTORS = [
+  '[class*="line-item"]', '[class*="lineitem"]', '[class*="order-item"]',
+  '[class*="shipment"]', '[class*="product"]', '[class*="item"]',
+  '[data-item-id]', '[data-product-id]'
+];
+
+/**
+ * Extract line items from the order page
+ */
+export function extractLineItems(root = document) {
+  console.log('📦 LINE ITEMS - Searching for order line items...');
+
+  let items = extractItemsFromTables(root);
+  let method = 'table-rows';
+
+  if (items.length === 0) {
+    items = extractItemsFromRepeatedBlocks(root);
+    method = 'repeated-blocks';
+  }
+
+  items = dedupeItems(items).slice(0, LINE_ITEM_CONFIG.MAX_ITEMS);
+
+  console.log(`📦 LINE ITEMS - Found ${items.length} item(s) via ${items.length ? method : 'none'}:`, items);
+  return items;
+}
+
+/**
+ * Read items from table rows, using the header row to map columns
+ */
+function extractItemsFromTables(root) {
+  const items = [];
+
+  for (const table of root.querySelectorAll('table')) {
+    const rows = [...table.querySelectorAll('tr')];
+    if (rows.length < 2) continue;
+
+    const headerRow = rows.find(row => row.querySelector('th')) || rows[0];
+    const columns = mapColumns(headerRow);
+    if (columns.name === undefined || (columns.unitPrice === undefined && columns.lineTotal === undefined)) {
+      continue;
+    }
+
+    for (const row of rows) {
+      if (row === headerRow) continue;
+
+      const cells = [...row.querySelectorAll('td, th')].map(cell => getText(cell));
+      const name = cleanName(cells[columns.name]);
+      if (!name || /^(?:sub\s*)?total|grand total|shipping|delivery|discount|tax/i.test(name)) continue;
+
+      const unitPrice = findMoney(cells[columns.unitPrice]);
+      const lineTotal = findMoney(cells[columns.lineTotal]);
+      if (!unitPrice && !lineTotal) continue;
+
+      items.push(buildItem({
+        name,
+        quantity: parseQuantity(cells[columns.quantity]),
+        unitPrice,
+        lineTotal,
+        seller: columns.seller !== undefined ? cells[columns.seller] : '',
+        status: columns.status !== undefined ? cells[columns.status] : '',
+        source: 'table-row',
+        element: row
+      }));
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Map header cell positions to item fields
+ */
+function mapColumns(headerRow) {
+  const columns = {};
+  const headers = [...headerRow.querySelectorAll('th, td')].map(cell => getText(cell).toLowerCase());
+
+  headers.forEach((header, index) => {
+    for (const [field, keywords] of Object.entries(COLUMN_KEYWORDS)) {
+      if (columns[field] !== undefined) continue;
+      if (keywords.some(keyword => header.includes(keyword))) {
+        columns[field] = index;
+        break;
+      }
+    }
+  });
+
+  return columns;
+}
+
+/**
+ * Read items from sibling blocks that share the same tag and class signature
+ */
+function extractItemsFromRepeatedBlocks(root) {
+  const groups = new Map();
+
+  for (const selector of ITEM_BLOCK_SELECTORS) {
+    for (const element of root.querySelectorAll(selector)) {
+      if (!element.parentElement) continue;
+
+      const text = getText(element);
+      if (text.length > LINE_ITEM_CONFIG.MAX_BLOCK_TEXT || !findMoney(text)) continue;
+
+      const key = `${getSignature(element.parentElement)}>${getSignature(element)}`;
+      if (!groups.has(key)) {
+        groups.set(key, { parent: element.parentElement, elements: new Set() });
+      }
+      // Only direct siblings count as repetitions of one block
+      if (groups.get(key).parent === element.parentElement) {
+        groups.get(key).elements.add(element);
+      }
+    }
+  }
+
+  // Prefer the group with the most repetitions, then the innermost (shortest) blocks
+  const bestGroup = [...groups.values()]
+    .map(group => [...group.elements].filter(el => ![...group.elements].some(other => other !== el && other.contains(el))))
+    .filter(elements => elements.length > 0)
+    .sort((a, b) => b.length - a.length || averageTextLength(a) - averageTextLength(b))[0];
+
+  if (!bestGroup) return [];
+
+  return bestGroup
+    .map(block => parseItemBlock(block))
+    .filter(item => item.name);
+}
+
+/**
+ * Parse one repeated block into an item record
+ */
+function parseItemBlock(block) {
+  const text = getText(block, true);
+  const amounts = [...text.matchAll(MONEY_PATTERN)].map(match => match[0].trim());
+  const quantity = parseQuantity(text);
+
+  // With several amounts the last one is usually the line total
+  const unitPrice = amounts[0] || '';
+  const lineTotal = amounts.length > 1 && quantity > 1 ? amounts[amounts.length - 1] : unitPrice;
+
+  const sellerMatch = text.match(SELLER_PATTERN);
+
+  return buildItem({
+    name: findItemName(block, text),
+    quantity,
+    unitPrice,
+    lineTotal,
+    seller: sellerMatch ? sellerMatch[1] : '',
+    status: text,
+    source: 'repeated-block',
+    element: block
+  });
+}
+
+/**
+ * Pick the item name from title-like children, else the first descriptive line
+ */
+function findItemName(block, text) {
+  const titleElement = block.querySelector(
+    '[class*="title"], [class*="name"], h1, h2, h3, h4, h5, a[href*="/dp/"], a[href*="/p/"], a'
+  );
+  const titleText = titleElement ? cleanName(getText(titleElement)) : '';
+  if (titleText) return titleText;
+
+  const line = text.split('\n')
+    .map(candidate => cleanName(candidate))
+    .find(candidate => candidate && !MONEY_TEST.test(candidate) && !STATUS_PATTERN.test(candidate));
+
+  return line || '';
+}
+
+/**
+ * Normalize an item record
+ */
+function buildItem({ name, quantity, unitPrice, lineTotal, seller, status, source, element }) {
+  const statusMatch = (status || '').match(STATUS_PATTERN);
+
+  return {
+    name: cleanName(name),
+    quantity: quantity || 1,
+    unitPrice: unitPrice || lineTotal || '',
+    lineTotal: lineTotal || unitPrice || '',
+    seller: (seller || '').trim(),
+    status: statusMatch ? statusMatch[1].toLowerCase() : '',
+    source,
+    nodePath: getNodePath(element)
+  };
+}
+
+/**
+ * Drop items repeated by nested matches or duplicated layouts
+ */
+function dedupeItems(items) {
+  const seen = new Set();
+  return items.filter(item => {
+    const key = `${item.name.toLowerCase()}|${item.lineTotal}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function parseQuantity(text) {
+  if (!text) return 1;
+  if (/^\s*\d{1,3}\s*$/.test(text)) return parseInt(text, 10);
+
+  for (const pattern of QUANTITY_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) return parseInt(match[1], 10);
+  }
+  return 1;
+}
+
+function findMoney(text) {
+  if (!text) return '';
+  const match = text.match(MONEY_TEST);
+  return match ? match[0].trim() : '';
+}
+
+function cleanName(text) {
+  if (!text) return '';
+  const name = text.replace(/\s+/g, ' ').trim();
+  if (name.length < LINE_ITEM_CONFIG.MIN_NAME_LENGTH || name.length > LINE_ITEM_CONFIG.MAX_NAME_LENGTH) return '';
+  if (!/[a-z]/i.test(name)) return '';
+  return name;
+}
+
+function getText(element, keepLines = false) {
+  if (!element) return '';
+  if (!keepLines) return (element.textContent || '').replace(/\s+/g, ' ').trim();
+
+  // One line per text node so labels and values stay apart
+  const lines = [];
+  const walker = element.ownerDocument.createTreeWalker(element, 4 /* NodeFilter.SHOW_TEXT */);
+  while (walker.nextNode()) {
+    const line = walker.currentNode.nodeValue.replace(/\s+/g, ' ').trim();
+    if (line) lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+function getSignature(element) {
+  const className = typeof element.className === 'string' ? element.className.trim().split(/\s+/).sort().join('.') : '';
+  return `${element.tagName.toLowerCase()}${className ? '.' + className : ''}`;
+}
+
+function averageTextLength(elements) {
+  return elements.reduce((sum, el) => sum + getText(el).length, 0) / elements.length;
+}
+
+export default { extractLineItems };
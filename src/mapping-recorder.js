@@ -0,0 +1,217 @@
+/**
+ * AutoComplaint - Field Mapping Recorder
+ * Recording mode for pages our rules no longer understand: the user clicks an
+ * element, says which field it is, and onSave stores whatever the caller
+ * derives from it. Repeats until Done or Escape. Used for portal form
+ * controls and for teaching extraction fields on shop pages.
+ */
+
+import { pickElement, cancelPick } from './element-picker.js';
+
+const RECORDER_ID = 'autocomplaint-mapping-recorder';
+
+const RECORDER_STYLES = `
+  :host { all: initial; }
+  .panel {
+    position: fixed; bottom: 20px; left: 20px; z-index: 2147483647; width: 300px;
+    background: #fff; border-radius: 8px; box-shadow: 0 8px 28px rgba(0,0,0,0.3);
+    font-family: Arial, sans-serif; font-size: 13px; color: #202124;
+  }
+  .header { padding: 12px 14px; border-bottom: 1px solid #e0e0e0; }
+  .title { font-weight: bold; }
+  .status { margin-top: 4px; color: #5f6368; font-size: 12px; }
+  .chooser { display: none; padding: 10px 14px; border-bottom: 1px solid #e0e0e0; }
+  .chooser.open { display: block; }
+  select { width: 100%; padding: 4px; margin: 6px 0; font: inherit; }
+  .selector { color: #80868b; font-size: 11px; word-break: break-all; }
+  input[type="text"] { width: 100%; box-sizing: border-box; padding: 4px 6px; margin-bottom: 6px; border: 1px solid #dadce0; border-radius: 4px; font: inherit; }
+  ul { list-style: none; margin: 0; padding: 6px 14px; max-height: 160px; overflow: auto; }
+  li { padding: 3px 0; color: #188038; }
+  li.empty { color: #9aa0a6; }
+  .actions { display: flex; justify-content: flex-end; gap: 6px; padding: 8px 14px; }
+  button { padding: 6px 12px; border-radius: 4px; border: 1px solid #dadce0; background: #fff; font: inherit; cursor: pointer; }
+  button.primary { background: #1a73e8; border-color: #1a73e8; color: #fff; }
+`;
+
+/**
+ * Record field mappings on the current page
+ * title: panel heading; fields: { fieldType: label } offered in the chooser
+ * pickHint / accept: passed to pickElement for each click
+ * guess(element): field to preselect, if the caller can tell
+ * describe(element): text shown under the chooser (a selector, the element's text)
+ * editValue: show describe()'s text in an editable box - the user trims it to the value
+ * onSave(fieldType, element, value) stores one mapping and may be async
+ * Resolves the list of recorded { fieldType, value } when the user is done
+ */
+export function startMappingRecorder({
+  title,
+  fields,
+  pickHint = 'Click a field to record',
+  accept,
+  guess = () => null,
+  describe = () => '',
+  editValue = false,
+  onSave
+}) {
+  stopMappingRecorder();
+
+  return new Promise(resolve => {
+    const recorded = [];
+    let stopped = false;
+    let marked = null;
+
+    const host = document.createElement('div');
+    host.id = RECORDER_ID;
+    const shadow = host.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = RECORDER_STYLES;
+    shadow.appendChild(style);
+
+    const panel = element('div', 'panel');
+    const header = element('div', 'header');
+    header.appendChild(element('div', 'title', title));
+    const status = element('div', 'status', 'Click a field on the page.');
+    header.appendChild(status);
+    panel.appendChild(header);
+
+    const chooser = element('div', 'chooser');
+    const select = document.createElement('select');
+    Object.entries(fields).forEach(([fieldType, label]) => {
+      const option = document.createElement('option');
+      option.value = fieldType;
+      option.textContent = label || fieldType;
+      select.appendChild(option);
+    });
+    const valueInput = document.createElement('input');
+    valueInput.type = 'text';
+    valueInput.title = 'Trim this to just the value';
+    const selectorHint = element('div', 'selector');
+    const chooserActions = element('div', 'actions');
+    const skipButton = element('button', '', 'Skip');
+    const saveButton = element('button', 'primary', 'Save field');
+    chooserActions.appendChild(skipButton);
+    chooserActions.appendChild(saveButton);
+    chooser.appendChild(element('div', '', 'This field is:'));
+    chooser.appendChild(select);
+    if (editValue) chooser.appendChild(valueInput);
+    else chooser.appendChild(selectorHint);
+    chooser.appendChild(chooserActions);
+    panel.appendChild(chooser);
+
+    const list = document.createElement('ul');
+    panel.appendChild(list);
+    const actions = element('div', 'actions');
+    const doneButton = element('button', 'primary', 'Done');
+    actions.appendChild(doneButton);
+    panel.appendChild(actions);
+    shadow.appendChild(panel);
+
+    let pending = null;
+
+    const renderList = () => {
+      list.textContent = '';
+      if (recorded.length === 0) {
+        list.appendChild(element('li', 'empty', 'Nothing recorded yet'));
+        return;
+      }
+      recorded.forEach(({ fieldType, value }) => {
+        list.appendChild(element('li', '', `✓ ${fields[fieldType] || fieldType}${value ? `: ${value}` : ''}`));
+      });
+    };
+
+    const mark = (target) => {
+      if (marked) marked.element.style.outline = marked.outline;
+      marked = target ? { element: target, outline: target.style.outline } : null;
+      if (target) target.style.outline = '2px solid #1a73e8';
+    };
+
+    const nextPick = async () => {
+      chooser.classList.remove('open');
+      mark(null);
+      status.textContent = 'Click a field on the page.';
+      const picked = await pickElement(accept ? { hint: pickHint, accept } : { hint: pickHint });
+      if (stopped) return;
+      if (!picked) {
+        finish();
+        return;
+      }
+
+      pending = { element: picked };
+      mark(picked);
+      const unrecorded = Object.keys(fields).find(fieldType => !recorded.some(entry => entry.fieldType === fieldType));
+      select.value = guess(picked) || unrecorded || select.value;
+      selectorHint.textContent = valueInput.value = describe(picked) || '';
+      status.textContent = 'Which field is this?';
+      chooser.classList.add('open');
+      select.focus();
+    };
+
+    saveButton.addEventListener('click', async () => {
+      if (!pending) return;
+      const fieldType = select.value;
+      const value = editValue ? valueInput.value.trim() : '';
+      if (editValue && !value) {
+        status.textContent = 'Enter the value this element shows.';
+        return;
+      }
+      saveButton.disabled = true;
+      try {
+        await onSave(fieldType, pending.element, value);
+        const existing = recorded.findIndex(entry => entry.fieldType === fieldType);
+        if (existing >= 0) recorded.splice(existing, 1);
+        recorded.push({ fieldType, value });
+        renderList();
+      } catch (error) {
+        console.error('❌ MAPPING RECORDER - Could not save field:', error);
+        status.textContent = `Could not save: ${error.message}`;
+        return;
+      } finally {
+        saveButton.disabled = false;
+      }
+      pending = null;
+      nextPick();
+    });
+
+    skipButton.addEventListener('click', () => {
+      pending = null;
+      nextPick();
+    });
+
+    doneButton.addEventListener('click', () => finish());
+
+    function finish() {
+      if (stopped) return;
+      stopped = true;
+      cancelPick();
+      mark(null);
+      host.remove();
+      console.log(`🎯 MAPPING RECORDER - Finished with ${recorded.length} field(s) recorded`);
+      resolve(recorded);
+    }
+
+    host.autoComplaintStop = finish;
+    renderList();
+    document.body.appendChild(host);
+    console.log('🎯 MAPPING RECORDER - Recording started');
+    nextPick();
+  });
+}
+
+/**
+ * End a recording in progress, keeping what was already saved
+ */
+export function stopMappingRecorder() {
+  const existing = document.getElementById(RECORDER_ID);
+  if (!existing) return;
+  if (existing.autoComplaintStop) existing.autoComplaintStop();
+  else existing.remove();
+}
+
+function element(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+export default { startMappingRecorder, stopMappingRecorder };
@@ -0,0 +1,193 @@
+/**
+ * AutoComplaint - Money Parsing
+ * Turns price strings ("₹1,29,999.00", "Rs. 499", "$19.99", "₹1.5 lakh") into
+ * { amount, currency, raw } and works out what the customer actually paid
+ * from the price breakdown on an order page.
+ */
+
+// Currency markers as they appear in page text
+const CURRENCY_MARKERS = {
+  '₹': 'INR', 'rs': 'INR', 'rs.': 'INR', 'inr': 'INR',
+  '$': 'USD', 'usd': 'USD',
+  '€': 'EUR', 'eur': 'EUR',
+  '£': 'GBP', 'gbp': 'GBP',
+  '¥': 'JPY', 'jpy': 'JPY'
+};
+
+const CURRENCY_SYMBOLS = { INR: '₹', USD: '$', EUR: '€', GBP: '£', JPY: '¥' };
+
+// Indian number words
+const MULTIPLIERS = { lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, crore: 1e7, crores: 1e7, cr: 1e7 };
+
+const CURRENCY = '(?:[₹$€£¥]|\\brs\\.?|\\binr\\b|\\busd\\b|\\beur\\b|\\bgbp\\b|\\bjpy\\b)';
+// Only codes and € follow the number - "Qty 1 ₹499" must not read as "1 ₹"
+const TRAILING_CURRENCY = '(?:€|\\binr\\b|\\busd\\b|\\beur\\b|\\bgbp\\b|\\bjpy\\b)';
+const NUMBER = '\\d(?:[\\d,.]*\\d)?';
+const MULTIPLIER = '(?:\\s*(?:lakhs?|lacs?|crores?|cr)\\b)?';
+
+// Amount with the currency before it, or after it ("499 INR", "12,50 €")
+const MONEY_PATTERN = new RegExp(
+  `(-\\s*)?${CURRENCY}\\s*(${NUMBER})${MULTIPLIER}|(-\\s*)?(${NUMBER})${MULTIPLIER}\\s*${TRAILING_CURRENCY}`,
+  'gi'
+);
+
+// Price breakdown lines, checked closest-first in the text before an amount;
+// on a tie the role listed first wins, so "Item total" is an item price, not the grand total
+export const MONEY_ROLES = {
+  itemPrice: /item\s*(?:s|\(s\))?\s*(?:sub)?total|subtotal|price|mrp|selling\s+price|list\s+price|cost|rate/gi,
+  discount: /discount|coupon|promo(?:tion)?|savings?|you\s+sav(?:e|ed)|cashback|off\b/gi,
+  deliveryCharge: /delivery(?:\s+(?:charges?|fee))?|shipping(?:\s+(?:charges?|fee))?|convenience\s+fee|handling/gi,
+  tax: /\btax(?:es)?\b|gst|igst|cgst|sgst|vat/gi,
+  grandTotal: /total\s*\(\s*incl[^)]*\)|grand\s+total|order\s+total|total\s+(?:amount|paid|payable)|amount\s+(?:paid|payable)|you\s+paid|net\s+payable|paid\s+via|total/gi
+};
+
+const ROLE_WINDOW = 40;
+
+/**
+ * Parse one money string into { amount, currency, raw }
+ * Returns null when the string holds no amount
+ */
+export function parseMoney(raw, defaultCurrency = 'INR') {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number') return { amount: roundAmount(raw), currency: defaultCurrency, raw: String(raw) };
+
+  const text = String(raw);
+  const pattern = new RegExp(MONEY_PATTERN.source, 'i');
+  const match = text.match(pattern);
+
+  // Plain numbers ("129999.00", "1,29,999") carry the default currency
+  if (!match) {
+    const plain = text.match(new RegExp(`(-\\s*)?(${NUMBER})${MULTIPLIER}`, 'i'));
+    if (!plain) return null;
+    const amount = readAmount(plain[0], plain[2], plain[1]);
+    return amount === null ? null : { amount, currency: defaultCurrency, raw: plain[0].trim() };
+  }
+
+  const amount = readAmount(match[0], match[2] || match[4], match[1] || match[3]);
+  if (amount === null) return null;
+
+  return {
+    amount,
+    currency: readCurrency(match[0]) || defaultCurrency,
+    raw: match[0].trim()
+  };
+}
+
+/**
+ * Find every amount in the page text and label its role in the price breakdown
+ */
+export function findAmounts(text) {
+  if (!text) return [];
+
+  const amounts = [];
+  for (const match of text.matchAll(MONEY_PATTERN)) {
+    const money = parseMoney(match[0]);
+    if (!money) continue;
+
+    amounts.push({ ...money, index: match.index, role: labelAmount(text, match.index) });
+  }
+
+  return amounts;
+}
+
+/**
+ * Work out the amount paid from a labelled breakdown
+ * Prefers a stated grand total; otherwise item price - discount + delivery + tax
+ */
+export function getAmountPaid(amounts) {
+  if (!amounts || amounts.length === 0) return null;
+
+  const byRole = role => amounts.filter(money => money.role === role);
+
+  // The last stated total is usually the final one (after discounts and charges)
+  const totals = byRole('grandTotal');
+  if (totals.length > 0) {
+    const total = totals[totals.length - 1];
+    return { amount: total.amount, currency: total.currency, raw: total.raw, basis: 'grand-total' };
+  }
+
+  const itemPrices = byRole('itemPrice');
+  if (itemPrices.length > 0) {
+    const sum = list => list.reduce((total, money) => total + Math.abs(money.amount), 0);
+    const amount = sum(itemPrices) - sum(byRole('discount')) + sum(byRole('deliveryCharge')) + sum(byRole('tax'));
+    const currency = itemPrices[0].currency;
+    return { amount: roundAmount(amount), currency, raw: formatMoney({ amount, currency }), basis: 'breakdown' };
+  }
+
+  // Nothing labelled - the largest unlabelled amount is the best guess
+  const unlabelled = amounts.filter(money => !money.role && money.amount > 0);
+  if (unlabelled.length === 0) return null;
+  const largest = unlabelled.reduce((best, money) => (money.amount > best.amount ? money : best));
+  return { amount: largest.amount, currency: largest.currency, raw: largest.raw, basis: 'largest-amount' };
+}
+
+/**
+ * Format an amount for display, with Indian digit grouping for rupees
+ */
+export function formatMoney(money) {
+  if (!money || typeof money.amount !== 'number' || isNaN(money.amount)) return '';
+
+  const locale = money.currency === 'INR' ? 'en-IN' : 'en-US';
+  const number = money.amount.toLocaleString(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const symbol = CURRENCY_SYMBOLS[money.currency];
+  return symbol ? `${symbol}${number}` : `${money.currency} ${number}`;
+}
+
+/**
+ * Label an amount from the closest breakdown word before it
+ */
+function labelAmount(text, index) {
+  const before = text.substring(Math.max(0, index - ROLE_WINDOW), index);
+  let best = null;
+
+  for (const [role, pattern] of Object.entries(MONEY_ROLES)) {
+    for (const match of before.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      if (!best || end > best.end) best = { role, end };
+    }
+  }
+
+  return best ? best.role : null;
+}
+
+function readCurrency(text) {
+  const marker = text.toLowerCase().match(/[₹$€£¥]|rs\.?|inr|usd|eur|gbp|jpy/);
+  return marker ? CURRENCY_MARKERS[marker[0]] : null;
+}
+
+/**
+ * Read the numeric part, handling "1,29,999.00", "1.299,00" and lakh/crore words
+ */
+function readAmount(text, number, sign) {
+  let digits = number;
+
+  // "1.299,00" / "12,50" - a trailing comma group of 1-2 digits is the decimal part
+  if (/,\d{1,2}$/.test(digits) && (digits.includes('.') || /^\d{1,3},\d{2}$/.test(digits))) {
+    digits = digits.replace(/\./g, '').replace(',', '.');
+  } else if ((digits.match(/\./g) || []).length > 1) {
+    // "1.299.000" - dots as thousands separators
+    digits = digits.replace(/[.,]/g, '');
+  } else {
+    digits = digits.replace(/,/g, '');
+  }
+
+  let amount = parseFloat(digits);
+  if (isNaN(amount)) return null;
+
+  const word = text.toLowerCase().match(/(lakhs?|lacs?|crores?|cr)\b/);
+  if (word) amount *= MULTIPLIERS[word[1]];
+
+  return roundAmount(sign ? -amount : amount);
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+export default {
+  MONEY_ROLES,
+  parseMoney,
+  findAmounts,
+  getAmountPaid,
+  formatMoney
+};
@@ -3,6 +3,10 @@
  * Uses Named Entity Recognition for intelligent extraction across all e-commerce platforms
  */
 
+import { FIELD_SOURCE_TYPES, setFieldMeta, textLocation } from './field-provenance.js';
+import { findDates, normalizeDate } from './date-normalizer.js';
+import { findAmounts, getAmountPaid, formatMoney, parseMoney } from './money-parser.js';
+
 // Configuration - Using OOB models only (no training-suite dependency)
 const NER_CONFIG = {
   MODEL_SERVER_URL: null,  // No server - using OOB models only
@@ -17,7 +21,7 @@ const NER_CONFIG = {
  * Main NER-based extraction function
  * Calls the training-suite for entity predictions, then handles extraction logic
  */
-export async function extractOrderInfoWithNER(text, url = '') {
+export async function extractOrderInfoWithNER(text, url = '', locale = '') {
   const extracted = {
     orderId: '',
     productName: '',
@@ -26,11 +30,18 @@ export async function extractOrderInfoWithNER(text, url = '') {
     deliveryDate: '',
     sellerName: '',
     trackingNumber: '',
+    orderIdCandidates: [],
+    dates: [],
+    amountPaid: null,
+    priceBreakdown: [],
+    items: [],
     customerDetails: {},
+    fieldMeta: {},
     extractionMethod: 'ner-based',
     confidence: 0,
     url: url,
     domain: url ? new URL(url).hostname : 'unknown',
+    locale: locale,
     extractedFields: [],
     nerEntities: {},
     serverAvailable: false
@@ -118,8 +129,29 @@ async function getNEREntitiesFromOOB(text) {
   }
 }
 
+// Label words that introduce an order ID, strongest first
+const ORDER_ID_LABELS = [
+  { pattern: /order\s*(?:id|no\.?|number|#)/gi, weight: 0.45 },
+  { pattern: /order/gi, weight: 0.25 },
+  { pattern: /(?:invoice|confirmation|reference|transaction)\s*(?:id|no\.?|number|#)?/gi, weight: 0.2 }
+];
+
+// Maximum characters between a label and the ID it introduces
+const ORDER_ID_LABEL_WINDOW = 60;
+
+// Marketplace-specific order ID shapes
+const MARKETPLACE_ORDER_ID_SHAPES = [
+  { marketplace: 'amazon', domain: 'amazon', pattern: /\b\d{3}-\d{7}-\d{7}\b/g, score: 0.35 },
+  { marketplace: 'flipkart', domain: 'flipkart', pattern: /\bOD\d{15,21}\b/gi, score: 0.35 },
+  { marketplace: 'myntra', domain: 'myntra', pattern: /\b\d{10,20}\b/g, score: 0.15 }
+];
+
+// Number of ranked candidates kept for the popup
+const MAX_ORDER_ID_CANDIDATES = 5;
+
 /**
  * Extract Order ID using NER entities and context
+ * Scores every candidate and keeps a ranked list in extracted.orderIdCandidates
  */
 async function extractOrderIdFromNER(text, extracted, entities) {
   console.log('🔍 NER Order ID extraction...');
@@ -133,50 +165,113 @@ async function extractOrderIdFromNER(text, extracted, entities) {
     /transaction[#\s]*:?\s*([A-Z0-9\-]{6,25})/gi
   ];
   
-  let bestOrderId = null;
-  let maxScore = 0;
+  // Collect candidates from labelled patterns, marketplace shapes and NER order IDs
+  const candidates = new Map();
+  const addCandidate = (rawId, marketplace = null) => {
+    const orderId = rawId.replace(/^-+|-+$/g, '');
+    if (orderId.length < 6 || !/\d/.test(orderId)) return; // "details", "status" etc.
+    
+    const key = orderId.toUpperCase();
+    if (!candidates.has(key)) {
+      candidates.set(key, { orderId, marketplace: null });
+    }
+    if (marketplace) candidates.get(key).marketplace = marketplace;
+  };
   
   for (const pattern of orderIdPatterns) {
-    const matches = [...text.matchAll(pattern)];
-    for (const match of matches) {
-      let score = 0.4;
-      const matchText = match[0].toLowerCase();
-      const orderId = match[1];
-      
-      // Context scoring
-      if (matchText.includes('order')) score += 0.5;
-      if (matchText.includes('invoice')) score += 0.4;
-      if (matchText.includes('confirmation')) score += 0.3;
-      
-      // ID quality scoring
-      if (orderId.length >= 8) score += 0.3;
-      if (/[A-Z]/.test(orderId) && /\d/.test(orderId)) score += 0.2;
-      if (orderId.includes('-')) score += 0.1;
-      
-      // NER context bonus: check if near organizations
-      if (entities.organizations && entities.organizations.length > 0) {
-        const orgContext = entities.organizations.some(org => 
-          Math.abs(text.toLowerCase().indexOf(orderId.toLowerCase()) - 
-                  text.toLowerCase().indexOf(org.toLowerCase())) < 200
-        );
-        if (orgContext) score += 0.2;
-      }
-      
-      if (score > maxScore) {
-        maxScore = score;
-        bestOrderId = orderId;
-      }
+    for (const match of text.matchAll(pattern)) {
+      addCandidate(match[1]);
     }
   }
   
-  if (bestOrderId && maxScore > NER_CONFIG.CONFIDENCE_THRESHOLD) {
-    extracted.orderId = bestOrderId;
+  const domain = (extracted.domain || '').toLowerCase();
+  for (const shape of MARKETPLACE_ORDER_ID_SHAPES) {
+    // Generic numeric shapes only count on their own marketplace
+    if (shape.marketplace === 'myntra' && !domain.includes(shape.domain)) continue;
+    for (const match of text.matchAll(shape.pattern)) {
+      addCandidate(match[0], shape.marketplace);
+    }
+  }
+  
+  (entities.orderIds || []).forEach(orderId => addCandidate(orderId));
+  
+  // Label positions are shared by every candidate
+  const labelMatches = ORDER_ID_LABELS.flatMap(label =>
+    [...text.matchAll(label.pattern)].map(match => ({
+      end: match.index + match[0].length,
+      weight: label.weight
+    }))
+  );
+  
+  const ranked = [...candidates.values()]
+    .map(candidate => scoreOrderIdCandidate(text, candidate, labelMatches, domain))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_ORDER_ID_CANDIDATES);
+  
+  extracted.orderIdCandidates = ranked;
+  console.log('🔍 NER Order ID candidates:', ranked);
+  
+  const best = ranked[0];
+  if (best && best.score > NER_CONFIG.CONFIDENCE_THRESHOLD) {
+    extracted.orderId = best.orderId;
     extracted.confidence += 0.3;
     extracted.extractedFields.push('orderId');
-    console.log('✅ Order ID found via NER:', bestOrderId);
+    recordFieldMeta(text, extracted, 'orderId', best.orderId, best.score, FIELD_SOURCE_TYPES.PATTERN);
+    console.log('✅ Order ID found via NER:', best.orderId, `(score ${best.score.toFixed(2)})`);
   }
 }
 
+/**
+ * Score an order ID candidate on label proximity, marketplace shape and repetition
+ */
+function scoreOrderIdCandidate(text, candidate, labelMatches, domain) {
+  const escaped = candidate.orderId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const occurrences = [...text.matchAll(new RegExp(`(?<![A-Z0-9])${escaped}(?![A-Z0-9])`, 'gi'))];
+  
+  // Label proximity: closest label that precedes any occurrence
+  let labelScore = 0;
+  for (const occurrence of occurrences) {
+    for (const label of labelMatches) {
+      const distance = occurrence.index - label.end;
+      if (distance < 0 || distance > ORDER_ID_LABEL_WINDOW) continue;
+      labelScore = Math.max(labelScore, label.weight * (1 - distance / ORDER_ID_LABEL_WINDOW));
+    }
+  }
+  
+  // Shape: marketplace formats first, generic ID quality otherwise
+  let shapeScore = 0;
+  const shape = MARKETPLACE_ORDER_ID_SHAPES.find(s => s.marketplace === candidate.marketplace);
+  if (shape) {
+    shapeScore = shape.score + (domain.includes(shape.domain) ? 0.1 : 0);
+  } else {
+    if (candidate.orderId.length >= 8) shapeScore += 0.1;
+    if (/[A-Z]/i.test(candidate.orderId) && /\d/.test(candidate.orderId)) shapeScore += 0.1;
+    if (candidate.orderId.includes('-')) shapeScore += 0.05;
+  }
+  
+  // Phone numbers and PIN-like short numbers are common false positives
+  if (/^(?:\+?91)?[6789]\d{9}$/.test(candidate.orderId)) shapeScore -= 0.3;
+  if (/^\d{6,7}$/.test(candidate.orderId)) shapeScore -= 0.15;
+  
+  // Repetition: order IDs are usually printed more than once
+  const frequencyScore = Math.min(Math.max(occurrences.length - 1, 0) * 0.1, 0.2);
+  
+  const score = Math.min(1, Math.max(0, labelScore + shapeScore + frequencyScore));
+  
+  return {
+    orderId: candidate.orderId,
+    score: Number(score.toFixed(3)),
+    marketplace: candidate.marketplace,
+    occurrences: occurrences.length,
+    signals: {
+      label: Number(labelScore.toFixed(3)),
+      shape: Number(shapeScore.toFixed(3)),
+      frequency: Number(frequencyScore.toFixed(3))
+    }
+  };
+}
+
 /**
  * Extract Product Name using NER entities
  */
@@ -210,7 +305,7 @@ async function extractProductNameFromNER(text, extracted, entities) {
           }
         }
         
-        productCandidates.push({ name: noun, score });
+        productCandidates.push({ name: noun, score, sourceType: FIELD_SOURCE_TYPES.NER_ENTITY });
       }
     }
   }
@@ -220,7 +315,7 @@ async function extractProductNameFromNER(text, extracted, entities) {
   if (quotedText) {
     for (const quoted of quotedText) {
       const cleanQuoted = quoted.replace(/"/g, '');
-      productCandidates.push({ name: cleanQuoted, score: 0.6 });
+      productCandidates.push({ name: cleanQuoted, score: 0.6, sourceType: FIELD_SOURCE_TYPES.PATTERN });
     }
   }
   
@@ -229,7 +324,7 @@ async function extractProductNameFromNER(text, extracted, entities) {
   const titleMatches = [...text.matchAll(titleCasePattern)];
   for (const match of titleMatches) {
     if (match[1].length > 5 && match[1].length < 100) {
-      productCandidates.push({ name: match[1], score: 0.4 });
+      productCandidates.push({ name: match[1], score: 0.4, sourceType: FIELD_SOURCE_TYPES.PATTERN });
     }
   }
   
@@ -243,11 +338,19 @@ async function extractProductNameFromNER(text, extracted, entities) {
       extracted.productName = bestProduct.name.trim();
       extracted.confidence += 0.2;
       extracted.extractedFields.push('productName');
+      recordFieldMeta(text, extracted, 'productName', extracted.productName, bestProduct.score, bestProduct.sourceType);
       console.log('✅ Product name found via NER:', bestProduct.name);
     }
   }
 }
 
+// How sure we are of the amount paid, by how it was worked out
+const PRICE_BASIS_CONFIDENCE = {
+  'grand-total': 0.85,
+  breakdown: 0.7,
+  'largest-amount': 0.4
+};
+
 /**
  * Extract Price using NER money entities
  */
@@ -255,83 +358,76 @@ async function extractPriceFromNER(text, extracted, entities) {
   console.log('🔍 NER Price extraction...');
   
   if (entities.money && entities.money.length > 0) {
-    let bestPrice = null;
-    let maxScore = 0;
-    
-    for (const moneyEntity of entities.money) {
-      let score = 0.3; // Base score for NER-detected money
-      
-      // Context analysis
-      const moneyIndex = text.toLowerCase().indexOf(moneyEntity.toLowerCase());
-      const contextBefore = text.substring(Math.max(0, moneyIndex - 50), moneyIndex).toLowerCase();
-      
-      // Context scoring
-      if (contextBefore.includes('total')) score += 0.5;
-      if (contextBefore.includes('price')) score += 0.4;
-      if (contextBefore.includes('cost')) score += 0.3;
-      if (contextBefore.includes('amount')) score += 0.3;
-      if (contextBefore.includes('paid')) score += 0.4;
-      
-      // Avoid shipping/tax prices
-      if (contextBefore.includes('shipping') || contextBefore.includes('tax')) score -= 0.3;
-      
-      if (score > maxScore) {
-        maxScore = score;
-        bestPrice = moneyEntity;
-      }
-    }
+    // Label every amount (item price, discount, delivery, tax, grand total) and
+    // take what the customer actually paid
+    extracted.priceBreakdown = findAmounts(text);
+    const paid = getAmountPaid(extracted.priceBreakdown);
     
-    if (bestPrice && maxScore > 0.4) {
-      extracted.productValue = bestPrice;
+    if (paid) {
+      const confidence = PRICE_BASIS_CONFIDENCE[paid.basis];
+      extracted.amountPaid = paid;
+      extracted.productValue = formatMoney(paid);
       extracted.confidence += 0.25;
       extracted.extractedFields.push('productValue');
-      console.log('✅ Price found via NER:', bestPrice);
+      setFieldMeta(extracted, 'productValue', {
+        confidence,
+        sourceType: FIELD_SOURCE_TYPES.NER_ENTITY,
+        source: `${extracted.extractionMethod}:money-${paid.basis}`,
+        location: textLocation(text, paid.raw)
+      });
+      console.log('✅ Price found via NER:', extracted.productValue, `(${paid.basis})`);
     }
   }
 }
 
 /**
  * Extract Dates using NER date entities
+ * Dates are normalized to ISO and labelled from nearby words (see date-normalizer.js)
  */
 async function extractDatesFromNER(text, extracted, entities) {
   console.log('🔍 NER Date extraction...');
   
   if (entities.dates && entities.dates.length > 0) {
-    let orderDate = null;
-    let deliveryDate = null;
+    extracted.dates = findDates(text, { locale: extracted.locale, domain: extracted.domain });
     
-    for (const dateEntity of entities.dates) {
-      const dateIndex = text.toLowerCase().indexOf(dateEntity.toLowerCase());
-      const contextBefore = text.substring(Math.max(0, dateIndex - 30), dateIndex).toLowerCase();
-      
-      // Classify date type based on context
-      if (contextBefore.includes('order') || contextBefore.includes('purchase') || 
-          contextBefore.includes('placed') || contextBefore.includes('confirmed')) {
-        if (!orderDate) orderDate = dateEntity;
-      } else if (contextBefore.includes('delivery') || contextBefore.includes('shipping') || 
-                 contextBefore.includes('arrive') || contextBefore.includes('expected')) {
-        if (!deliveryDate) deliveryDate = dateEntity;
-      } else if (!orderDate) {
-        orderDate = dateEntity; // Default to order date
-      }
-    }
+    const orderDate = extracted.dates.find(date => date.label === 'ordered');
+    const deliveryDate = extracted.dates.find(date => date.label === 'delivered');
+    // An unlabelled date is only a guess at the order date
+    const guessedOrderDate = !orderDate && extracted.dates.find(date => !date.label);
     
-    if (orderDate) {
-      extracted.orderDate = orderDate;
+    if (orderDate || guessedOrderDate) {
+      const date = orderDate || guessedOrderDate;
+      extracted.orderDate = date.iso;
       extracted.confidence += 0.2;
       extracted.extractedFields.push('orderDate');
-      console.log('✅ Order date found via NER:', orderDate);
+      recordDateMeta(text, extracted, 'orderDate', date, orderDate ? 0.8 : 0.4);
+      console.log('✅ Order date found via NER:', date.iso, `(${date.raw})`);
     }
     
     if (deliveryDate) {
-      extracted.deliveryDate = deliveryDate;
+      extracted.deliveryDate = deliveryDate.iso;
       extracted.confidence += 0.15;
       extracted.extractedFields.push('deliveryDate');
-      console.log('✅ Delivery date found via NER:', deliveryDate);
+      recordDateMeta(text, extracted, 'deliveryDate', deliveryDate, 0.8);
+      console.log('✅ Delivery date found via NER:', deliveryDate.iso, `(${deliveryDate.raw})`);
     }
   }
 }
 
+/**
+ * Record field metadata for a normalized date
+ * A day/month order that had to be guessed, or a missing year, lowers confidence
+ */
+function recordDateMeta(text, extracted, field, date, confidence) {
+  const penalty = (date.ambiguous ? 0.25 : 0) + (date.yearInferred ? 0.1 : 0);
+  setFieldMeta(extracted, field, {
+    confidence: confidence - penalty,
+    sourceType: FIELD_SOURCE_TYPES.NER_ENTITY,
+    source: `${extracted.extractionMethod}:date-${date.label || 'unlabelled'}`,
+    location: { textOffset: date.index, length: date.raw.length }
+  });
+}
+
 /**
  * Extract Seller using NER organization entities
  */
@@ -370,6 +466,7 @@ async function extractSellerFromNER(text, extracted, entities) {
       extracted.sellerName = bestSeller;
       extracted.confidence += 0.15;
       extracted.extractedFields.push('sellerName');
+      recordFieldMeta(text, extracted, 'sellerName', bestSeller, Math.min(maxScore, 0.9), FIELD_SOURCE_TYPES.NER_ENTITY);
       console.log('✅ Seller found via NER:', bestSeller);
     }
   }
@@ -385,6 +482,7 @@ async function extractContactInfoFromNER(text, extracted, entities) {
     extracted.customerDetails.email = entities.emails[0];
     extracted.confidence += 0.1;
     extracted.extractedFields.push('email');
+    recordFieldMeta(text, extracted, 'email', entities.emails[0], 0.9, FIELD_SOURCE_TYPES.NER_ENTITY);
     console.log('✅ Email found via NER:', entities.emails[0]);
   }
   
@@ -392,6 +490,7 @@ async function extractContactInfoFromNER(text, extracted, entities) {
     extracted.customerDetails.phone = entities.phoneNumbers[0];
     extracted.confidence += 0.1;
     extracted.extractedFields.push('phone');
+    recordFieldMeta(text, extracted, 'phone', entities.phoneNumbers[0], 0.6, FIELD_SOURCE_TYPES.NER_ENTITY);
     console.log('✅ Phone found via NER:', entities.phoneNumbers[0]);
   }
 }
@@ -414,6 +513,7 @@ async function extractCustomEntitiesFromNER(text, extracted, entities) {
       extracted.trackingNumber = matches[0][1];
       extracted.confidence += 0.1;
       extracted.extractedFields.push('trackingNumber');
+      recordFieldMeta(text, extracted, 'trackingNumber', matches[0][1], 0.65, FIELD_SOURCE_TYPES.PATTERN);
       console.log('✅ Tracking number found:', matches[0][1]);
       break;
     }
@@ -427,6 +527,7 @@ async function extractCustomEntitiesFromNER(text, extracted, entities) {
       extracted.quantity = qtyMatches[0][0];
       extracted.confidence += 0.05;
       extracted.extractedFields.push('quantity');
+      recordFieldMeta(text, extracted, 'quantity', qtyMatches[0][0], 0.5, FIELD_SOURCE_TYPES.PATTERN);
       console.log('✅ Quantity found:', qtyMatches[0][0]);
     }
   }
@@ -436,6 +537,7 @@ async function extractCustomEntitiesFromNER(text, extracted, entities) {
     extracted.customerDetails.address = entities.places.join(', ');
     extracted.confidence += 0.05;
     extracted.extractedFields.push('address');
+    recordFieldMeta(text, extracted, 'address', entities.places[0], 0.4, FIELD_SOURCE_TYPES.NER_ENTITY);
     console.log('✅ Address found via NER:', entities.places.join(', '));
   }
 }
@@ -464,25 +566,52 @@ async function fallbackLocalExtraction(text, extracted) {
           extracted.orderId = matches[0][1];
           extracted.extractedFields.push('orderId');
         } else if (field === 'price' && !extracted.productValue) {
-          extracted.productValue = matches[0][1];
+          const money = parseMoney(matches[0][1]);
+          if (!money) continue;
+          extracted.amountPaid = money;
+          extracted.productValue = formatMoney(money);
           extracted.extractedFields.push('productValue');
+          recordFieldMeta(text, extracted, 'productValue', matches[0][1], 0.3, FIELD_SOURCE_TYPES.PATTERN);
         } else if (field === 'email' && !extracted.customerDetails.email) {
           extracted.customerDetails.email = matches[0][1];
           extracted.extractedFields.push('email');
         } else if (field === 'date' && !extracted.orderDate) {
-          extracted.orderDate = matches[0][0];
+          const date = normalizeDate(matches[0][0], { locale: extracted.locale, domain: extracted.domain });
+          if (!date) continue;
+          extracted.orderDate = date.iso;
           extracted.extractedFields.push('orderDate');
+          recordFieldMeta(text, extracted, 'orderDate', matches[0][0], 0.3, FIELD_SOURCE_TYPES.PATTERN);
         }
         break;
       }
     }
   }
   
+  // Unlabelled first matches - every fallback field needs a human check
+  for (const field of extracted.extractedFields) {
+    if (extracted.fieldMeta[field]) continue;
+    const value = field === 'email' ? extracted.customerDetails.email : extracted[field];
+    recordFieldMeta(text, extracted, field, value, 0.3, FIELD_SOURCE_TYPES.PATTERN);
+  }
+  
   extracted.confidence = extracted.extractedFields.length * 0.1;
 }
 
 /**
- * Calculate final confidence score
+ * Record confidence, source type and text offset for a field found in the page text
+ */
+function recordFieldMeta(text, extracted, field, value, confidence, sourceType) {
+  setFieldMeta(extracted, field, {
+    confidence,
+    sourceType,
+    source: `${extracted.extractionMethod}:${sourceType}`,
+    location: textLocation(text, value)
+  });
+}
+
+/**
+ * Calculate final overall confidence score
+ * Per-field confidence lives in extracted.fieldMeta
  */
 function calculateConfidence(extracted) {
   // Bonus for multiple fields found
@@ -524,36 +653,12 @@ function extractOrganizations(text) {
 }
 
 function extractMoney(text) {
-  const patterns = [
-    /[\$₹£€¥]\s*[\d,]+\.?\d*/g,
-    /[\d,]+\.?\d*\s*[\$₹£€¥]/g,
-    /(?:rs|inr|usd|eur|gbp|jpy)\s*[\.\s]?\s*[\d,]+\.?\d*/gi,
-    /(?:total|price|amount|cost|value)\s*:?\s*([\$₹£€¥]?\s*[\d,]+\.?\d*)/gi
-  ];
-  
-  const money = [];
-  patterns.forEach(pattern => {
-    const matches = [...text.matchAll(pattern)];
-    matches.forEach(match => money.push(match[1] || match[0]));
-  });
-  
-  return [...new Set(money)].slice(0, 5);
+  const money = findAmounts(text).map(amount => amount.raw);
+  return [...new Set(money)].slice(0, 10);
 }
 
 function extractDates(text) {
-  const patterns = [
-    /\b\d{1,2}[-\/]\d{1,2}[-\/]\d{2,4}\b/g,
-    /\b\d{4}-\d{2}-\d{2}\b/g,
-    /\b\d{1,2}\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{4}\b/gi,
-    /\b(january|february|march|april|may|june|july|august|september|october|november|december)\s+\d{1,2},?\s+\d{4}\b/gi
-  ];
-  
-  const dates = [];
-  patterns.forEach(pattern => {
-    const matches = [...text.matchAll(pattern)];
-    matches.forEach(match => dates.push(match[0]));
-  });
-  
+  const dates = findDates(text).map(date => date.raw);
   return [...new Set(dates)].slice(0, 5);
 }
 
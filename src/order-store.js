@@ -0,0 +1,361 @@
+/**
+ * AutoComplaint - Order Store
+ * Keeps every captured order in chrome.storage.local so a new extraction
+ * never overwrites the order the user is complaining about.
+ * Shared by the content script, the background worker and the popup.
+ * Each order has its own key and an index lists their IDs, so saving one
+ * order never rewrites the others. Writes made from one page run one at a time.
+ */
+
+import { FIELD_SOURCE_TYPES } from './field-provenance.js';
+
+const STORE_KEYS = {
+  ORDER_PREFIX: 'autoComplaintOrder:',
+  ORDER_INDEX: 'autoComplaintOrderIds',
+  ACTIVE_ORDER: 'autoComplaintActiveOrderId',
+  LEGACY_ORDER: 'autoComplaintOrder',
+  EVIDENCE_PREFIX: 'autoComplaintEvidence:',
+  CAPTURE_EVIDENCE: 'autoComplaintCaptureEvidence'
+};
+
+export const ORDER_STATUSES = {
+  DRAFT: 'draft',
+  FILED: 'filed',
+  RESOLVED: 'resolved'
+};
+
+// Oldest orders beyond this are dropped so storage stays small
+const MAX_STORED_ORDERS = 50;
+
+let writeQueue = Promise.resolve();
+
+/**
+ * List saved orders, most recently updated first
+ */
+export async function listOrders() {
+  const orders = await readOrders();
+  return Object.values(orders).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get one saved order by its store ID
+ */
+export async function getOrder(id) {
+  const key = orderKey(id);
+  const { [key]: order } = await chrome.storage.local.get(key);
+  return order || null;
+}
+
+/**
+ * Find the saved order captured from a page URL
+ */
+export async function findOrderByUrl(url) {
+  if (!url) return null;
+  const orders = await listOrders();
+  return orders.find(order => order.sourceUrl === url) || null;
+}
+
+/**
+ * Save order data, updating the stored order with the same order ID or source URL
+ * keepUserEdits: a re-capture of the page - fields the user corrected in the
+ * popup keep their value and their user-edit marker
+ * Returns the stored record
+ */
+export async function saveOrder(data, { sourceUrl = '', id = null, makeActive = true, keepUserEdits = false } = {}) {
+  return queueWrite(async () => {
+    const orders = await readOrders();
+    const now = new Date().toISOString();
+    const url = sourceUrl || data.sourceUrl || data.url || '';
+
+    const existing = (id && orders[id]) || findMatchingOrder(orders, data.orderId, url);
+    const record = {
+      ...mergeOrderData(existing, data, keepUserEdits),
+      id: existing ? existing.id : createOrderId(),
+      sourceUrl: existing && existing.sourceUrl ? existing.sourceUrl : url,
+      capturedAt: existing ? existing.capturedAt : now,
+      updatedAt: now,
+      status: existing ? existing.status : ORDER_STATUSES.DRAFT,
+      timeline: existing && existing.timeline ? existing.timeline : [createTimelineEvent('captured', url, now)]
+    };
+
+    orders[record.id] = record;
+    const pruned = pruneOrders(orders);
+
+    // Background captures only become active when nothing else is chosen
+    const { [STORE_KEYS.ACTIVE_ORDER]: activeId } = await chrome.storage.local.get(STORE_KEYS.ACTIVE_ORDER);
+    const update = { [orderKey(record.id)]: record, [STORE_KEYS.ORDER_INDEX]: Object.keys(orders) };
+    if (makeActive || !orders[activeId]) update[STORE_KEYS.ACTIVE_ORDER] = record.id;
+    await chrome.storage.local.set(update);
+    if (pruned.length > 0) await chrome.storage.local.remove(pruned.flatMap(prunedId => [orderKey(prunedId), evidenceKey(prunedId)]));
+
+    console.log(`💾 ORDER STORE - ${existing ? 'Updated' : 'Saved new'} order ${record.id}`, record.orderId || '');
+    return record;
+  });
+}
+
+/**
+ * Change the status of a saved order (draft, filed, resolved)
+ */
+export async function updateOrderStatus(id, status) {
+  if (!Object.values(ORDER_STATUSES).includes(status)) {
+    throw new Error(`Unknown order status: ${status}`);
+  }
+  return updateOrder(id, order => ({ status, timeline: [...(order.timeline || []), createTimelineEvent(status)] }));
+}
+
+/**
+ * Add an event (filed, reminder, ...) to an order's status timeline
+ */
+export async function addTimelineEvent(id, event, detail = '') {
+  return updateOrder(id, order => ({ timeline: [...(order.timeline || []), createTimelineEvent(event, detail)] }));
+}
+
+/**
+ * Merge fields into a saved order
+ * changes may be a function of the stored order, for updates that build on it (timelines)
+ */
+export async function updateOrder(id, changes) {
+  return queueWrite(() => applyOrderUpdate(id, changes));
+}
+
+/**
+ * Delete a saved order
+ */
+export async function deleteOrder(id) {
+  return queueWrite(async () => {
+    const ids = await readOrderIds();
+    const { [STORE_KEYS.ACTIVE_ORDER]: activeId } = await chrome.storage.local.get(STORE_KEYS.ACTIVE_ORDER);
+    await chrome.storage.local.set({ [STORE_KEYS.ORDER_INDEX]: ids.filter(orderId => orderId !== id) });
+
+    const keys = [orderKey(id), evidenceKey(id)];
+    if (activeId === id) keys.push(STORE_KEYS.ACTIVE_ORDER);
+    await chrome.storage.local.remove(keys);
+  });
+}
+
+/**
+ * Store an evidence bundle (screenshot, HTML, URL, time) for a saved order
+ * The bundle has its own key so listing orders stays cheap; the order keeps a summary
+ */
+export async function saveOrderEvidence(id, bundle) {
+  return queueWrite(async () => {
+    const order = await getOrder(id);
+    if (!order) throw new Error(`Order not found: ${id}`);
+
+    // A new page capture keeps the files added to the order earlier
+    const existing = await getOrderEvidence(id);
+    const stored = { ...bundle, attachments: bundle.attachments || (existing && existing.attachments) || [] };
+
+    await chrome.storage.local.set({ [evidenceKey(id)]: stored });
+    console.log(`💾 ORDER STORE - Saved evidence for order ${id}`);
+    return applyOrderUpdate(id, { evidence: summarizeEvidence(stored) });
+  });
+}
+
+/**
+ * Add a file ({ name, dataUrl, kind }) to an order's evidence bundle
+ * A file of the same kind and name replaces the earlier one
+ */
+export async function addOrderAttachment(id, attachment) {
+  return queueWrite(async () => {
+    const order = await getOrder(id);
+    if (!order) throw new Error(`Order not found: ${id}`);
+
+    const bundle = (await getOrderEvidence(id)) || { url: order.sourceUrl || '', capturedAt: null, screenshot: null, html: null };
+    const attachments = (bundle.attachments || [])
+      .filter(existing => existing.kind !== attachment.kind || existing.name !== attachment.name);
+    const stored = { ...bundle, attachments: [...attachments, { ...attachment, addedAt: new Date().toISOString() }] };
+
+    await chrome.storage.local.set({ [evidenceKey(id)]: stored });
+    console.log(`💾 ORDER STORE - Attached ${attachment.name} to order ${id}`);
+    return applyOrderUpdate(id, { evidence: summarizeEvidence(stored) });
+  });
+}
+
+/**
+ * Whether saved orders get an evidence bundle (off until the user turns it on)
+ */
+export async function isEvidenceCaptureEnabled() {
+  const { [STORE_KEYS.CAPTURE_EVIDENCE]: enabled } = await chrome.storage.local.get(STORE_KEYS.CAPTURE_EVIDENCE);
+  return enabled === true;
+}
+
+export async function setEvidenceCaptureEnabled(enabled) {
+  await chrome.storage.local.set({ [STORE_KEYS.CAPTURE_EVIDENCE]: !!enabled });
+}
+
+/**
+ * The evidence bundle stored for an order, or null
+ */
+export async function getOrderEvidence(id) {
+  const key = evidenceKey(id);
+  const { [key]: bundle } = await chrome.storage.local.get(key);
+  return bundle || null;
+}
+
+/**
+ * Choose the order the popup and portal filler work with
+ */
+export async function setActiveOrder(id) {
+  await chrome.storage.local.set({ [STORE_KEYS.ACTIVE_ORDER]: id });
+}
+
+/**
+ * The chosen order, else the most recently updated one
+ */
+export async function getActiveOrder() {
+  const { [STORE_KEYS.ACTIVE_ORDER]: activeId } = await chrome.storage.local.get(STORE_KEYS.ACTIVE_ORDER);
+  const orders = await listOrders();
+  return orders.find(order => order.id === activeId) || orders[0] || null;
+}
+
+/**
+ * Move an order saved under the old single autoComplaintOrder key into the store
+ */
+export async function migrateLegacyOrder() {
+  const { [STORE_KEYS.LEGACY_ORDER]: legacy } = await chrome.storage.local.get(STORE_KEYS.LEGACY_ORDER);
+  if (legacy && Object.keys(legacy).length > 0) {
+    await saveOrder(legacy, { sourceUrl: legacy.url || '' });
+    console.log('💾 ORDER STORE - Migrated legacy saved order');
+  }
+  await chrome.storage.local.remove(STORE_KEYS.LEGACY_ORDER);
+}
+
+/**
+ * Run a read-modify-write after the ones already queued from this page
+ */
+function queueWrite(task) {
+  const run = writeQueue.then(task, task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+// Unqueued body of updateOrder, for writes that already hold the queue
+async function applyOrderUpdate(id, changes) {
+  const order = await getOrder(id);
+  if (!order) throw new Error(`Order not found: ${id}`);
+
+  const resolved = typeof changes === 'function' ? changes(order) : changes;
+  const updated = { ...order, ...resolved, id, updatedAt: new Date().toISOString() };
+  await chrome.storage.local.set({ [orderKey(id)]: updated });
+  return updated;
+}
+
+/**
+ * New data over a stored order, with fieldMeta merged field by field
+ * When keepUserEdits is set, fields the user edited keep their stored value unless it is empty
+ */
+function mergeOrderData(existing, data, keepUserEdits) {
+  if (!existing) return { ...data };
+
+  const storedMeta = existing.fieldMeta || {};
+  const userEdited = field => keepUserEdits && !isEmpty(existing[field]) &&
+    !!storedMeta[field] && storedMeta[field].sourceType === FIELD_SOURCE_TYPES.USER_EDIT;
+  const merged = { ...existing };
+
+  Object.entries(data).forEach(([field, value]) => {
+    if (field === 'fieldMeta' || userEdited(field)) return;
+    merged[field] = value;
+  });
+
+  const fieldMeta = { ...storedMeta };
+  Object.entries(data.fieldMeta || {}).forEach(([field, meta]) => {
+    if (!userEdited(field)) fieldMeta[field] = meta;
+  });
+  merged.fieldMeta = fieldMeta;
+  return merged;
+}
+
+// Every saved order by ID, read through the index
+async function readOrders() {
+  const ids = await readOrderIds();
+  if (ids.length === 0) return {};
+
+  const stored = await chrome.storage.local.get(ids.map(orderKey));
+  return Object.fromEntries(ids.filter(id => stored[orderKey(id)]).map(id => [id, stored[orderKey(id)]]));
+}
+
+// The index is only written inside queueWrite, together with the orders it lists
+async function readOrderIds() {
+  const { [STORE_KEYS.ORDER_INDEX]: ids } = await chrome.storage.local.get(STORE_KEYS.ORDER_INDEX);
+  return ids || [];
+}
+
+/**
+ * Same order ID wins; without one, a capture of the same page is the same order
+ */
+function findMatchingOrder(orders, orderId, sourceUrl) {
+  const records = Object.values(orders);
+  const byOrderId = orderId && records.find(order => order.orderId === orderId);
+  if (byOrderId) return byOrderId;
+  return sourceUrl ? records.find(order => !order.orderId && order.sourceUrl === sourceUrl) || null : null;
+}
+
+/**
+ * Drop the oldest orders over the limit, keeping filed complaints that are still open
+ * Returns the IDs that were dropped
+ */
+function pruneOrders(orders) {
+  const removable = Object.values(orders)
+    .filter(order => order.status !== ORDER_STATUSES.FILED)
+    .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+
+  const pruned = [];
+  while (Object.keys(orders).length > MAX_STORED_ORDERS && removable.length > 0) {
+    const { id } = removable.shift();
+    delete orders[id];
+    pruned.push(id);
+  }
+  return pruned;
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function orderKey(id) {
+  return `${STORE_KEYS.ORDER_PREFIX}${id}`;
+}
+
+function evidenceKey(id) {
+  return `${STORE_KEYS.EVIDENCE_PREFIX}${id}`;
+}
+
+// What the order record keeps about its evidence bundle
+function summarizeEvidence(bundle) {
+  return {
+    capturedAt: bundle.capturedAt,
+    url: bundle.url,
+    hasScreenshot: !!bundle.screenshot,
+    hasHtml: !!bundle.html,
+    attachments: (bundle.attachments || []).map(({ name, kind }) => ({ name, kind }))
+  };
+}
+
+function createTimelineEvent(event, detail = '', at = new Date().toISOString()) {
+  return { event, at, detail };
+}
+
+function createOrderId() {
+  return `order-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export default {
+  ORDER_STATUSES,
+  listOrders,
+  getOrder,
+  findOrderByUrl,
+  saveOrder,
+  updateOrder,
+  updateOrderStatus,
+  addTimelineEvent,
+  deleteOrder,
+  saveOrderEvidence,
+  addOrderAttachment,
+  getOrderEvidence,
+  isEvidenceCaptureEnabled,
+  setEvidenceCaptureEnabled,
+  setActiveOrder,
+  getActiveOrder,
+  migrateLegacyOrder
+};
@@ -0,0 +1,726 @@
+/**
+ * AutoComplaint - PDF Text Layer
+ * Reads the text of a PDF locally, without a PDF library: objects (including
+ * compressed object streams) are parsed, page content streams are inflated and
+ * their text operators decoded through each font's ToUnicode map.
+ * Enough for generated invoices; scanned PDFs have no text layer to read.
+ */
+
+const WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+const DELIMITERS = new Set('()<>[]{}/%'.split('').map(char => char.charCodeAt(0)));
+
+// TJ adjustments below this (thousandths of an em) are gaps between words
+const TJ_SPACE_THRESHOLD = -200;
+// Text this far (in user space units) above or below the last run starts a new line
+const LINE_TOLERANCE = 2;
+const MAX_FORM_DEPTH = 3;
+
+// WinAnsi bytes that differ from Latin-1
+const WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x82: '‚', 0x84: '„', 0x85: '…', 0x91: '‘', 0x92: '’',
+  0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+/**
+ * Text of a PDF (ArrayBuffer or Uint8Array)
+ * Returns { text, pages: [pageText], pageCount }; throws for encrypted or unreadable files
+ */
+export async function extractPdfText(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const source = toBinaryString(bytes);
+  if (source.indexOf('%PDF-') === -1) {
+    throw new Error('Not a PDF file');
+  }
+  if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(source)) {
+    throw new Error('This PDF is password-protected');
+  }
+
+  const pdf = new PdfDocument(bytes, source);
+  await pdf.load();
+
+  const pages = [];
+  for (const page of pdf.getPages()) {
+    pages.push(await pdf.getPageText(page));
+  }
+  const text = pages.join('\n\n').trim();
+  console.log(`📄 PDF TEXT - Read ${pages.length} page(s), ${text.length} characters`);
+  return { text, pages, pageCount: pages.length };
+}
+
+class PdfDocument {
+  constructor(bytes, source) {
+    this.bytes = bytes;
+    this.source = source;
+    this.objects = new Map();
+    this.fontCache = new Map();
+  }
+
+  // Every "n g obj" in the file, then the objects packed into object streams
+  async load() {
+    const header = /(\d+)\s+\d+\s+obj\b/g;
+    let match;
+    while ((match = header.exec(this.source))) {
+      const lexer = new Lexer(this.source, header.lastIndex);
+      let value;
+      try {
+        value = lexer.readObject();
+      } catch (error) {
+        continue;
+      }
+
+      const entry = { value, stream: null };
+      const afterValue = lexer.position;
+      if (lexer.peekKeyword() === 'stream') {
+        entry.stream = this.readStreamData(value, lexer.position);
+        header.lastIndex = entry.stream.end;
+      } else {
+        header.lastIndex = afterValue;
+      }
+      // Later definitions (incremental updates) replace earlier ones
+      this.objects.set(Number(match[1]), entry);
+    }
+
+    for (const entry of [...this.objects.values()]) {
+      if (isDict(entry.value) && entry.value.Type === 'ObjStm' && entry.stream) {
+        try {
+          await this.loadObjectStream(entry);
+        } catch (error) {
+          // A damaged object stream only loses the objects packed in it
+          console.warn('⚠️ PDF TEXT - Skipped an unreadable object stream:', error.message);
+        }
+      }
+    }
+  }
+
+  readStreamData(dict, keywordStart) {
+    let start = keywordStart + 'stream'.length;
+    if (this.source[start] === '\r') start++;
+    if (this.source[start] === '\n') start++;
+
+    const length = this.resolve(dict.Length);
+    let end = typeof length === 'number' ? start + length : -1;
+    if (end < start || end > this.source.length || !/^\s*endstream/.test(this.source.slice(end, end + 20))) {
+      // Missing or wrong /Length - run to the endstream keyword
+      end = this.source.indexOf('endstream', start);
+      if (end === -1) end = this.source.length;
+      while (end > start && (this.source[end - 1] === '\n' || this.source[end - 1] === '\r')) end--;
+    }
+    return { start, length: end - start, end: end + 'endstream'.length };
+  }
+
+  async loadObjectStream(entry) {
+    const data = await this.decodeStream(entry);
+    if (!data) return;
+
+    const text = toBinaryString(data);
+    const count = entry.value.N || 0;
+    const first = entry.value.First || 0;
+    // The header is plain "number offset" pairs - readObject would take "n g" ahead as a reference
+    const lexer = new Lexer(text.slice(0, first), 0);
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      const number = lexer.readToken();
+      const offset = lexer.readToken();
+      if (typeof number !== 'number' || typeof offset !== 'number') break;
+      offsets.push([number, offset]);
+    }
+
+    offsets.forEach(([number, offset]) => {
+      // Objects written directly in the file take precedence
+      if (this.objects.has(number)) return;
+      try {
+        this.objects.set(number, { value: new Lexer(text, first + offset).readObject(), stream: null });
+      } catch (error) {
+        // Skip the one unreadable object
+      }
+    });
+  }
+
+  resolve(value) {
+    let resolved = value;
+    for (let depth = 0; isRef(resolved) && depth < 10; depth++) {
+      const entry = this.objects.get(resolved.ref);
+      resolved = entry ? entry.value : null;
+    }
+    return resolved;
+  }
+
+  entryOf(value) {
+    return isRef(value) ? this.objects.get(value.ref) || null : null;
+  }
+
+  // Decoded bytes of a stream object, or null for filters we cannot undo
+  async decodeStream(entry) {
+    if (!entry || !entry.stream) return null;
+    let data = this.bytes.subarray(entry.stream.start, entry.stream.start + entry.stream.length);
+
+    const filters = [].concat(this.resolve(entry.value.Filter) || []);
+    for (const filter of filters) {
+      if (filter === 'FlateDecode' || filter === 'Fl') {
+        data = await inflate(data);
+      } else if (filter === 'ASCIIHexDecode' || filter === 'AHx') {
+        data = decodeHex(toBinaryString(data).replace(/>.*$/s, ''));
+      } else {
+        console.warn(`⚠️ PDF TEXT - Unsupported stream filter ${filter}`);
+        return null;
+      }
+    }
+    return data;
+  }
+
+  // Pages in reading order, with inherited resources
+  getPages() {
+    const catalog = [...this.objects.values()].find(entry => isDict(entry.value) && entry.value.Type === 'Catalog');
+    const pages = [];
+    const visit = (node, inheritedResources, depth) => {
+      const dict = this.resolve(node);
+      if (!isDict(dict) || depth > 50) return;
+      const resources = dict.Resources || inheritedResources;
+      if (dict.Type === 'Pages' || Array.isArray(dict.Kids)) {
+        (this.resolve(dict.Kids) || []).forEach(kid => visit(kid, resources, depth + 1));
+      } else {
+        pages.push({ dict, resources });
+      }
+    };
+    if (catalog) visit(catalog.value.Pages, null, 0);
+
+    // No usable page tree - take the page objects in file order
+    if (pages.length === 0) {
+      [...this.objects.entries()]
+        .sort(([a], [b]) => a - b)
+        .forEach(([, entry]) => {
+          if (isDict(entry.value) && entry.value.Type === 'Page') pages.push({ dict: entry.value, resources: entry.value.Resources });
+        });
+    }
+    return pages;
+  }
+
+  async getPageText(page) {
+    // Contents is one stream or an array of them, possibly behind a reference
+    let contents = page.dict.Contents;
+    if (isRef(contents) && Array.isArray(this.resolve(contents))) contents = this.resolve(contents);
+    contents = [].concat(contents || []);
+    const parts = [];
+    for (const content of contents) {
+      const data = await this.decodeStream(this.entryOf(content));
+      if (data) parts.push(toBinaryString(data));
+    }
+
+    const writer = new TextWriter();
+    await this.runContent(parts.join('\n'), this.resolve(page.resources), writer, IDENTITY, 0);
+    return writer.toString();
+  }
+
+  async runContent(content, resources, writer, baseMatrix, depth) {
+    const lexer = new Lexer(content, 0);
+    const operands = [];
+    const stack = [];
+    let ctm = baseMatrix;
+    let textMatrix = IDENTITY;
+    let lineMatrix = IDENTITY;
+    let leading = 0;
+    let font = null;
+
+    const moveLine = (tx, ty) => {
+      lineMatrix = multiply([1, 0, 0, 1, tx, ty], lineMatrix);
+      textMatrix = lineMatrix;
+      writer.moved();
+    };
+    const show = (bytes) => {
+      const position = multiply(textMatrix, ctm);
+      writer.write(font ? font.decode(bytes) : latinText(bytes), position[5]);
+    };
+
+    while (!lexer.atEnd()) {
+      const token = lexer.readToken();
+      if (!isOperator(token)) {
+        operands.push(token);
+        continue;
+      }
+
+      const args = operands.splice(0);
+      switch (token.op) {
+        case 'q': stack.push(ctm); break;
+        case 'Q': ctm = stack.pop() || baseMatrix; break;
+        case 'cm': if (args.length === 6) ctm = multiply(args, ctm); break;
+        case 'BT': textMatrix = IDENTITY; lineMatrix = IDENTITY; break;
+        case 'Tf': font = await this.getFont(resources, args[0]); break;
+        case 'TL': leading = args[0] || 0; break;
+        case 'Td': moveLine(args[0] || 0, args[1] || 0); break;
+        case 'TD': leading = -(args[1] || 0); moveLine(args[0] || 0, args[1] || 0); break;
+        case 'Tm':
+          if (args.length === 6) {
+            textMatrix = args;
+            lineMatrix = args;
+            writer.moved();
+          }
+          break;
+        case 'T*': moveLine(0, -leading); writer.newLine(); break;
+        case 'Tj': if (isString(args[0])) show(args[0].bytes); break;
+        case "'":
+        case '"':
+          moveLine(0, -leading);
+          writer.newLine();
+          if (isString(args[args.length - 1])) show(args[args.length - 1].bytes);
+          break;
+        case 'TJ':
+          (Array.isArray(args[0]) ? args[0] : []).forEach(item => {
+            if (isString(item)) show(item.bytes);
+            else if (typeof item === 'number' && item < TJ_SPACE_THRESHOLD) writer.space();
+          });
+          break;
+        case 'Do':
+          if (depth < MAX_FORM_DEPTH) await this.runForm(resources, args[0], writer, ctm, depth);
+          break;
+        default: break;
+      }
+    }
+  }
+
+  // Form XObjects carry their own content - invoice templates often put the header in one
+  async runForm(resources, name, writer, ctm, depth) {
+    const xobjects = this.resolve(resources && resources.XObject);
+    const reference = xobjects && xobjects[name];
+    const entry = this.entryOf(reference);
+    if (!entry || !isDict(entry.value) || entry.value.Subtype !== 'Form') return;
+
+    const data = await this.decodeStream(entry);
+    if (!data) return;
+    const matrix = Array.isArray(entry.value.Matrix) ? entry.value.Matrix : IDENTITY;
+    const formResources = this.resolve(entry.value.Resources) || resources;
+    await this.runContent(toBinaryString(data), formResources, writer, multiply(matrix, ctm), depth + 1);
+  }
+
+  async getFont(resources, name) {
+    const fonts = this.resolve(resources && resources.Font);
+    const reference = fonts && fonts[name];
+    if (!reference) return null;
+
+    const key = isRef(reference) ? reference.ref : name;
+    if (!this.fontCache.has(key)) {
+      this.fontCache.set(key, await this.loadFont(this.resolve(reference)));
+    }
+    return this.fontCache.get(key);
+  }
+
+  async loadFont(dict) {
+    if (!isDict(dict)) return null;
+    const composite = dict.Subtype === 'Type0';
+    const toUnicode = dict.ToUnicode ? await this.decodeStream(this.entryOf(dict.ToUnicode)) : null;
+    const cmap = toUnicode ? parseToUnicode(toBinaryString(toUnicode)) : null;
+    const differences = readDifferences(this.resolve(dict.Encoding));
+
+    return {
+      decode(bytes) {
+        if (cmap) return cmap.decode(bytes, composite ? 2 : 1);
+        // Composite fonts without a ToUnicode map hold glyph IDs we cannot turn into text
+        if (composite) return '';
+        return [...bytes].map(byte => differences[byte.charCodeAt(0)] || WIN_ANSI_EXTRAS[byte.charCodeAt(0)] || byte).join('');
+      }
+    };
+  }
+}
+
+/**
+ * Collects text runs into lines, using each run's vertical position
+ */
+class TextWriter {
+  constructor() {
+    this.lines = [];
+    this.current = '';
+    this.lastY = null;
+    this.pendingSpace = false;
+  }
+
+  write(text, y) {
+    if (!text) return;
+    if (this.lastY !== null && Math.abs(y - this.lastY) > LINE_TOLERANCE) {
+      this.newLine();
+    } else if (this.pendingSpace && this.current && !/\s$/.test(this.current) && !/^\s/.test(text)) {
+      this.current += ' ';
+    }
+    this.current += text;
+    this.lastY = y;
+    this.pendingSpace = false;
+  }
+
+  moved() {
+    this.pendingSpace = true;
+  }
+
+  space() {
+    if (this.current && !/\s$/.test(this.current)) this.current += ' ';
+  }
+
+  newLine() {
+    if (this.current.trim()) this.lines.push(this.current.replace(/\s+/g, ' ').trim());
+    this.current = '';
+    this.pendingSpace = false;
+  }
+
+  toString() {
+    this.newLine();
+    return this.lines.join('\n');
+  }
+}
+
+/**
+ * Tokenizer shared by object parsing and content streams
+ * Names become strings and dictionaries plain objects; references, strings
+ * and operators get the small classes below
+ */
+class Lexer {
+  constructor(source, position) {
+    this.source = source;
+    this.position = position;
+  }
+
+  // Only whitespace and comments left - readToken's null is also the PDF null keyword
+  atEnd() {
+    this.skipWhitespace();
+    return this.position >= this.source.length;
+  }
+
+  skipWhitespace() {
+    const { source } = this;
+    while (this.position < source.length) {
+      const code = source.charCodeAt(this.position);
+      if (WHITESPACE.has(code)) {
+        this.position++;
+      } else if (code === 0x25) { // % comment
+        while (this.position < source.length && source[this.position] !== '\n' && source[this.position] !== '\r') this.position++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  peekKeyword() {
+    this.skipWhitespace();
+    const match = /^[A-Za-z]+/.exec(this.source.slice(this.position, this.position + 16));
+    return match ? match[0] : null;
+  }
+
+  // One complete value, with "n g R" read as a reference
+  readObject() {
+    if (this.atEnd()) throw new Error('Unexpected end of PDF data');
+    const token = this.readToken();
+    if (typeof token === 'number' && Number.isInteger(token)) {
+      const saved = this.position;
+      const generation = this.readToken();
+      const keyword = typeof generation === 'number' ? this.readToken() : null;
+      if (isOperator(keyword) && keyword.op === 'R') return new PdfRef(token);
+      this.position = saved;
+    }
+    return token;
+  }
+
+  readToken() {
+    this.skipWhitespace();
+    const { source } = this;
+    if (this.position >= source.length) return null;
+    const char = source[this.position];
+
+    if (char === '/') return this.readName();
+    if (char === '(') return this.readLiteralString();
+    if (char === '[') {
+      this.position++;
+      const items = [];
+      for (;;) {
+        this.skipWhitespace();
+        if (this.position >= source.length) break;
+        if (source[this.position] === ']') {
+          this.position++;
+          break;
+        }
+        items.push(this.readObject());
+      }
+      return items;
+    }
+    if (char === '<') {
+      if (source[this.position + 1] === '<') return this.readDictionary();
+      const end = source.indexOf('>', this.position);
+      const hex = source.slice(this.position + 1, end === -1 ? source.length : end);
+      this.position = end === -1 ? source.length : end + 1;
+      return new PdfString(toBinaryString(decodeHex(hex)));
+    }
+    if (char === ']' || char === ')' || char === '>' || char === '{' || char === '}') {
+      this.position += char === '>' && source[this.position + 1] === '>' ? 2 : 1;
+      return new PdfOperator(char);
+    }
+
+    const start = this.position;
+    while (this.position < source.length) {
+      const code = source.charCodeAt(this.position);
+      if (WHITESPACE.has(code) || DELIMITERS.has(code)) break;
+      this.position++;
+    }
+    const word = source.slice(start, this.position);
+    if (/^[+-]?(?:\d+\.?\d*|\.\d+)$/.test(word)) return parseFloat(word);
+    if (word === 'true') return true;
+    if (word === 'false') return false;
+    if (word === 'null') return null;
+    if (word === '') {
+      this.position++;
+      return new PdfOperator(char);
+    }
+    // Inline images hold raw bytes - skip past them to EI
+    if (word === 'ID') {
+      const end = source.indexOf('EI', this.position);
+      this.position = end === -1 ? source.length : end + 2;
+      return new PdfOperator('EI');
+    }
+    return new PdfOperator(word);
+  }
+
+  readName() {
+    const start = ++this.position;
+    while (this.position < this.source.length) {
+      const code = this.source.charCodeAt(this.position);
+      if (WHITESPACE.has(code) || DELIMITERS.has(code)) break;
+      this.position++;
+    }
+    return this.source.slice(start, this.position).replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+  }
+
+  readLiteralString() {
+    const { source } = this;
+    let depth = 1;
+    let out = '';
+    this.position++;
+    while (this.position < source.length && depth > 0) {
+      const char = source[this.position++];
+      if (char === '\\') {
+        const next = source[this.position++];
+        const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+        if (next in escapes) out += escapes[next];
+        else if (next === '\r') { if (source[this.position] === '\n') this.position++; }
+        else if (next === '\n') { /* line continuation */ }
+        else if (/[0-7]/.test(next)) {
+          let octal = next;
+          while (octal.length < 3 && /[0-7]/.test(source[this.position])) octal += source[this.position++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xFF);
+        } else out += next;
+      } else if (char === '(') {
+        depth++;
+        out += char;
+      } else if (char === ')') {
+        depth--;
+        if (depth > 0) out += char;
+      } else {
+        out += char;
+      }
+    }
+    return new PdfString(out);
+  }
+
+  readDictionary() {
+    this.position += 2;
+    const dict = {};
+    for (;;) {
+      this.skipWhitespace();
+      if (this.position >= this.source.length) break;
+      if (this.source.startsWith('>>', this.position)) {
+        this.position += 2;
+        break;
+      }
+      const key = this.readToken();
+      if (typeof key !== 'string') continue;
+      dict[key] = this.readObject();
+    }
+    return dict;
+  }
+}
+
+/**
+ * ToUnicode CMap: bfchar and bfrange entries mapping codes to text
+ */
+function parseToUnicode(source) {
+  const map = new Map();
+  const lengths = new Set();
+  const hexValues = text => [...text.matchAll(/<([0-9A-Fa-f\s]*)>/g)].map(match => match[1].replace(/\s+/g, ''));
+
+  for (const [, body] of source.matchAll(/begincodespacerange([\s\S]*?)endcodespacerange/g)) {
+    hexValues(body).forEach(hex => lengths.add(hex.length / 2));
+  }
+  for (const [, body] of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    const values = hexValues(body);
+    for (let i = 0; i + 1 < values.length; i += 2) {
+      map.set(codeKey(values[i]), utf16Hex(values[i + 1]));
+      lengths.add(values[i].length / 2);
+    }
+  }
+  for (const [, body] of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const entries = body.match(/<[0-9A-Fa-f\s]*>\s*<[0-9A-Fa-f\s]*>\s*(?:<[0-9A-Fa-f\s]*>|\[[^\]]*\])/g) || [];
+    entries.forEach(entry => {
+      const [low, high, ...targets] = hexValues(entry);
+      const size = low.length / 2;
+      const from = parseInt(low, 16);
+      const to = Math.min(parseInt(high, 16), from + 0xFFFF);
+      lengths.add(size);
+      for (let code = from; code <= to; code++) {
+        const key = `${size}:${code}`;
+        if (entry.includes('[')) {
+          if (targets[code - from] !== undefined) map.set(key, utf16Hex(targets[code - from]));
+        } else {
+          // The last byte of the destination counts up with the code
+          const base = targets[0];
+          const last = parseInt(base.slice(-2), 16) + (code - from);
+          map.set(key, utf16Hex(base.slice(0, -2) + (last & 0xFF).toString(16).padStart(2, '0')));
+        }
+      }
+    });
+  }
+
+  const sizes = [...lengths].filter(size => size >= 1 && size <= 4).sort((a, b) => a - b);
+  return {
+    decode(bytes, defaultSize) {
+      let out = '';
+      let position = 0;
+      while (position < bytes.length) {
+        let matched = false;
+        for (const size of sizes) {
+          if (position + size > bytes.length) continue;
+          let code = 0;
+          for (let i = 0; i < size; i++) code = code * 256 + bytes.charCodeAt(position + i);
+          const text = map.get(`${size}:${code}`);
+          if (text !== undefined) {
+            out += text;
+            position += size;
+            matched = true;
+            break;
+          }
+        }
+        if (!matched) position += sizes.includes(defaultSize) || sizes.length === 0 ? defaultSize : sizes[0];
+      }
+      return out;
+    }
+  };
+}
+
+// Simple-font /Differences: glyph names we can read as text ("uni20B9", "A", "space")
+function readDifferences(encoding) {
+  const differences = {};
+  if (!isDict(encoding) || !Array.isArray(encoding.Differences)) return differences;
+
+  let code = 0;
+  encoding.Differences.forEach(item => {
+    if (typeof item === 'number') {
+      code = item;
+      return;
+    }
+    if (typeof item !== 'string') return;
+    if (/^uni[0-9A-F]{4}$/.test(item)) differences[code] = String.fromCharCode(parseInt(item.slice(3), 16));
+    else if (item.length === 1) differences[code] = item;
+    else if (item === 'space') differences[code] = ' ';
+    code++;
+  });
+  return differences;
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  const reader = stream.getReader();
+  const chunks = [];
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+  } catch (error) {
+    // Some writers pad streams with junk after the compressed data - keep what was inflated
+    if (chunks.length === 0) throw new Error(`Could not inflate PDF stream: ${error.message}`);
+  }
+
+  const total = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+class PdfRef {
+  constructor(ref) {
+    this.ref = ref;
+  }
+}
+
+class PdfString {
+  constructor(bytes) {
+    this.bytes = bytes;
+  }
+}
+
+class PdfOperator {
+  constructor(op) {
+    this.op = op;
+  }
+}
+
+function isDict(value) {
+  return !!value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function isRef(value) {
+  return value instanceof PdfRef;
+}
+
+function isString(value) {
+  return value instanceof PdfString;
+}
+
+function isOperator(value) {
+  return value instanceof PdfOperator;
+}
+
+function codeKey(hex) {
+  return `${hex.length / 2}:${parseInt(hex, 16)}`;
+}
+
+// Destination text is UTF-16BE; surrogate pairs join up in the string
+function utf16Hex(hex) {
+  if (hex.length <= 2) return String.fromCharCode(parseInt(hex || '0', 16));
+  let out = '';
+  for (let i = 0; i + 4 <= hex.length; i += 4) out += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  return out;
+}
+
+function decodeHex(hex) {
+  const clean = hex.replace(/[^0-9A-Fa-f]/g, '');
+  const padded = clean.length % 2 ? `${clean}0` : clean;
+  const out = new Uint8Array(padded.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = parseInt(padded.substr(i * 2, 2), 16);
+  return out;
+}
+
+function latinText(bytes) {
+  return [...bytes].map(byte => WIN_ANSI_EXTRAS[byte.charCodeAt(0)] || byte).join('');
+}
+
+function toBinaryString(bytes) {
+  let out = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return out;
+}
+
+export default { extractPdfText };
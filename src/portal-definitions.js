@@ -0,0 +1,530 @@
+/**
+ * AutoComplaint - Grievance Portal Definitions
+ * Describes each complaint portal's form for the filling engine: which order
+ * values go into which fields, how to find those fields, what kind of widget
+ * each one is and which fields load their options from another.
+ *
+ * Field spec:
+ *   label      - human-readable name for reports
+ *   widget     - 'select' | 'combobox' | 'text' | 'textarea'
+ *   dataKeys   - order keys to read the value from, first non-empty wins
+ *                (saved orders use extractor keys, the popup sends form keys)
+ *   selectors  - candidate elements, first visible one wins
+ *   dependsOn  - field whose choice loads this field's options
+ *   allowOther - pick the portal's "Other" entry when no option matches
+ *   default    - value used when the order has none (e.g. the ministry on CPGRAMS)
+ *   keywords   - extra label phrases for the form analyzer, used when no selector matches
+ *
+ * A definition's `matches` are Chrome match patterns; the same list drives
+ * URL lookup, the portal content-script registration and the host permissions
+ * checked by the background worker.
+ */
+
+const definitions = [];
+
+// Field specs shared by several portals
+const CONTACT_FIELDS = {
+  customerName: {
+    label: 'Customer Name',
+    widget: 'text',
+    dataKeys: ['customerName'],
+    selectors: [
+      'input[name*="customer"][name*="name"]',
+      'input[name*="consumer"][name*="name"]',
+      'input[name*="complainant"][name*="name"]',
+      '#customer-name',
+      '#consumer-name',
+      'input[name*="name"]'
+    ]
+  },
+  email: {
+    label: 'Email',
+    widget: 'text',
+    dataKeys: ['email'],
+    selectors: [
+      'input[type="email"]',
+      'input[name*="email"]',
+      '#email',
+      '.email-input'
+    ]
+  },
+  phone: {
+    label: 'Phone',
+    widget: 'text',
+    dataKeys: ['phone'],
+    selectors: [
+      'input[type="tel"]',
+      'input[name*="phone"]',
+      'input[name*="mobile"]',
+      'input[name*="contact"]',
+      '#phone',
+      '#mobile'
+    ]
+  }
+};
+
+const ORDER_FIELDS = {
+  orderId: {
+    label: 'Order ID',
+    widget: 'text',
+    dataKeys: ['orderId'],
+    selectors: [
+      'input[name*="order"][name*="id"]',
+      'input[name*="order"][name*="number"]',
+      'input[name*="reference"]',
+      'textarea[name*="order"]',
+      '#order-id',
+      '#order-number'
+    ]
+  },
+  productName: {
+    label: 'Product Name',
+    widget: 'text',
+    dataKeys: ['productName'],
+    selectors: [
+      'input[name*="product"][name*="name"]',
+      'textarea[name*="product"]',
+      'input[name*="item"]',
+      '#product-name',
+      '.product-input'
+    ]
+  }
+};
+
+const DESCRIPTION_FIELD = {
+  label: 'Grievance Description',
+  widget: 'textarea',
+  dataKeys: ['description'],
+  selectors: [
+    'textarea[name*="description"]',
+    'textarea[name*="grievance"][name*="detail"]',
+    'textarea[name*="complaint"]',
+    '#description',
+    '#grievanceDescription',
+    'textarea[aria-label*="Description"]',
+    'textarea[placeholder*="describe"]'
+  ]
+};
+
+// National Consumer Helpline grievance registration form
+export const NCH_PORTAL = {
+  id: 'nch',
+  name: 'National Consumer Helpline',
+  matches: [
+    'https://consumerhelpline.gov.in/*',
+    'https://*.consumerhelpline.gov.in/*',
+    // Local test pages
+    'file:///*/test.html*',
+    'file:///*/diagnostic.html*',
+    'file:///*/debug.html*'
+  ],
+  fields: {
+    grievanceType: {
+      label: 'Grievance Type',
+      widget: 'select',
+      dataKeys: ['grievanceType'],
+      selectors: [
+        'select[name*="grievance"][name*="type"]',
+        'select[name*="complaint"][name*="type"]',
+        '#grievanceType',
+        '.grievance-type-dropdown'
+      ]
+    },
+    grievanceClassification: {
+      label: 'Grievance Classification',
+      widget: 'select',
+      dataKeys: ['grievanceClassification'],
+      selectors: [
+        'select[name*="grievance"][name*="classification"]',
+        'select[name*="complaint"][name*="classification"]',
+        '#grievanceClassification',
+        '.grievance-classification-dropdown'
+      ]
+    },
+    state: {
+      label: 'State',
+      widget: 'select',
+      dataKeys: ['state'],
+      selectors: [
+        'select[name*="state"]',
+        'input[name*="state"]',
+        '#state',
+        '#state-select',
+        '.state-dropdown',
+        'select[aria-label*="State"]'
+      ]
+    },
+    purchaseCity: {
+      label: 'Purchase City',
+      widget: 'select',
+      dataKeys: ['purchaseCity'],
+      dependsOn: 'state',
+      selectors: [
+        'select[name*="city"]',
+        'select[name*="purchase"][name*="city"]',
+        'input[name*="city"]',
+        '#city',
+        '#city-select',
+        '.city-dropdown',
+        'select[aria-label*="City"]'
+      ]
+    },
+    sectorIndustry: {
+      label: 'Sector/Industry',
+      widget: 'select',
+      dataKeys: ['sectorIndustry'],
+      allowOther: true,
+      selectors: [
+        'select[name*="sector"]',
+        'select[name*="industry"]',
+        'select[name*="business"]',
+        '#sector',
+        '#industry',
+        '#sector-select',
+        '#industry-select',
+        '.sector-dropdown',
+        '.industry-dropdown',
+        'select[aria-label*="Sector"]',
+        'select[aria-label*="Industry"]'
+      ]
+    },
+    category: {
+      label: 'Category',
+      widget: 'select',
+      dataKeys: ['category', 'productCategory'],
+      dependsOn: 'sectorIndustry',
+      allowOther: true,
+      selectors: [
+        'select[name*="category"]',
+        'select[name*="product"][name*="category"]',
+        '#category',
+        '#category-select',
+        '.category-dropdown',
+        'select[aria-label*="Category"]'
+      ]
+    },
+    company: {
+      label: 'Company',
+      widget: 'select',
+      dataKeys: ['company', 'sellerName'],
+      dependsOn: 'category',
+      allowOther: true,
+      selectors: [
+        'select[name*="company"]',
+        'select[name*="seller"]',
+        'select[name*="brand"]',
+        'input[name*="company"]',
+        'input[name*="seller"]',
+        '#company',
+        '#company-select',
+        '.company-dropdown',
+        'select[aria-label*="Company"]'
+      ]
+    },
+    natureOfGrievance: {
+      label: 'Nature of Grievance',
+      widget: 'select',
+      dataKeys: ['natureOfGrievance'],
+      selectors: [
+        'select[name*="nature"]',
+        'select[name*="grievance"][name*="nature"]',
+        '#natureOfGrievance',
+        '.nature-dropdown',
+        'select[aria-label*="Nature of Grievance"]'
+      ]
+    },
+    productValue: {
+      label: 'Product Value',
+      widget: 'select',
+      dataKeys: ['productValue', 'price'],
+      selectors: [
+        'select[name*="product"][name*="value"]',
+        'select[name*="price"]',
+        'select[name*="amount"]',
+        'input[name*="value"]',
+        'input[name*="price"]',
+        'input[name*="amount"]',
+        '#productValue',
+        '#product-value-select',
+        '.product-value-dropdown',
+        'select[aria-label*="Product Value"]'
+      ]
+    },
+    dealerInfo: {
+      label: 'Dealer Information',
+      widget: 'textarea',
+      dataKeys: ['dealerInfo'],
+      selectors: [
+        'textarea[name*="dealer"]',
+        'textarea[name*="seller"]',
+        'textarea[name*="contact"]',
+        'input[name*="dealer"]',
+        '#dealerInfo',
+        '#dealer-info',
+        '.dealer-info-field',
+        '.dealer-textarea',
+        'textarea[aria-label*="Dealer"]',
+        'textarea[placeholder*="dealer"]'
+      ]
+    },
+    ...CONTACT_FIELDS,
+    ...ORDER_FIELDS,
+    description: DESCRIPTION_FIELD
+  }
+};
+
+// e-Daakhil - online complaints to the District, State and National Consumer Commissions
+export const EDAAKHIL_PORTAL = {
+  id: 'edaakhil',
+  name: 'e-Daakhil (Consumer Commissions)',
+  matches: [
+    'https://edaakhil.nic.in/*',
+    'https://*.edaakhil.nic.in/*',
+    'https://consumer.nic.in/*',
+    'https://edca.gov.in/*',
+    'https://*.edca.gov.in/*'
+  ],
+  fields: {
+    ...CONTACT_FIELDS,
+    state: {
+      label: 'State',
+      widget: 'select',
+      dataKeys: ['state'],
+      selectors: [
+        'select[name*="state"]',
+        'select[id*="state" i]',
+        'select[aria-label*="State"]'
+      ]
+    },
+    district: {
+      label: 'District',
+      widget: 'select',
+      dataKeys: ['district', 'purchaseCity'],
+      dependsOn: 'state',
+      selectors: [
+        'select[name*="district"]',
+        'select[id*="district" i]',
+        'select[aria-label*="District"]'
+      ]
+    },
+    oppositeParty: {
+      label: 'Opposite Party',
+      widget: 'text',
+      dataKeys: ['company', 'sellerName'],
+      selectors: [
+        'input[name*="opposite"][name*="name"]',
+        'input[name*="opp"][name*="party"]',
+        'input[name*="respondent"]',
+        'input[aria-label*="Opposite Party"]'
+      ]
+    },
+    oppositePartyAddress: {
+      label: 'Opposite Party Address',
+      widget: 'textarea',
+      dataKeys: ['dealerInfo'],
+      selectors: [
+        'textarea[name*="opposite"][name*="address"]',
+        'textarea[name*="opp"][name*="address"]',
+        'textarea[name*="respondent"]',
+        'textarea[aria-label*="Opposite Party Address"]'
+      ]
+    },
+    considerationPaid: {
+      label: 'Consideration Paid',
+      widget: 'text',
+      dataKeys: ['productValue', 'price'],
+      selectors: [
+        'input[name*="consideration"]',
+        'input[name*="amount"][name*="paid"]',
+        'input[name*="claim"]',
+        'input[aria-label*="Consideration"]'
+      ]
+    },
+    ...ORDER_FIELDS,
+    description: {
+      ...DESCRIPTION_FIELD,
+      label: 'Facts of the Complaint',
+      selectors: [
+        'textarea[name*="fact"]',
+        'textarea[name*="brief"]',
+        ...DESCRIPTION_FIELD.selectors
+      ]
+    }
+  }
+};
+
+// CPGRAMS - Centralised Public Grievance Redress and Monitoring System
+export const CPGRAMS_PORTAL = {
+  id: 'cpgrams',
+  name: 'CPGRAMS',
+  matches: [
+    'https://pgportal.gov.in/*',
+    'https://*.pgportal.gov.in/*'
+  ],
+  fields: {
+    ...CONTACT_FIELDS,
+    state: {
+      label: 'State',
+      widget: 'select',
+      dataKeys: ['state'],
+      selectors: [
+        'select[name*="state"]',
+        'select[id*="state" i]'
+      ]
+    },
+    district: {
+      label: 'District',
+      widget: 'select',
+      dataKeys: ['district', 'purchaseCity'],
+      dependsOn: 'state',
+      selectors: [
+        'select[name*="district"]',
+        'select[id*="district" i]'
+      ]
+    },
+    ministry: {
+      label: 'Ministry/Department',
+      widget: 'select',
+      dataKeys: ['ministry'],
+      default: 'Department of Consumer Affairs',
+      selectors: [
+        'select[name*="ministry"]',
+        'select[name*="department"]',
+        'select[id*="ministry" i]'
+      ]
+    },
+    grievanceCategory: {
+      label: 'Grievance Category',
+      widget: 'select',
+      dataKeys: ['grievanceCategory', 'natureOfGrievance'],
+      dependsOn: 'ministry',
+      allowOther: true,
+      selectors: [
+        'select[name*="category"]',
+        'select[id*="category" i]'
+      ]
+    },
+    description: {
+      ...DESCRIPTION_FIELD,
+      selectors: [
+        'textarea[name*="grievance"]',
+        ...DESCRIPTION_FIELD.selectors
+      ]
+    }
+  }
+};
+
+// Any other portal - broad selectors that suit most complaint forms
+export const GENERIC_PORTAL = {
+  id: 'generic',
+  name: 'Generic complaint form',
+  matches: [],
+  fields: {
+    ...CONTACT_FIELDS,
+    state: NCH_PORTAL.fields.state,
+    purchaseCity: NCH_PORTAL.fields.purchaseCity,
+    company: { ...NCH_PORTAL.fields.company, dependsOn: null }, // No category list to wait for
+    productValue: NCH_PORTAL.fields.productValue,
+    dealerInfo: NCH_PORTAL.fields.dealerInfo,
+    ...ORDER_FIELDS,
+    description: DESCRIPTION_FIELD
+  }
+};
+
+/**
+ * Register a portal definition (later registrations take precedence)
+ */
+export function registerPortalDefinition(definition) {
+  if (!definition || !definition.id || !Array.isArray(definition.matches) || !definition.fields) {
+    throw new Error('Portal definition needs an id, matches and fields');
+  }
+
+  const existing = definitions.findIndex(registered => registered.id === definition.id);
+  if (existing !== -1) definitions.splice(existing, 1);
+
+  definitions.unshift(definition);
+  console.log(`🧩 PORTAL DEFINITION - Registered ${definition.id}`);
+  return definition;
+}
+
+/**
+ * Find the definition whose match patterns cover the given URL
+ */
+export function findPortalDefinition(url) {
+  if (!url) return null;
+  return definitions.find(definition => definition.matches.some(pattern => matchesPattern(pattern, url))) || null;
+}
+
+/**
+ * Definition for the URL, or the generic profile for portals we do not know
+ */
+export function getPortalDefinition(url) {
+  return findPortalDefinition(url) || GENERIC_PORTAL;
+}
+
+/**
+ * Every registered definition (for the popup and the background worker)
+ */
+export function getPortalDefinitions() {
+  return [...definitions];
+}
+
+/**
+ * Match patterns the portal content script is registered for
+ */
+export function getPortalMatchPatterns() {
+  return [...new Set(definitions.flatMap(definition => definition.matches))];
+}
+
+/**
+ * Host permission origins the portals need (web pages only - file:// access is a user setting)
+ */
+export function getPortalHostPermissions() {
+  return getPortalMatchPatterns().filter(pattern => /^https?:/.test(pattern));
+}
+
+/**
+ * Child field → parent field map for a definition, as used by the dependency tracker
+ */
+export function getFieldDependencies(definition) {
+  return Object.fromEntries(
+    Object.entries(definition.fields)
+      .filter(([, spec]) => spec.dependsOn)
+      .map(([field, spec]) => [field, spec.dependsOn])
+  );
+}
+
+/**
+ * Test a URL against a Chrome match pattern ("https://*.example.gov.in/*")
+ */
+function matchesPattern(pattern, url) {
+  const [, scheme, host, path] = pattern.match(/^(\*|https?|file):\/\/([^/]*)(\/.*)$/) || [];
+  if (!scheme) return false;
+
+  const escape = text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  const schemePart = scheme === '*' ? 'https?' : scheme;
+  const hostPart = host === '*' ? '[^/]*'
+    : host.startsWith('*.') ? `(?:[^/]*\\.)?${escape(host.slice(2))}`
+    : escape(host);
+  const pathPart = escape(path).replace(/\*/g, '.*');
+
+  return new RegExp(`^${schemePart}://${hostPart}${pathPart}$`, 'i').test(url);
+}
+
+registerPortalDefinition(NCH_PORTAL);
+registerPortalDefinition(EDAAKHIL_PORTAL);
+registerPortalDefinition(CPGRAMS_PORTAL);
+
+export default {
+  NCH_PORTAL,
+  EDAAKHIL_PORTAL,
+  CPGRAMS_PORTAL,
+  GENERIC_PORTAL,
+  registerPortalDefinition,
+  findPortalDefinition,
+  getPortalDefinition,
+  getPortalDefinitions,
+  getPortalMatchPatterns,
+  getPortalHostPermissions,
+  getFieldDependencies
+};
@@ -0,0 +1,572 @@
+/**
+ * AutoComplaint - Portal Form Filling Engine
+ * Fills a grievance portal form from order data, driven by a portal
+ * definition (see portal-definitions.js). Parents are filled before the
+ * dependent dropdowns they load, every select is matched with the shared
+ * dropdown matcher, and each field reports how it was filled.
+ * Fields none of whose selectors match are looked up by their visible
+ * labels through the form analyzer. Evidence files, when given, are attached
+ * to the form's upload inputs after the fields.
+ */
+
+import { matchOption } from './dropdown-matcher.js';
+import { createDependencyTracker, orderByDependencies } from './dependent-fields.js';
+import { getFieldDependencies } from './portal-definitions.js';
+import { analyzeForm } from './form-analyzer.js';
+import { getNodePath } from './field-provenance.js';
+import { planEvidenceUploads, attachEvidenceFiles } from './evidence-upload.js';
+
+const FILL_CONFIG = {
+  TYPING_DELAY: 50,      // Base delay between typed characters (plus up to 50ms jitter)
+  SUGGESTION_DELAY: 300, // Wait for a combobox's suggestion list after typing
+  OTHER_TEXT_TIMEOUT: 2000 // Longest wait for the free-text box a portal shows after choosing "Other"
+};
+
+// Wrappers that hold one form field's controls - where an "Other" text box appears
+const FIELD_GROUP_SELECTOR = '.form-group, .form-row, .form-field, .field, fieldset, tr, li';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Fill every field of the definition that has a value in orderData
+ * fieldValues (from the preview overlay) replaces orderData: only the fields
+ * it lists are filled, with exactly those values
+ * snapshot (from createFormSnapshot) records each control before it is written
+ * files (from buildEvidenceFiles) are attached to upload inputs, one result per input
+ * Returns { summary: { total, successful, failed, successRate, unloadedDependencies, timestamp }, results }
+ */
+export async function fillPortalForm(definition, orderData, root = document, { fieldValues = null, snapshot = null, files = [] } = {}) {
+  console.log(`🎯 Filling ${definition.name} form with data:`, fieldValues || orderData);
+
+  const results = {};
+  const fillableFields = Object.keys(definition.fields);
+  const fieldDependencies = getFieldDependencies(definition);
+  const locator = createFieldLocator(definition, root);
+  const context = { root, snapshot, isClaimed: locator.isClaimed };
+
+  // Children (City, Category, Company) wait for the options their parent loads
+  const dependencies = createDependencyTracker(locator.locate, { dependencies: fieldDependencies });
+
+  for (const fieldType of orderByDependencies(fillableFields, fieldDependencies)) {
+    const spec = definition.fields[fieldType];
+    if (fieldValues && !(fieldType in fieldValues)) {
+      results[fieldType] = { success: false, skipped: true, reason: 'Left out in preview' };
+      continue;
+    }
+
+    const value = fieldValues ? fieldValues[fieldType] : getFieldValue(spec, fieldType, orderData);
+    if (!value) {
+      results[fieldType] = { success: false, reason: 'No data available' };
+      continue;
+    }
+
+    const dependencyFailure = await dependencies.waitFor(fieldType);
+    if (dependencyFailure) {
+      results[fieldType] = { ...dependencyFailure, fieldType: fieldType, value: value };
+      continue;
+    }
+
+    const previousValue = dependencies.beforeFill(fieldType);
+    let result = await fillField(spec, fieldType, value, context);
+    if (!result.success) {
+      result = await fillFieldByLabel(spec, fieldType, value, context, locator.findByLabel(fieldType)) || result;
+    }
+    // The element itself stays here - results are sent back over messaging
+    const { element, ...fillResult } = result;
+    results[fieldType] = fillResult;
+    if (fillResult.success) {
+      locator.claim(fieldType, element);
+      dependencies.afterFill(fieldType, previousValue);
+    }
+  }
+
+  const uploads = planEvidenceUploads(files, root);
+  for (const upload of uploads) {
+    results[upload.fieldType] = await fillUpload(upload, fieldValues, context);
+  }
+
+  const successful = Object.values(results).filter(r => r.success).length;
+  const total = fillableFields.length + uploads.length;
+
+  const summary = {
+    total: total,
+    successful: successful,
+    failed: total - successful,
+    successRate: `${Math.round((successful / total) * 100)}%`,
+    unloadedDependencies: dependencies.getUnloaded(),
+    timestamp: new Date().toISOString()
+  };
+
+  console.log('✅ Portal form filling completed:', { summary, results });
+
+  return { summary, results };
+}
+
+/**
+ * Fill one field into an element the user picked
+ * Returns the same result shape as fillPortalForm's results entries
+ */
+export async function fillFieldElement(definition, fieldType, value, element, { root = document, snapshot = null } = {}) {
+  const spec = definition.fields[fieldType] || { widget: 'text' };
+  try {
+    const result = await fillElement(element, spec, fieldType, value, { root, snapshot });
+    if (result && result.success) {
+      const { element: filled, ...fillResult } = result;
+      return { ...fillResult, selector: getNodePath(filled), fieldType: fieldType, discoveredBy: 'picked' };
+    }
+    return { ...(result ? { reason: result.reason, runnersUp: result.runnersUp } : {}), success: false, fieldType, value };
+  } catch (error) {
+    console.warn(`Error filling ${fieldType} into the picked element:`, error);
+    return { success: false, reason: error.message, fieldType, value };
+  }
+}
+
+/**
+ * Work out what fillPortalForm would write, without touching the page
+ * Returns { portal: { id, name }, rows } with one row per field that has a value:
+ * { fieldType, label, value, widget, found, selector, discoveredBy, labelText,
+ *   option: { text, score, method } | null, usesOther, pendingOn, runnersUp,
+ *   confidence, element }
+ * Upload inputs that will get evidence files are rows with widget 'file'
+ */
+export function planPortalFill(definition, orderData = {}, root = document, { files = [] } = {}) {
+  const fieldDependencies = getFieldDependencies(definition);
+  const locator = createFieldLocator(definition, root);
+  const rows = [];
+
+  for (const fieldType of orderByDependencies(Object.keys(definition.fields), fieldDependencies)) {
+    const spec = definition.fields[fieldType];
+    const { value, key } = resolveFieldValue(spec, fieldType, orderData);
+    if (!value) continue;
+
+    const target = locateTarget(spec, fieldType, root, locator);
+    const parentRow = spec.dependsOn && rows.find(row => row.fieldType === spec.dependsOn && row.found);
+    const meta = key && orderData.fieldMeta && orderData.fieldMeta[key];
+    const row = {
+      fieldType,
+      label: spec.label || fieldType,
+      value: String(value),
+      widget: target ? resolveWidget(target.element, spec.widget) : spec.widget,
+      found: !!target,
+      selector: target ? target.selector : null,
+      discoveredBy: target ? target.discoveredBy : null,
+      labelText: target ? target.labelText : null,
+      option: null,
+      usesOther: false,
+      // Options of a dependent dropdown only exist once its parent is applied
+      pendingOn: parentRow ? spec.dependsOn : null,
+      runnersUp: [],
+      extractionConfidence: meta && typeof meta.confidence === 'number' ? meta.confidence : null,
+      confidence: null,
+      element: target ? target.element : null
+    };
+
+    Object.assign(row, previewOption(row, spec));
+    if (target) locator.claim(fieldType, target.element);
+    rows.push(row);
+  }
+
+  planEvidenceUploads(files, root).forEach(upload => rows.push({
+    fieldType: upload.fieldType,
+    label: upload.label,
+    value: upload.files.map(file => file.name).join(', '),
+    widget: 'file',
+    found: true,
+    selector: getNodePath(upload.element),
+    discoveredBy: 'upload',
+    labelText: upload.label,
+    option: null,
+    usesOther: false,
+    pendingOn: null,
+    runnersUp: [],
+    extractionConfidence: null,
+    confidence: null,
+    element: upload.element
+  }));
+
+  return { portal: { id: definition.id, name: definition.name }, rows };
+}
+
+/**
+ * What a row would select or write for its current value
+ * Called again by the preview overlay when the user edits the value
+ */
+export function previewOption(row, spec = {}) {
+  const preview = { option: null, usesOther: false, runnersUp: [], confidence: row.extractionConfidence };
+  if (!row.found) return { ...preview, confidence: null };
+  if (row.widget !== 'select' || row.pendingOn) return preview;
+
+  const match = matchOption(row.element.options, row.value);
+  if (match.best) {
+    return {
+      option: { text: match.best.text, score: match.best.score, method: match.best.method },
+      usesOther: false,
+      runnersUp: match.runnersUp,
+      confidence: match.best.score
+    };
+  }
+  if (spec.allowOther && match.otherOption) {
+    return { option: { text: match.otherOption.text, score: 0, method: 'other' }, usesOther: true, runnersUp: match.runnersUp, confidence: 0 };
+  }
+  return { option: null, usesOther: false, runnersUp: match.runnersUp, confidence: 0 };
+}
+
+/**
+ * The order value for a field - first non-empty of its dataKeys, else the spec's default
+ */
+export function getFieldValue(spec, fieldType, orderData = {}) {
+  return resolveFieldValue(spec, fieldType, orderData).value;
+}
+
+function resolveFieldValue(spec, fieldType, orderData) {
+  const keys = spec.dataKeys || [fieldType];
+  const key = keys.find(dataKey => orderData[dataKey]);
+  return key ? { value: orderData[key], key } : { value: spec.default || '', key: null };
+}
+
+/**
+ * Element lookup shared by filling and planning: selectors first, then labels.
+ * Claimed controls (field → element) are never handed to another field.
+ */
+function createFieldLocator(definition, root) {
+  const claimed = new Map();
+
+  const findByLabel = field => (
+    analyzeForm(root, definition.fields, { exclude: new Set(claimed.values()) })[field] || null
+  );
+  // Taken by another field - "name" selectors also match product_name
+  const isClaimed = (element, field) => (
+    [...claimed].some(([owner, claimedElement]) => owner !== field && claimedElement === element)
+  );
+
+  return {
+    findByLabel,
+    isClaimed,
+    claim(field, element) {
+      claimed.set(field, element);
+    },
+    locate(field) {
+      const element = claimed.get(field) ||
+        findFieldElement(definition.fields[field], root, candidate => isClaimed(candidate, field));
+      if (element) return element;
+      const match = findByLabel(field);
+      return match ? match.element : null;
+    }
+  };
+}
+
+/**
+ * Where a field would be written - { element, selector, discoveredBy, labelText } or null
+ */
+function locateTarget(spec, fieldType, root, locator) {
+  for (const selector of spec.selectors || []) {
+    const element = querySelectorTarget(root, selector, candidate => locator.isClaimed(candidate, fieldType));
+    if (element) {
+      return { element, selector, discoveredBy: 'selector', labelText: null };
+    }
+  }
+
+  const match = locator.findByLabel(fieldType);
+  return match
+    ? { element: match.element, selector: getNodePath(match.element), discoveredBy: 'label', labelText: match.labelText }
+    : null;
+}
+
+/**
+ * First visible element matching one of the field's selectors
+ * isExcluded skips elements that are spoken for (claimed by another field)
+ */
+export function findFieldElement(spec, root = document, isExcluded = () => false) {
+  for (const selector of (spec && spec.selectors) || []) {
+    const element = querySelectorTarget(root, selector, isExcluded);
+    if (element) return element;
+  }
+  return null;
+}
+
+// First visible, not excluded match of one selector
+function querySelectorTarget(root, selector, isExcluded) {
+  return [...root.querySelectorAll(selector)]
+    .find(element => element.offsetParent !== null && !isExcluded(element)) || null;
+}
+
+/**
+ * Try the field's selectors in order until one fills
+ */
+async function fillField(spec, fieldType, value, context) {
+  let failure = null; // Why the last control that was found could not be filled
+  for (const selector of spec.selectors) {
+    try {
+      // Hidden elements and controls another field already filled are skipped
+      const element = querySelectorTarget(context.root, selector, candidate => (
+        context.isClaimed ? context.isClaimed(candidate, fieldType) : false
+      ));
+      if (!element) continue;
+
+      const result = await fillElement(element, spec, fieldType, value, context);
+      if (result && result.success) {
+        return { ...result, selector: selector, fieldType: fieldType };
+      }
+      if (result) failure = result;
+    } catch (error) {
+      console.warn(`Error filling ${fieldType} with selector ${selector}:`, error);
+    }
+  }
+
+  return {
+    success: false,
+    reason: (failure && failure.reason) || 'No suitable field found',
+    searchedSelectors: spec.selectors,
+    value: value
+  };
+}
+
+/**
+ * Fill the control the form analyzer matched to the field's label
+ * Returns null when there is no match or it could not be filled
+ */
+async function fillFieldByLabel(spec, fieldType, value, context, match) {
+  if (!match) return null;
+
+  try {
+    const result = await fillElement(match.element, spec, fieldType, value, context);
+    if (!result || !result.success) return null;
+
+    console.log(`🏷️ ${fieldType} found by label "${match.labelText}" (${match.source}, score ${match.score})`);
+    return {
+      ...result,
+      selector: getNodePath(match.element),
+      fieldType: fieldType,
+      discoveredBy: 'label',
+      label: { text: match.labelText, source: match.source, score: match.score }
+    };
+  } catch (error) {
+    console.warn(`Error filling ${fieldType} found by label:`, error);
+    return null;
+  }
+}
+
+/**
+ * Attach one upload's evidence files - the preview's value lists the file
+ * names the user kept for it
+ */
+async function fillUpload(upload, fieldValues, context) {
+  const base = { fieldType: upload.fieldType, fieldLabel: upload.label, widget: 'file', selector: getNodePath(upload.element) };
+  if (fieldValues && !(upload.fieldType in fieldValues)) {
+    return { ...base, success: false, skipped: true, reason: 'Left out in preview' };
+  }
+
+  const kept = fieldValues ? String(fieldValues[upload.fieldType]).split(',').map(name => name.trim()) : null;
+  const files = kept ? upload.files.filter(file => kept.includes(file.name)) : upload.files;
+  if (files.length === 0) return { ...base, success: false, reason: 'No evidence file kept for this upload' };
+
+  try {
+    const record = control => context.snapshot && context.snapshot.record(control);
+    return { ...(await attachEvidenceFiles(upload.element, files, upload.limits, record)), ...base };
+  } catch (error) {
+    console.warn(`Error attaching evidence to ${upload.fieldType}:`, error);
+    return { ...base, success: false, reason: error.message };
+  }
+}
+
+/**
+ * Fill one control with the handler for its widget
+ */
+async function fillElement(element, spec, fieldType, value, context) {
+  const widget = resolveWidget(element, spec.widget);
+  const record = control => context.snapshot && context.snapshot.record(control);
+  let result;
+  if (widget === 'select') {
+    result = await selectOption(element, value, fieldType, spec, record);
+  } else if (widget === 'combobox') {
+    result = await selectComboboxOption(element, value, context.root, record);
+  } else if (widget === 'text' || widget === 'textarea') {
+    result = setTextField(element, value, fieldType, record);
+  }
+  return result && { ...result, widget: widget, element: element };
+}
+
+/**
+ * The widget actually on the page - a definition's "select" may be rendered
+ * as a native select, a searchable combobox or a plain input
+ */
+function resolveWidget(element, declared) {
+  if (element.tagName === 'SELECT') return 'select';
+  if (element.getAttribute('role') === 'combobox' || element.classList.contains('dropdown')) return 'combobox';
+  if (element.tagName === 'TEXTAREA') return 'textarea';
+  if (element.tagName === 'INPUT') return declared === 'textarea' ? 'textarea' : 'text';
+  return declared;
+}
+
+/**
+ * Pick the best-scoring option of a native select, or its "Other" entry
+ */
+async function selectOption(select, value, fieldType, spec, record) {
+  console.log(`🎯 Setting dropdown ${fieldType}:`, value);
+
+  // Scored match - tokens, synonyms, abbreviations and value bands
+  const match = matchOption(select.options, value);
+  if (match.best) {
+    record(select);
+    select.value = match.best.value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    console.log(`✅ ${match.best.method} match found for ${fieldType}:`, match.best.text, match.best.score);
+    return {
+      success: true,
+      method: match.best.method,
+      selectedText: match.best.text,
+      score: match.best.score,
+      runnersUp: match.runnersUp
+    };
+  }
+
+  if (spec.allowOther && match.otherOption) {
+    const group = select.closest(FIELD_GROUP_SELECTOR) || select.parentElement.parentElement || select.parentElement;
+    const shownBefore = new Set(findTextBoxes(group));
+
+    record(select);
+    select.value = match.otherOption.value;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+
+    // Portals show a free-text box next to the select once "Other" is chosen
+    const textInput = await waitForNewTextBox(group, shownBefore);
+    if (!textInput) {
+      console.log(`⚠️ Selected "Other" for ${fieldType} but no text box appeared`);
+      return {
+        success: false,
+        reason: 'Chose "Other" but no text box appeared for the value',
+        selectedText: match.otherOption.text,
+        score: 0,
+        runnersUp: match.runnersUp
+      };
+    }
+
+    record(textInput);
+    textInput.value = value;
+    textInput.dispatchEvent(new Event('input', { bubbles: true }));
+    textInput.dispatchEvent(new Event('change', { bubbles: true }));
+    console.log(`✅ Selected "Other" and filled text for ${fieldType}`);
+    return { success: true, method: 'other', selectedText: match.otherOption.text, score: 0, runnersUp: match.runnersUp };
+  }
+
+  console.log(`⚠️ No suitable option found for ${fieldType}:`, value);
+  return { success: false, reason: 'No option scored high enough', score: 0, runnersUp: match.runnersUp };
+}
+
+// Visible free-text controls inside a field group
+function findTextBoxes(group) {
+  return [...group.querySelectorAll('input[type="text"], input:not([type]), textarea')]
+    .filter(input => input.offsetParent !== null && !input.disabled && !input.readOnly);
+}
+
+/**
+ * Wait for a text box that was not shown in the group before (the "Other" box)
+ * Resolves the input, or null after OTHER_TEXT_TIMEOUT
+ */
+function waitForNewTextBox(group, shownBefore) {
+  return new Promise(resolve => {
+    let finished = false;
+
+    const finish = (input) => {
+      if (finished) return;
+      finished = true;
+      observer.disconnect();
+      clearTimeout(timeoutTimer);
+      resolve(input);
+    };
+
+    const check = () => {
+      const input = findTextBoxes(group).find(candidate => !shownBefore.has(candidate));
+      if (input) finish(input);
+    };
+
+    const observer = new MutationObserver(check);
+    const timeoutTimer = setTimeout(() => finish(null), FILL_CONFIG.OTHER_TEXT_TIMEOUT);
+
+    observer.observe(group, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['style', 'class', 'hidden', 'disabled']
+    });
+    check();
+  });
+}
+
+/**
+ * Type into a searchable dropdown and click the best suggestion
+ */
+async function selectComboboxOption(field, value, root, record) {
+  record(field);
+  await typeIntoField(field, String(value));
+
+  // Look for the suggestion list that appeared
+  const dropdownLists = [
+    ...root.querySelectorAll('.dropdown-list, .select-options, .suggestions, [class*="dropdown"], [class*="autocomplete"]'),
+    ...root.querySelectorAll('ul[style*="display: block"], div[style*="display: block"] > ul')
+  ];
+
+  let runnersUp = [];
+  for (const list of dropdownLists) {
+    const options = [...list.querySelectorAll('li, .option, [role="option"]')];
+    const match = matchOption(options, value);
+    if (match.best) {
+      options[match.best.index].click();
+      return {
+        success: true,
+        method: match.best.method,
+        selectedText: match.best.text,
+        score: match.best.score,
+        runnersUp: match.runnersUp
+      };
+    }
+    runnersUp = runnersUp.length ? runnersUp : match.runnersUp;
+  }
+
+  return { success: false, reason: 'No option scored high enough', score: 0, runnersUp };
+}
+
+/**
+ * Simulate realistic typing so the portal's search handlers fire
+ */
+async function typeIntoField(field, text) {
+  field.value = '';
+  field.dispatchEvent(new Event('focus'));
+
+  for (const char of text) {
+    field.value += char;
+    field.dispatchEvent(new Event('input', { bubbles: true }));
+    field.dispatchEvent(new KeyboardEvent('keydown', { key: char }));
+    await delay(FILL_CONFIG.TYPING_DELAY + Math.random() * 50);
+  }
+
+  field.dispatchEvent(new Event('change', { bubbles: true }));
+  await delay(FILL_CONFIG.SUGGESTION_DELAY);
+}
+
+/**
+ * Set an input or textarea and fire the events frameworks listen for
+ */
+function setTextField(element, value, fieldType, record) {
+  if (!element || !value) return { success: false, reason: 'No element or value' };
+  record(element);
+
+  console.log(`📝 Setting text field ${fieldType}:`, value);
+
+  element.value = value;
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+  element.dispatchEvent(new Event('blur', { bubbles: true }));
+
+  // Typed values need no matching - full score, nothing else considered
+  return { success: true, value: value, method: 'text', score: 1, runnersUp: [] };
+}
+
+export default {
+  fillPortalForm,
+  fillFieldElement,
+  planPortalFill,
+  previewOption,
+  getFieldValue,
+  findFieldElement
+};
@@ -0,0 +1,125 @@
+/**
+ * AutoComplaint - Portal Field Overrides
+ * Selectors the user recorded by pointing at a portal's controls, saved per
+ * origin in chrome.storage.local. They are tried before a definition's own
+ * selectors, so a portal redesign can be fixed without a new release.
+ * Also remembers the origins where the user chose to fill with the generic
+ * profile, since an unknown page is not a portal until the user says so.
+ */
+
+const OVERRIDES_KEY = 'autoComplaintPortalOverrides';
+const GENERIC_ORIGINS_KEY = 'autoComplaintGenericProfileOrigins';
+
+/**
+ * Storage key for a page: its origin, or the path for local files
+ */
+export function getOverrideOrigin(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin !== 'null' ? parsed.origin : `${parsed.protocol}//${parsed.pathname}`;
+  } catch (error) {
+    return '';
+  }
+}
+
+/**
+ * Recorded fields for an origin: { fieldType: { selectors, recordedAt } }
+ */
+export async function getPortalOverrides(origin) {
+  const all = await readOverrides();
+  return (all[origin] && all[origin].fields) || {};
+}
+
+/**
+ * Save the selectors recorded for one field on an origin
+ */
+export async function saveFieldOverride(origin, fieldType, selectors) {
+  if (!origin || !fieldType || !Array.isArray(selectors) || selectors.length === 0) {
+    throw new Error('A field override needs an origin, a field and at least one selector');
+  }
+
+  const all = await readOverrides();
+  const now = new Date().toISOString();
+  const profile = all[origin] || { fields: {} };
+  profile.fields[fieldType] = { selectors, recordedAt: now };
+  profile.updatedAt = now;
+  all[origin] = profile;
+
+  await chrome.storage.local.set({ [OVERRIDES_KEY]: all });
+  console.log(`📌 PORTAL OVERRIDES - Saved ${fieldType} for ${origin}:`, selectors);
+  return profile.fields;
+}
+
+/**
+ * Forget every recorded field for an origin
+ */
+export async function clearPortalOverrides(origin) {
+  const all = await readOverrides();
+  if (!all[origin]) return false;
+
+  delete all[origin];
+  await chrome.storage.local.set({ [OVERRIDES_KEY]: all });
+  console.log(`📌 PORTAL OVERRIDES - Cleared recorded fields for ${origin}`);
+  return true;
+}
+
+/**
+ * Whether the user turned on the generic profile for an origin
+ * Origins with recorded fields count, since recording needed the profile
+ */
+export async function isGenericProfileEnabled(origin) {
+  if (!origin) return false;
+  const { [GENERIC_ORIGINS_KEY]: origins } = await chrome.storage.local.get(GENERIC_ORIGINS_KEY);
+  if (origins && origins[origin]) return true;
+  return Object.keys(await getPortalOverrides(origin)).length > 0;
+}
+
+/**
+ * Turn the generic profile on or off for an origin
+ */
+export async function setGenericProfileEnabled(origin, enabled) {
+  if (!origin) throw new Error('The generic profile needs an origin');
+
+  const { [GENERIC_ORIGINS_KEY]: stored } = await chrome.storage.local.get(GENERIC_ORIGINS_KEY);
+  const origins = stored || {};
+  if (enabled) origins[origin] = { enabledAt: new Date().toISOString() };
+  else delete origins[origin];
+
+  await chrome.storage.local.set({ [GENERIC_ORIGINS_KEY]: origins });
+  console.log(`📌 PORTAL OVERRIDES - Generic profile ${enabled ? 'on' : 'off'} for ${origin}`);
+}
+
+/**
+ * Definition with the recorded selectors tried first for each field
+ * Recorded fields the definition does not know are added as text fields
+ */
+export function applyPortalOverrides(definition, overrides = {}) {
+  if (Object.keys(overrides).length === 0) return definition;
+
+  const fields = { ...definition.fields };
+  for (const [fieldType, override] of Object.entries(overrides)) {
+    const spec = fields[fieldType] || { label: fieldType, widget: 'text', dataKeys: [fieldType], selectors: [] };
+    fields[fieldType] = {
+      ...spec,
+      selectors: [...override.selectors, ...spec.selectors.filter(selector => !override.selectors.includes(selector))],
+      recorded: true
+    };
+  }
+
+  return { ...definition, fields };
+}
+
+async function readOverrides() {
+  const { [OVERRIDES_KEY]: all } = await chrome.storage.local.get(OVERRIDES_KEY);
+  return all || {};
+}
+
+export default {
+  getOverrideOrigin,
+  getPortalOverrides,
+  saveFieldOverride,
+  clearPortalOverrides,
+  isGenericProfileEnabled,
+  setGenericProfileEnabled,
+  applyPortalOverrides
+};
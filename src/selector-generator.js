@@ -0,0 +1,89 @@
+/**
+ * AutoComplaint - Selector Generator
+ * Builds CSS selectors for an element the user pointed at, most robust first:
+ * stable id, name, test/data attributes, aria-label, placeholder, stable
+ * classes, then a structural path. Only selectors that pick out exactly this
+ * element on the current page are kept.
+ */
+
+import { getNodePath } from './field-provenance.js';
+
+const MAX_SELECTORS = 4;
+
+// Attributes sites keep stable for their own tests and markup
+const DATA_ATTRIBUTES = ['data-testid', 'data-test', 'data-qa', 'data-automation-id', 'itemprop'];
+
+// Hashed class names from CSS-in-JS and CSS modules ("css-1x2y3z", "_3Qx9Ab", "KzDlHZ")
+const GENERATED_CLASS = /^(?:css|sc|jsx|emotion)-|^_|\d{3,}/;
+const MIXED_CASE_HASH = /^(?=.*[A-Z])(?=.*[a-z])[A-Za-z0-9]{5,8}$/;
+const CAMEL_CASE = /^[a-z]+(?:[A-Z][a-z]+)+$/;
+
+// Ids frameworks generate per render ("mat-input-12", "react-select-3-input", GUIDs)
+const GENERATED_ID = /(?:^|[-_:])(?:\d{2,}|[a-f0-9]{8,})(?:$|[-_:])|^(?:mat|react|ember|ext|ui-id|j_id)[-_]|^:r[0-9a-z]+:$/i;
+
+/**
+ * Unique selectors for an element, strongest first (the structural path is always last)
+ */
+export function generateSelectors(element, root = document) {
+  if (!element || element.nodeType !== 1) return [];
+
+  const tag = element.tagName.toLowerCase();
+  const candidates = [];
+
+  if (element.id && !GENERATED_ID.test(element.id)) {
+    candidates.push(`#${cssEscape(element.id)}`);
+  }
+
+  const name = element.getAttribute('name');
+  if (name) {
+    candidates.push(`${tag}[name="${attributeEscape(name)}"]`);
+    // ASP.NET names carry their container chain; the last part survives layout changes
+    const lastPart = name.split(/[$:]/).pop();
+    if (lastPart && lastPart !== name) candidates.push(`${tag}[name$="${attributeEscape(lastPart)}"]`);
+  }
+
+  [...DATA_ATTRIBUTES, 'aria-label', 'placeholder', 'title'].forEach(attribute => {
+    const value = element.getAttribute(attribute);
+    if (value && value.length <= 80) candidates.push(`${tag}[${attribute}="${attributeEscape(value)}"]`);
+  });
+
+  const classes = [...element.classList].filter(className => !isGeneratedClass(className)).slice(0, 3);
+  if (classes.length > 0) {
+    const classSelector = `${tag}${classes.map(className => `.${cssEscape(className)}`).join('')}`;
+    candidates.push(classSelector);
+    // Not unique on its own - try it under the nearest stable id
+    const anchor = element.parentElement && element.parentElement.closest('[id]');
+    if (anchor && !GENERATED_ID.test(anchor.id)) candidates.push(`#${cssEscape(anchor.id)} ${classSelector}`);
+  }
+
+  const selectors = [...new Set(candidates)]
+    .filter(selector => isUniqueMatch(selector, element, root))
+    .slice(0, MAX_SELECTORS - 1);
+
+  const path = getNodePath(element);
+  if (path && !selectors.includes(path)) selectors.push(path);
+  return selectors;
+}
+
+function isGeneratedClass(name) {
+  return GENERATED_CLASS.test(name) || (MIXED_CASE_HASH.test(name) && !CAMEL_CASE.test(name));
+}
+
+function isUniqueMatch(selector, element, root) {
+  try {
+    const matches = root.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === element;
+  } catch (error) {
+    return false; // Not valid CSS after escaping - skip it
+  }
+}
+
+function attributeEscape(value) {
+  return value.replace(/["\\]/g, '\\$&');
+}
+
+function cssEscape(value) {
+  return typeof CSS !== 'undefined' && CSS.escape ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+}
+
+export default { generateSelectors };
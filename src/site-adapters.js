@@ -0,0 +1,352 @@
+/**
+ * AutoComplaint - Site Adapter Registry
+ * Precise, per-marketplace extraction rules layered over the universal NER path.
+ * An adapter declares the order-page URLs it handles and, for each field, an
+ * ordered list of lookups; the first lookup that yields a value wins.
+ *
+ * Lookup types:
+ *   { selector, attribute?, pattern? }  - element text (or attribute), optionally narrowed by a regex group
+ *   { jsonLd, types? }                  - dotted path inside a JSON-LD object of one of the given @types
+ *   { url }                             - regex group taken from the page URL
+ *   { text }                            - regex group taken from the page's visible text
+ */
+
+import { readJsonLd } from './structured-data-extractor.js';
+import { FIELD_SOURCE_TYPES, createFieldMeta, nodeLocation } from './field-provenance.js';
+
+// Confidence and source type per lookup kind
+const LOOKUP_PROVENANCE = {
+  selector: { confidence: 0.85, sourceType: FIELD_SOURCE_TYPES.SELECTOR },
+  'json-ld': { confidence: 0.95, sourceType: FIELD_SOURCE_TYPES.STRUCTURED_DATA },
+  url: { confidence: 0.9, sourceType: FIELD_SOURCE_TYPES.PATTERN },
+  text: { confidence: 0.75, sourceType: FIELD_SOURCE_TYPES.PATTERN }
+};
+
+// Fields an adapter can provide - same keys as the NER extraction result
+export const ADAPTER_FIELDS = [
+  'orderId', 'productName', 'productValue', 'orderDate',
+  'deliveryDate', 'sellerName', 'trackingNumber'
+];
+
+const adapters = [];
+
+/**
+ * Register a site adapter (later registrations take precedence)
+ */
+export function registerSiteAdapter(adapter) {
+  if (!adapter || !adapter.id || !Array.isArray(adapter.urlPatterns) || !adapter.fields) {
+    throw new Error('Site adapter needs an id, urlPatterns and fields');
+  }
+
+  const existing = adapters.findIndex(registered => registered.id === adapter.id);
+  if (existing !== -1) adapters.splice(existing, 1);
+
+  adapters.unshift(adapter);
+  console.log(`🧩 SITE ADAPTER - Registered ${adapter.id}`);
+  return adapter;
+}
+
+/**
+ * Find the adapter whose URL patterns match the given URL
+ */
+export function findSiteAdapter(url) {
+  if (!url) return null;
+  return adapters.find(adapter => adapter.urlPatterns.some(pattern => pattern.test(url))) || null;
+}
+
+/**
+ * List registered adapters (for debugging)
+ */
+export function getSiteAdapters() {
+  return adapters.map(({ id, name, urlPatterns }) => ({ id, name, urlPatterns }));
+}
+
+/**
+ * Run an adapter's lookups against the page
+ * Returns the field values found plus provenance metadata for each one
+ */
+export function extractWithSiteAdapter(adapter, root = document, url = window.location.href) {
+  const context = {
+    root,
+    url,
+    jsonLd: null,
+    pageText: null
+  };
+
+  const fields = {};
+  const fieldMeta = {};
+
+  for (const [field, lookups] of Object.entries(adapter.fields)) {
+    for (const lookup of lookups) {
+      try {
+        const { value: raw, element } = runLookup(lookup, context);
+        const value = cleanValue(raw);
+        if (value) {
+          const kind = describeLookup(lookup);
+          fields[field] = value;
+          fieldMeta[field] = createFieldMeta({
+            ...LOOKUP_PROVENANCE[kind],
+            source: `adapter:${adapter.id}:${kind}`,
+            location: element ? nodeLocation(element) : null
+          });
+          break;
+        }
+      } catch (error) {
+        console.warn(`🧩 SITE ADAPTER - ${adapter.id} lookup failed for ${field}:`, error.message);
+      }
+    }
+  }
+
+  console.log(`🧩 SITE ADAPTER - ${adapter.id} extracted:`, fields);
+  return { adapterId: adapter.id, fields, fieldMeta };
+}
+
+/**
+ * Execute a single lookup - returns the raw value and, for selectors, the element it came from
+ */
+function runLookup(lookup, context) {
+  if (lookup.selector) {
+    for (const element of context.root.querySelectorAll(lookup.selector)) {
+      const raw = lookup.attribute ? element.getAttribute(lookup.attribute) : element.textContent;
+      const value = applyPattern(raw, lookup.pattern);
+      if (value) return { value, element };
+    }
+    return { value: '' };
+  }
+
+  if (lookup.jsonLd) {
+    if (!context.jsonLd) context.jsonLd = readJsonLd(context.root);
+    for (const item of context.jsonLd) {
+      if (lookup.types && !matchesType(item, lookup.types)) continue;
+      const value = getPath(item, lookup.jsonLd);
+      if (value !== undefined && value !== null && typeof value !== 'object') return { value: String(value) };
+    }
+    return { value: '' };
+  }
+
+  if (lookup.url) {
+    return { value: applyPattern(context.url, lookup.url) };
+  }
+
+  if (lookup.text) {
+    if (context.pageText === null) {
+      context.pageText = (context.root.body || context.root).textContent.replace(/\s+/g, ' ');
+    }
+    return { value: applyPattern(context.pageText, lookup.text) };
+  }
+
+  return { value: '' };
+}
+
+function applyPattern(raw, pattern) {
+  if (!raw) return '';
+  if (!pattern) return raw;
+  const match = raw.match(pattern);
+  return match ? (match[1] || match[0]) : '';
+}
+
+function describeLookup(lookup) {
+  if (lookup.selector) return 'selector';
+  if (lookup.jsonLd) return 'json-ld';
+  if (lookup.url) return 'url';
+  return 'text';
+}
+
+function cleanValue(value) {
+  return typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '';
+}
+
+function matchesType(item, types) {
+  const itemTypes = [].concat(item['@type'] || []);
+  return itemTypes.some(type => types.includes(type));
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => {
+    if (value === undefined || value === null) return undefined;
+    // Take the first element when a path crosses an array (e.g. acceptedOffer)
+    const current = Array.isArray(value) ? value[0] : value;
+    return current ? current[key] : undefined;
+  }, object);
+}
+
+// Shared lookups for schema.org Order markup
+const JSON_LD_ORDER = {
+  orderId: { jsonLd: 'orderNumber', types: ['Order'] },
+  productName: { jsonLd: 'acceptedOffer.itemOffered.name', types: ['Order'] },
+  productValue: { jsonLd: 'acceptedOffer.price', types: ['Order'] },
+  orderDate: { jsonLd: 'orderDate', types: ['Order'] },
+  sellerName: { jsonLd: 'seller.name', types: ['Order'] }
+};
+
+// ---------------------------------------------------------------------------
+// Built-in adapters for the top Indian marketplaces
+// ---------------------------------------------------------------------------
+
+registerSiteAdapter({
+  id: 'amazon-in',
+  name: 'Amazon.in',
+  urlPatterns: [
+    /^https:\/\/(?:www\.)?amazon\.in\/(?:gp\/(?:your-account\/order-details|css\/summary)|your-orders\/order-details)/i,
+    /^https:\/\/(?:www\.)?amazon\.in\/.*[?&]orderID=\d{3}-\d{7}-\d{7}/i
+  ],
+  fields: {
+    orderId: [
+      { url: /[?&]orderI[Dd]=(\d{3}-\d{7}-\d{7})/ },
+      { selector: '[data-component="orderId"], .order-date-invoice-item bdi, .a-color-secondary bdi', pattern: /\d{3}-\d{7}-\d{7}/ },
+      { text: /Order\s*#\s*:?\s*(\d{3}-\d{7}-\d{7})/ },
+      JSON_LD_ORDER.orderId
+    ],
+    productName: [
+      { selector: '[data-component="itemTitle"] a, .yohtmlc-product-title, .a-fixed-left-grid-col a.a-link-normal[href*="/dp/"]' },
+      JSON_LD_ORDER.productName
+    ],
+    productValue: [
+      { selector: '#od-subtotals .a-text-bold .a-text-right, #od-subtotals .a-color-base.a-text-bold', pattern: /₹\s*[\d,]+(?:\.\d{1,2})?/ },
+      { text: /Grand Total\s*:?\s*(₹\s*[\d,]+(?:\.\d{1,2})?)/i },
+      { selector: '[data-component="unitPrice"] .a-offscreen, .a-color-price', pattern: /₹\s*[\d,]+(?:\.\d{1,2})?/ }
+    ],
+    orderDate: [
+      { selector: '[data-component="orderDate"], .order-date-invoice-item', pattern: /(\d{1,2}\s+[A-Za-z]+\s+\d{4})/ },
+      { text: /(?:Ordered on|Order placed)\s*:?\s*(\d{1,2}\s+[A-Za-z]+\s+\d{4})/i },
+      JSON_LD_ORDER.orderDate
+    ],
+    deliveryDate: [
+      { selector: '[data-component="shipmentStatus"], .js-shipment-info-container', pattern: /Delivered\s+(\d{1,2}\s+[A-Za-z]+(?:\s+\d{4})?)/i }
+    ],
+    sellerName: [
+      { selector: '[data-component="orderedMerchant"], .a-size-small.a-color-secondary', pattern: /Sold by\s*:?\s*(.+)/i },
+      JSON_LD_ORDER.sellerName
+    ],
+    trackingNumber: [
+      { text: /Tracking ID\s*:?\s*([A-Z0-9]{8,25})/i }
+    ]
+  }
+});
+
+registerSiteAdapter({
+  id: 'flipkart',
+  name: 'Flipkart',
+  urlPatterns: [/^https:\/\/(?:www\.)?flipkart\.com\/(?:account\/)?order_details/i],
+  fields: {
+    orderId: [
+      { url: /[?&]order_id=(OD\d{15,21})/i },
+      { text: /Order\s*ID\s*[-:]?\s*(OD\d{15,21})/i }
+    ],
+    productName: [
+      // Flipkart class names are obfuscated; product links are stable
+      { selector: 'a[href*="/p/itm"]' },
+      JSON_LD_ORDER.productName
+    ],
+    productValue: [
+      { text: /(?:Total Amount|Amount Paid|Order Total)\s*:?\s*(₹\s*[\d,]+(?:\.\d{1,2})?)/i },
+      { text: /Selling Price\s*:?\s*(₹\s*[\d,]+(?:\.\d{1,2})?)/i }
+    ],
+    orderDate: [
+      { text: /(?:Order (?:Placed|Confirmed)|Ordered)\s*(?:on)?\s*:?\s*(?:[A-Za-z]{3},?\s+)?(\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+'?\d{2,4})/i }
+    ],
+    deliveryDate: [
+      { text: /Delivered\s*(?:on)?\s*:?\s*(?:[A-Za-z]{3},?\s+)?(\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+'?\d{2,4})/i }
+    ],
+    sellerName: [
+      { text: /Seller\s*:?\s*([A-Z][\w&.,' -]{2,60}?)(?=\s{2,}|\s*(?:₹|\d(?:\.\d)?\s*★)|$)/ }
+    ],
+    trackingNumber: [
+      { text: /(?:Tracking ID|AWB)\s*:?\s*([A-Z0-9]{8,25})/i }
+    ]
+  }
+});
+
+registerSiteAdapter({
+  id: 'myntra',
+  name: 'Myntra',
+  urlPatterns: [/^https:\/\/(?:www\.)?myntra\.com\/my\/(?:orders?|item)/i],
+  fields: {
+    orderId: [
+      { url: /[?&](?:storeOrderId|orderId)=(\d{6,20})/i },
+      { text: /Order\s*(?:No\.?|ID|#)\s*:?\s*(\d{10,20})/i }
+    ],
+    productName: [
+      { selector: '.item-name, [class*="itemName"], [class*="product-name"]' },
+      JSON_LD_ORDER.productName
+    ],
+    productValue: [
+      { text: /(?:Total Order Price|Order Total|Total Amount|Amount Paid)\s*:?\s*((?:₹|Rs\.?)\s*[\d,]+(?:\.\d{1,2})?)/i },
+      { selector: '[class*="price"]', pattern: /(?:₹|Rs\.?)\s*[\d,]+(?:\.\d{1,2})?/i }
+    ],
+    orderDate: [
+      { text: /(?:Ordered on|Placed on|Order Date)\s*:?\s*(?:[A-Za-z]{3},?\s+)?(\d{1,2}\s+[A-Za-z]{3,9},?\s+\d{4})/i }
+    ],
+    deliveryDate: [
+      { text: /Delivered\s+(?:on\s+)?(?:[A-Za-z]{3},?\s+)?(\d{1,2}\s+[A-Za-z]{3,9},?\s+\d{4})/i }
+    ],
+    sellerName: [
+      { text: /Sold by\s*:?\s*([A-Z][\w&.,' -]{2,60}?)(?=\s{2,}|\s*(?:Size|Qty|₹|Rs)|$)/ }
+    ]
+  }
+});
+
+registerSiteAdapter({
+  id: 'meesho',
+  name: 'Meesho',
+  urlPatterns: [/^https:\/\/(?:www\.)?meesho\.com\/(?:orders?|my-orders?)/i],
+  fields: {
+    orderId: [
+      { url: /\/orders?\/(\d{6,20}(?:_\d+)?)/i },
+      { text: /(?:Order|Sub[- ]?Order)\s*ID\s*:?\s*#?\s*(\d{6,20}(?:_\d+)?)/i }
+    ],
+    productName: [
+      { selector: '[class*="ProductTitle"], [class*="product-title"], [class*="ProductName"]' }
+    ],
+    productValue: [
+      { text: /(?:Total Price|Order Total|Amount Paid)\s*:?\s*(₹\s*[\d,]+(?:\.\d{1,2})?)/i },
+      { selector: '[class*="Price"]', pattern: /₹\s*[\d,]+(?:\.\d{1,2})?/ }
+    ],
+    orderDate: [
+      { text: /(?:Ordered on|Order placed on|Order Date)\s*:?\s*(\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4})/i }
+    ],
+    deliveryDate: [
+      { text: /Delivered on\s*:?\s*(\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4})/i }
+    ],
+    sellerName: [
+      { text: /(?:Sold by|Supplier)\s*:?\s*([A-Z][\w&.,' -]{2,60}?)(?=\s{2,}|\s*(?:Qty|Size|₹)|$)/ }
+    ]
+  }
+});
+
+registerSiteAdapter({
+  id: 'ajio',
+  name: 'AJIO',
+  urlPatterns: [/^https:\/\/(?:www\.)?ajio\.com\/(?:my-account\/orders?|order)/i],
+  fields: {
+    orderId: [
+      { url: /\/(FN\d{8,14})/i },
+      { text: /Order\s*(?:No\.?|ID|#)\s*:?\s*(FN\d{8,14})/i }
+    ],
+    productName: [
+      { selector: '.product-name, .prod-name, [class*="productName"]' },
+      JSON_LD_ORDER.productName
+    ],
+    productValue: [
+      { selector: '.order-total, [class*="orderTotal"], [class*="total-amount"]', pattern: /(?:₹|Rs\.?)\s*[\d,]+(?:\.\d{1,2})?/i },
+      { text: /(?:Order Total|Total Amount|Amount Paid)\s*:?\s*((?:₹|Rs\.?)\s*[\d,]+(?:\.\d{1,2})?)/i }
+    ],
+    orderDate: [
+      { text: /(?:Ordered on|Order Date)\s*:?\s*(\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4})/i }
+    ],
+    deliveryDate: [
+      { text: /Delivered on\s*:?\s*(\d{1,2}(?:st|nd|rd|th)?\s+[A-Za-z]{3,9},?\s+\d{4})/i }
+    ],
+    sellerName: [
+      { text: /Sold by\s*:?\s*([A-Z][\w&.,' -]{2,60}?)(?=\s{2,}|\s*(?:Qty|Size|₹|Rs)|$)/ }
+    ]
+  }
+});
+
+export default {
+  registerSiteAdapter,
+  findSiteAdapter,
+  getSiteAdapters,
+  extractWithSiteAdapter,
+  ADAPTER_FIELDS
+};
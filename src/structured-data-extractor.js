@@ -0,0 +1,366 @@
+/**
+ * AutoComplaint - Structured Data Extraction
+ * Reads schema.org order markup (JSON-LD and microdata) and Open Graph meta tags
+ * into the standard order fields. Shops publish this markup deliberately, so it
+ * runs before the regex/NER stages and its fields take priority.
+ */
+
+import { FIELD_SOURCE_TYPES, createFieldMeta, nodeLocation } from './field-provenance.js';
+
+// Confidence assigned to fields read from structured markup
+export const STRUCTURED_DATA_CONFIDENCE = {
+  'json-ld': 0.95,
+  microdata: 0.9,
+  'open-graph': 0.7
+};
+
+const CURRENCY_SYMBOLS = {
+  INR: '₹',
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  JPY: '¥'
+};
+
+// Element each parsed markup object came from, for field provenance
+const markupOrigins = new WeakMap();
+
+const ORDER_TYPES = ['Order'];
+const INVOICE_TYPES = ['Invoice'];
+const PRODUCT_TYPES = ['Product', 'IndividualProduct', 'ProductModel'];
+
+/**
+ * Extract order fields from all structured markup on the page
+ */
+export function extractStructuredData(root = document) {
+  console.log('🏷️ STRUCTURED DATA - Reading JSON-LD, microdata and Open Graph markup...');
+
+  const result = {
+    fields: {},
+    fieldMeta: {},
+    items: [],
+    customerDetails: {},
+    hasOrder: false,
+    sources: {
+      jsonLd: 0,
+      microdata: 0,
+      openGraph: 0
+    }
+  };
+
+  const jsonLd = readJsonLd(root);
+  const microdata = readMicrodata(root);
+  const openGraph = readOpenGraph(root);
+
+  result.sources.jsonLd = jsonLd.length;
+  result.sources.microdata = microdata.length;
+  result.sources.openGraph = Object.keys(openGraph).length;
+
+  // Earlier sources win: JSON-LD, then microdata, then Open Graph
+  applySchemaObjects(result, jsonLd, 'json-ld');
+  applySchemaObjects(result, microdata, 'microdata');
+  applyOpenGraph(result, openGraph);
+
+  console.log('🏷️ STRUCTURED DATA - Result:', {
+    sources: result.sources,
+    fields: result.fields,
+    items: result.items.length
+  });
+
+  return result;
+}
+
+/**
+ * Parse every JSON-LD block on the page into a flat list of objects
+ */
+export function readJsonLd(root = document) {
+  const items = [];
+  for (const script of root.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const queue = Array.isArray(data) ? [...data] : [data];
+      while (queue.length) {
+        const item = queue.shift();
+        if (!item || typeof item !== 'object') continue;
+        items.push(item);
+        markupOrigins.set(item, script);
+        if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+      }
+    } catch (error) {
+      console.warn('🏷️ STRUCTURED DATA - Skipping invalid JSON-LD block:', error.message);
+    }
+  }
+  return items;
+}
+
+/**
+ * Parse top-level microdata itemscopes into JSON-LD shaped objects
+ */
+export function readMicrodata(root = document) {
+  return [...root.querySelectorAll('[itemscope]')]
+    .filter(element => !element.hasAttribute('itemprop'))
+    .map(element => {
+      const item = readItemScope(element);
+      markupOrigins.set(item, element);
+      return item;
+    });
+}
+
+function readItemScope(scope) {
+  const item = {};
+  const itemType = scope.getAttribute('itemtype');
+  if (itemType) {
+    item['@type'] = itemType.split(/\s+/).map(type => type.split('/').pop());
+  }
+
+  for (const element of scope.querySelectorAll('[itemprop]')) {
+    // Properties of nested scopes belong to those scopes
+    if (element.parentElement.closest('[itemscope]') !== scope) continue;
+
+    const value = element.hasAttribute('itemscope') ? readItemScope(element) : readItemPropValue(element);
+    for (const name of element.getAttribute('itemprop').split(/\s+/)) {
+      if (item[name] === undefined) {
+        item[name] = value;
+      } else {
+        item[name] = [].concat(item[name], value);
+      }
+    }
+  }
+
+  return item;
+}
+
+function readItemPropValue(element) {
+  if (element.hasAttribute('content')) return element.getAttribute('content');
+
+  switch (element.tagName) {
+    case 'A':
+    case 'LINK':
+      return element.getAttribute('href');
+    case 'IMG':
+      return element.getAttribute('src');
+    case 'TIME':
+      return element.getAttribute('datetime') || element.textContent.trim();
+    case 'DATA':
+    case 'METER':
+      return element.getAttribute('value');
+    default:
+      return element.textContent.replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * Read og: and product: meta tags
+ */
+export function readOpenGraph(root = document) {
+  const tags = {};
+  for (const meta of root.querySelectorAll('meta[property^="og:"], meta[property^="product:"]')) {
+    const property = meta.getAttribute('property');
+    const content = meta.getAttribute('content');
+    if (content && tags[property] === undefined) tags[property] = content.trim();
+  }
+  markupOrigins.set(tags, root.querySelector('meta[property="og:title"]') || root.querySelector('meta[property^="product:"]'));
+  return tags;
+}
+
+/**
+ * Map schema.org Order / Invoice / Product objects onto order fields
+ */
+function applySchemaObjects(result, objects, source) {
+  const orders = objects.filter(object => isType(object, ORDER_TYPES));
+  const invoices = objects.filter(object => isType(object, INVOICE_TYPES));
+  const products = objects.filter(object => isType(object, PRODUCT_TYPES));
+
+  // Invoices usually wrap the order they bill
+  invoices.forEach(invoice => {
+    [].concat(invoice.referencesOrder || []).forEach(order => {
+      if (order && typeof order === 'object') {
+        if (!markupOrigins.has(order)) markupOrigins.set(order, markupOrigins.get(invoice));
+        orders.push(order);
+      }
+    });
+  });
+
+  if (orders.length > 0) result.hasOrder = true;
+
+  for (const order of orders) {
+    const origin = markupOrigins.get(order);
+    setField(result, 'orderId', text(order.orderNumber) || text(order.confirmationNumber), source, origin);
+    setField(result, 'orderDate', text(order.orderDate), source, origin);
+    setField(result, 'sellerName', name(order.seller) || name(order.merchant) || name(order.broker), source, origin);
+    setField(result, 'productValue', money(order.totalPaymentDue) || money(order.partOfInvoice && order.partOfInvoice.totalPaymentDue), source, origin);
+
+    const delivery = first(order.orderDelivery);
+    if (delivery) {
+      setField(result, 'deliveryDate', text(delivery.expectedArrivalUntil) || text(delivery.expectedArrivalFrom), source, origin);
+      setField(result, 'trackingNumber', text(delivery.trackingNumber), source, origin);
+    }
+
+    const customer = first(order.customer);
+    if (customer && typeof customer === 'object') {
+      const details = {
+        name: name(customer),
+        email: text(customer.email),
+        phone: text(customer.telephone)
+      };
+      for (const [key, value] of Object.entries(details)) {
+        if (value && !result.customerDetails[key]) result.customerDetails[key] = value;
+      }
+    }
+
+    readOrderItems(order).forEach(item => addItem(result, item, source));
+  }
+
+  // The first ordered item is the product the complaint is about
+  if (result.items.length > 0) {
+    const origin = markupOrigins.get(orders[0]);
+    setField(result, 'productName', result.items[0].name, source, origin);
+    setField(result, 'productValue', result.items[0].lineTotal, source, origin);
+  }
+
+  for (const invoice of invoices) {
+    const origin = markupOrigins.get(invoice);
+    setField(result, 'invoiceNumber', text(invoice.confirmationNumber) || text(invoice.identifier), source, origin);
+    setField(result, 'productValue', money(invoice.totalPaymentDue), source, origin);
+    setField(result, 'sellerName', name(invoice.provider) || name(invoice.broker), source, origin);
+  }
+
+  for (const product of products) {
+    const origin = markupOrigins.get(product);
+    const offer = first(product.offers);
+    setField(result, 'productName', text(product.name), source, origin);
+    setField(result, 'brand', name(product.brand) || text(product.brand), source, origin);
+    if (offer) {
+      setField(result, 'productValue', money(offer), source, origin);
+      setField(result, 'sellerName', name(offer.seller), source, origin);
+    }
+  }
+}
+
+/**
+ * Read items from acceptedOffer (Offer) or orderedItem (OrderItem / Product)
+ */
+function readOrderItems(order) {
+  const items = [];
+
+  for (const offer of [].concat(order.acceptedOffer || [])) {
+    if (!offer || typeof offer !== 'object') continue;
+    const product = first(offer.itemOffered) || {};
+    const quantity = Number(text(offer.eligibleQuantity && offer.eligibleQuantity.value) || 1) || 1;
+    const unitPrice = money(offer);
+    items.push({
+      name: name(product) || text(offer.name),
+      quantity,
+      unitPrice,
+      lineTotal: quantity > 1 ? money(offer, quantity) : unitPrice,
+      seller: name(offer.seller),
+      status: ''
+    });
+  }
+
+  for (const entry of [].concat(order.orderedItem || [])) {
+    if (!entry || typeof entry !== 'object') continue;
+    const product = isType(entry, ['OrderItem']) ? first(entry.orderedItem) || {} : entry;
+    const quantity = Number(text(entry.orderQuantity && (entry.orderQuantity.value || entry.orderQuantity))) || 1;
+    const unitPrice = money(first(product.offers)) || money(entry);
+    items.push({
+      name: name(product),
+      quantity,
+      unitPrice,
+      lineTotal: unitPrice,
+      seller: '',
+      status: statusLabel(entry.orderItemStatus)
+    });
+  }
+
+  return items.filter(item => item.name);
+}
+
+/**
+ * Open Graph product tags - weakest structured source
+ */
+function applyOpenGraph(result, tags) {
+  const source = 'open-graph';
+  const origin = markupOrigins.get(tags);
+  const isProduct = /product/i.test(tags['og:type'] || '') || tags['product:price:amount'];
+  if (!isProduct) return;
+
+  setField(result, 'productName', tags['og:title'], source, origin);
+
+  const amount = tags['product:price:amount'] || tags['og:price:amount'];
+  const currency = tags['product:price:currency'] || tags['og:price:currency'];
+  if (amount) setField(result, 'productValue', formatMoney(amount, currency), source, origin);
+
+  setField(result, 'brand', tags['product:brand'], source, origin);
+}
+
+function setField(result, field, value, source, origin = null) {
+  if (!value || result.fields[field]) return;
+  result.fields[field] = value;
+  result.fieldMeta[field] = createFieldMeta({
+    confidence: STRUCTURED_DATA_CONFIDENCE[source],
+    sourceType: FIELD_SOURCE_TYPES.STRUCTURED_DATA,
+    source: `structured-data:${source}`,
+    location: origin ? nodeLocation(origin) : null
+  });
+}
+
+function addItem(result, item, source) {
+  const duplicate = result.items.some(existing => existing.name === item.name && existing.lineTotal === item.lineTotal);
+  if (!duplicate) result.items.push({ ...item, source: `structured-data:${source}` });
+}
+
+function isType(object, types) {
+  return [].concat(object['@type'] || []).some(type => types.includes(String(type).split('/').pop()));
+}
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function text(value) {
+  value = first(value);
+  if (value === undefined || value === null || typeof value === 'object') return '';
+  return String(value).replace(/\s+/g, ' ').trim();
+}
+
+function name(value) {
+  value = first(value);
+  if (!value) return '';
+  if (typeof value === 'string') return text(value);
+  return text(value.name) || text(value.legalName);
+}
+
+function statusLabel(value) {
+  // schema.org statuses look like "https://schema.org/OrderDelivered"
+  return text(value).split('/').pop().replace(/^Order/, '').replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+}
+
+/**
+ * Format an Offer / PriceSpecification (optionally times a quantity) as a money string
+ */
+function money(value, quantity = 1) {
+  value = first(value);
+  if (!value) return '';
+  if (typeof value !== 'object') return text(value);
+
+  const spec = first(value.priceSpecification);
+  const amount = text(value.price) || text(spec && spec.price);
+  const currency = text(value.priceCurrency) || text(spec && spec.priceCurrency);
+  if (!amount) return '';
+
+  const numeric = parseFloat(amount.replace(/,/g, ''));
+  if (quantity > 1 && !isNaN(numeric)) {
+    return formatMoney((numeric * quantity).toFixed(2), currency);
+  }
+  return formatMoney(amount, currency);
+}
+
+function formatMoney(amount, currency) {
+  const code = (currency || '').toUpperCase();
+  const symbol = CURRENCY_SYMBOLS[code];
+  if (symbol) return `${symbol}${amount}`;
+  return code ? `${code} ${amount}` : amount;
+}
+
+export default { extractStructuredData, readJsonLd, readMicrodata, readOpenGraph };
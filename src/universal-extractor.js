@@ -9,6 +9,33 @@ console.log('AutoComplaint: Universal E-commerce Order Extractor v9.0 (NER-based
 // Import NER-based extractor
 import { extractOrderInfoWithNER } from './ner-extractor.js';
 
+// Import DOM-based line item extractor for multi-item orders
+import { extractLineItems } from './line-item-extractor.js';
+
+// Import structured-data reader (JSON-LD, microdata, Open Graph)
+import { extractStructuredData } from './structured-data-extractor.js';
+
+// Import site adapter registry for precise per-marketplace rules
+import { findSiteAdapter, extractWithSiteAdapter } from './site-adapters.js';
+
+// Import the per-domain rules users taught by clicking fields on a shop page
+import { extractWithLearnedRules } from './learned-rules.js';
+
+// Import evidence capture - screenshot and HTML copy kept with the saved order
+import { captureOrderEvidence } from './evidence-capture.js';
+
+// Import per-field confidence/provenance helpers
+import { FIELD_SOURCE_TYPES, setFieldMeta } from './field-provenance.js';
+
+// Import order store so captures are kept per order instead of overwriting each other
+import { saveOrder, isEvidenceCaptureEnabled } from './order-store.js';
+
+// Import date normalizer so every date field is stored as ISO
+import { normalizeDate } from './date-normalizer.js';
+
+// Import money parser so productValue is always a clean amount
+import { parseMoney, formatMoney } from './money-parser.js';
+
 // Import DistilBERT MNLI Classifier for classification only
 import DistilBERTMNLIClassifier from './distilbert-mnli-classifier.js';
 
@@ -89,13 +116,15 @@ async function isOrderPageML(pageContent) {
     console.log('🤖 DistilBERT MNLI Result:', {
       isOrder: result.isOrder,
       confidence: result.confidence.toFixed(3),
-      topLabel: result.topLabel
+      topLabel: result.topLabel,
+      backend: result.backend
     });
     
     return {
       isOrder: result.isOrder,
       confidence: result.confidence,
       method: 'distilbert-mnli',
+      backend: result.backend,
       details: result
     };
     
@@ -165,7 +194,8 @@ async function isOrderPage() {
         url: url.substring(0, 100),
         isOrder: result.isOrder,
         confidence: (result.confidence * 100).toFixed(1) + '%',
-        method: result.method
+        method: result.method,
+        backend: result.backend
       });
     }
     
@@ -418,21 +448,90 @@ function cleanCache() {
 }
 
 /**
- * Main universal order information extraction using NER
- * Now calls the NER-based extractor instead of complex regex patterns
+ * Main universal order information extraction
+ * Rules the user taught for this domain answer first, then structured markup,
+ * then a matching site adapter; the NER-based extractor fills the gaps
  */
-async function extractOrderInfoML(pageContent) {
-  console.log('� Starting NER-based universal order extraction...');
+async function extractOrderInfoML(pageContent, structuredData = extractStructuredData(document), learned = null) {
+  console.log('� Starting universal order extraction...');
   console.log('📊 Content length:', pageContent.length);
   
   try {
-    // Use the new NER-based extractor
-    const result = await extractOrderInfoWithNER(pageContent, window.location.href);
+    const url = window.location.href;
+    
+    if (Object.keys(structuredData.fields).length > 0) {
+      console.log('🏷️ STRUCTURED DATA - Found fields:', Object.keys(structuredData.fields));
+    }
+    
+    // Site adapter pass - precise selectors for known marketplaces
+    const adapter = findSiteAdapter(url);
+    const adapterResult = adapter ? extractWithSiteAdapter(adapter, document, url) : null;
+    if (adapter) {
+      console.log(`🧩 SITE ADAPTER - ${adapter.id} found ${Object.keys(adapterResult.fields).length} field(s)`);
+    }
+    
+    // NER pass over the page text (cheap, regex-based) for anything the adapter missed
+    const result = await extractOrderInfoWithNER(pageContent, url, document.documentElement.lang || navigator.language || '');
+    
+    // Line items come from the DOM, which the text-only NER pass never sees
+    result.items = extractLineItems(document);
+    if (result.items.length > 0) {
+      // A single flat product is still expected by the popup and portal filler;
+      // the DOM item name beats the title-case guess from the NER pass
+      const itemMeta = {
+        confidence: 0.75,
+        sourceType: FIELD_SOURCE_TYPES.SELECTOR,
+        source: `dom-line-items:${result.items[0].source}`,
+        location: { nodePath: result.items[0].nodePath }
+      };
+      setExtractedField(result, 'items', result.items, itemMeta);
+      setExtractedField(result, 'productName', result.items[0].name, itemMeta);
+      if (!result.productValue) {
+        setExtractedField(result, 'productValue', result.items[0].lineTotal, itemMeta);
+      }
+    }
+    
+    // Adapter values win over everything the generic passes found
+    if (adapterResult) {
+      for (const [field, value] of Object.entries(adapterResult.fields)) {
+        setExtractedField(result, field, value, adapterResult.fieldMeta[field]);
+      }
+      result.siteAdapter = adapterResult.adapterId;
+      result.extractionMethod = `site-adapter+${result.extractionMethod}`;
+      result.confidence = Math.min(1, result.confidence + Object.keys(adapterResult.fields).length * 0.05);
+    }
+    
+    // Structured markup is published by the shop itself - it beats every other source
+    if (structuredData.items.length > 0) {
+      setExtractedField(result, 'items', structuredData.items, structuredData.fieldMeta.productName || {
+        confidence: 0.9,
+        sourceType: FIELD_SOURCE_TYPES.STRUCTURED_DATA,
+        source: 'structured-data'
+      });
+    }
+    for (const [field, value] of Object.entries(structuredData.fields)) {
+      setExtractedField(result, field, value, structuredData.fieldMeta[field]);
+    }
+    result.customerDetails = { ...result.customerDetails, ...structuredData.customerDetails };
+    if (structuredData.hasOrder) {
+      result.extractionMethod = `structured-data+${result.extractionMethod}`;
+      result.confidence = Math.max(result.confidence, 0.9);
+    }
+    
+    // The user pointed at these values on this very site - nothing overrides them
+    if (learned && Object.keys(learned.fields).length > 0) {
+      for (const [field, value] of Object.entries(learned.fields)) {
+        setExtractedField(result, field, value, learned.fieldMeta[field]);
+      }
+      result.learnedRules = learned.adapterId;
+      result.extractionMethod = `learned+${result.extractionMethod}`;
+    }
     
     console.log('✅ NER extraction completed:', {
       fieldsFound: result.extractedFields.length,
       fields: result.extractedFields,
       confidence: result.confidence.toFixed(3),
+      fieldMeta: result.fieldMeta,
       serverUsed: result.serverAvailable
     });
     
@@ -450,7 +549,9 @@ async function extractOrderInfoML(pageContent) {
       deliveryDate: '',
       sellerName: '',
       trackingNumber: '',
+      items: [],
       customerDetails: {},
+      fieldMeta: {},
       extractionMethod: 'error-fallback',
       confidence: 0,
       url: window.location.href,
@@ -460,6 +561,31 @@ async function extractOrderInfoML(pageContent) {
     };
   }
 }
+// Result fields holding a date
+const DATE_FIELDS = ['orderDate', 'deliveryDate'];
+
+/**
+ * Set a result field and record its confidence and provenance
+ */
+function setExtractedField(result, field, value, meta) {
+  if (!value) return;
+  if (DATE_FIELDS.includes(field)) {
+    // Adapter and markup dates come in the shop's own format - store them as ISO like the NER pass does
+    const date = normalizeDate(value, { locale: result.locale, domain: result.domain });
+    if (date) value = date.iso;
+  }
+  if (field === 'productValue') {
+    const money = parseMoney(value);
+    if (money) {
+      result.amountPaid = money;
+      value = formatMoney(money);
+    }
+  }
+  result[field] = value;
+  setFieldMeta(result, field, meta);
+  if (!result.extractedFields.includes(field)) result.extractedFields.push(field);
+}
+
 /**
  * Extract order information from the page using NER-based ML
  */
@@ -467,8 +593,27 @@ async function extractOrderInfo() {
   try {
     console.log('🔍 ORDER CHECK - Verifying if page contains order information...');
     
+    // Adapter URL patterns only match order pages, so they skip the classifier
+    const adapter = findSiteAdapter(window.location.href);
+    if (adapter) {
+      console.log(`🧩 ORDER CHECK - ${adapter.name} order page matched by site adapter`);
+    }
+    
+    // schema.org Order markup is an explicit statement that this is an order page
+    const structuredData = extractStructuredData(document);
+    if (structuredData.hasOrder) {
+      console.log('🏷️ ORDER CHECK - schema.org Order markup found on page');
+    }
+    
+    // A taught order ID showing up means this is an order page on a site the user taught
+    const learned = await getLearnedExtraction();
+    const learnedOrder = !!(learned && learned.fields.orderId);
+    if (learnedOrder) {
+      console.log(`🎓 ORDER CHECK - Order ID found by ${learned.adapterId}`);
+    }
+    
     // First check if this is an order page
-    const isOrder = await isOrderPage();
+    const isOrder = adapter || structuredData.hasOrder || learnedOrder ? true : await isOrderPage();
     console.log('🔍 ORDER CHECK - Is order page result:', isOrder);
     
     if (!isOrder) {
@@ -493,7 +638,7 @@ async function extractOrderInfo() {
     
     // Use ML extraction
     console.log('🤖 ML EXTRACTION - Running ML-based order info extraction...');
-    const orderInfo = await extractOrderInfoML(pageContent);
+    const orderInfo = await extractOrderInfoML(pageContent, structuredData, learned);
     console.log('🤖 ML EXTRACTION - Raw ML result:', orderInfo);
     
     if (orderInfo) {
@@ -520,6 +665,20 @@ async function extractOrderInfo() {
   }
 }
 
+/**
+ * Run the learned rules for this page's domain; extraction goes on without them
+ * if storage is unavailable
+ */
+async function getLearnedExtraction() {
+  if (typeof chrome === 'undefined' || !chrome.storage) return null;
+  try {
+    return await extractWithLearnedRules(document, window.location.href);
+  } catch (error) {
+    console.warn('⚠️ LEARNED RULES - Could not run taught rules:', error);
+    return null;
+  }
+}
+
 /**
  * Initialize and run the main extraction process
  */
@@ -553,15 +712,24 @@ async function initializeExtraction() {
       console.log('📊 EXTRACTION STATS - Has total:', !!extractedData.total);
       console.log('📊 EXTRACTION STATS - Has items:', !!extractedData.items?.length);
       
-      // Save to chrome storage
+      // Save to the order store - only pages that yielded order fields are kept,
+      // the order the user picked in the popup stays active and their corrections stay
       if (typeof chrome !== 'undefined' && chrome.storage) {
-        chrome.storage.local.set({ autoComplaintOrder: extractedData }, () => {
-          if (chrome.runtime.lastError) {
-            console.error('❌ STORAGE ERROR:', chrome.runtime.lastError);
-          } else {
-            console.log('✅ STORAGE SUCCESS - Order data saved to chrome storage');
+        if (extractedData.orderId || extractedData.productName) {
+          try {
+            const saved = await saveOrder(extractedData, { sourceUrl: window.location.href, makeActive: false, keepUserEdits: true });
+            console.log('✅ STORAGE SUCCESS - Order data saved to order store:', saved.id);
+            
+            // First capture of an order keeps the page as evidence, when the user opted in
+            if (!(saved.evidence && saved.evidence.capturedAt) && await isEvidenceCaptureEnabled()) {
+              await captureOrderEvidence(saved.id).catch(error => console.warn('⚠️ EVIDENCE - Capture failed:', error));
+            }
+          } catch (storageError) {
+            console.error('❌ STORAGE ERROR:', storageError);
           }
-        });
+        } else {
+          console.log('📋 STORAGE SKIP - No order ID or product found, nothing saved');
+        }
       } else {
         console.log('📋 STORAGE SKIP - Chrome storage not available, data extracted only');
       }
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Test PDF Text Layer
+ * Read the fixture PDFs in tests/fixtures/pdf through src/pdf-text.js:
+ * a plain PDF 1.4 file, a PDF 1.5 file with an object stream and a
+ * cross-reference stream, and a Type0 font readable only through ToUnicode
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { extractPdfText } from '../src/pdf-text.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/pdf/', import.meta.url));
+
+const CASES = [
+  {
+    file: 'plain.pdf',
+    pageCount: 2,
+    contains: ['Tax Invoice', 'Order ID: 171-2345678-9012345', 'Sold by: Example Retail Pvt Ltd', 'Grand Total: Rs. 1,299.00']
+  },
+  {
+    file: 'objstm-xref-stream.pdf',
+    pageCount: 1,
+    contains: ['Invoice Number: FAAB2X0012345', 'Invoice Date: 05.08.2024']
+  },
+  {
+    file: 'tounicode-cid.pdf',
+    pageCount: 1,
+    contains: ['Total: ₹2,499.00']
+  }
+];
+
+async function testPdfText() {
+  console.log('🧪 Testing PDF text extraction...');
+  let failures = 0;
+
+  for (const { file, pageCount, contains } of CASES) {
+    try {
+      const result = await extractPdfText(readFileSync(`${FIXTURES}${file}`));
+      const problems = [];
+      if (result.pageCount !== pageCount) problems.push(`expected ${pageCount} page(s), got ${result.pageCount}`);
+      contains
+        .filter(expected => !result.text.includes(expected))
+        .forEach(expected => problems.push(`missing "${expected}"`));
+
+      if (problems.length === 0) {
+        console.log(`✅ ${file}`);
+      } else {
+        failures++;
+        console.log(`❌ ${file}: ${problems.join('; ')}`);
+        console.log(result.text);
+      }
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${file}: ${error.message}`);
+    }
+  }
+
+  console.log(failures === 0 ? '\n🎉 All PDF fixtures read correctly' : `\n💥 ${failures} PDF fixture(s) failed`);
+  process.exitCode = failures === 0 ? 0 : 1;
+}
+
+testPdfText();
@@ -1,39 +1,137 @@
-
 // Image compression utility for AutoComplaint extension
-// Compresses images before storing them to reduce storage usage
-
-export function compressImage(file, maxSizeMB = 1, quality = 0.8) {
-  return new Promise((resolve) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-    
-    img.onload = () => {
-      // Calculate new dimensions
-      const maxWidth = 800;
-      const maxHeight = 600;
-      let { width, height } = img;
-      
-      if (width > height) {
-        if (width > maxWidth) {
-          height = (height * maxWidth) / width;
-          width = maxWidth;
-        }
+// Compresses images before storing or uploading them: lowers quality, then
+// scale, until the result fits a target size. Uses OffscreenCanvas and
+// createImageBitmap where available, so it also runs inside a worker.
+// Photos come out upright: every decode path applies the EXIF orientation.
+
+const COMPRESS_DEFAULTS = {
+  maxSizeMB: 1,
+  quality: 0.8,
+  minQuality: 0.4,
+  qualityStep: 0.1,
+  scaleStep: 0.8,
+  maxWidth: 1920,
+  maxHeight: 1920,
+  type: 'image/jpeg',
+  maxAttempts: 20
+};
+
+const OUTPUT_TYPES = ['image/jpeg', 'image/webp', 'image/png'];
+
+/**
+ * Compress an image Blob/File
+ * options: { maxSizeMB, quality, minQuality, maxWidth, maxHeight, type } -
+ * type is 'image/jpeg' (default), 'image/webp' or 'image/png'
+ * Resolves { blob, width, height, bytes, type, quality, fitsTarget };
+ * rejects when the image cannot be decoded
+ */
+export async function compressImage(file, options = {}) {
+  const settings = { ...COMPRESS_DEFAULTS, ...options };
+  if (!OUTPUT_TYPES.includes(settings.type)) {
+    throw new Error(`Unsupported output type: ${settings.type}`);
+  }
+
+  const targetBytes = settings.maxSizeMB * 1024 * 1024;
+  const image = await decodeImage(file);
+
+  try {
+    let scale = Math.min(1, settings.maxWidth / image.width, settings.maxHeight / image.height);
+    let quality = settings.quality;
+    let type = settings.type;
+    let best = null;
+
+    for (let attempt = 0; attempt < settings.maxAttempts; attempt++) {
+      const width = Math.max(1, Math.round(image.width * scale));
+      const height = Math.max(1, Math.round(image.height * scale));
+      const blob = await renderImage(image, width, height, type, quality);
+
+      // Browsers without a WebP encoder hand back PNG - use JPEG instead
+      if (blob.type !== type && type === 'image/webp') {
+        type = 'image/jpeg';
+        attempt--;
+        continue;
+      }
+
+      best = { blob, width, height, bytes: blob.size, type: blob.type, quality: type === 'image/png' ? null : quality };
+      if (blob.size <= targetBytes) break;
+
+      // Lower the quality first (lossy formats only), then the size
+      if (type !== 'image/png' && quality - settings.qualityStep >= settings.minQuality - 1e-9) {
+        quality = Math.round((quality - settings.qualityStep) * 100) / 100;
       } else {
-        if (height > maxHeight) {
-          width = (width * maxHeight) / height;
-          height = maxHeight;
-        }
+        scale *= settings.scaleStep;
+        quality = settings.quality;
+      }
+    }
+
+    const result = { ...best, fitsTarget: best.bytes <= targetBytes };
+    console.log(`🗜️ IMAGE COMPRESS - ${Math.round(file.size / 1024)} KB → ${Math.round(result.bytes / 1024)} KB (${result.width}x${result.height}, ${result.type}${result.quality ? ` q${result.quality}` : ''})`);
+    return result;
+  } finally {
+    if (image.close) image.close();
+  }
+}
+
+/**
+ * Decode to an ImageBitmap, rotated as the EXIF orientation says
+ * Falls back to an <img> where createImageBitmap is missing (images honour EXIF too)
+ */
+async function decodeImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+      // Older engines reject the options bag - their default also follows EXIF
+      try {
+        return await createImageBitmap(file);
+      } catch (fallbackError) {
+        throw new Error(`Could not decode image: ${fallbackError.message}`);
       }
-      
-      canvas.width = width;
-      canvas.height = height;
-      
-      // Draw and compress
-      ctx.drawImage(img, 0, 0, width, height);
-      canvas.toBlob(resolve, 'image/jpeg', quality);
-    };
-    
-    img.src = URL.createObjectURL(file);
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    return await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Could not decode image'));
+      img.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Draw the image at the given size and encode it
+ */
+async function renderImage(image, width, height, type, quality) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext('2d');
+
+  // JPEG has no alpha - transparent areas would turn black
+  if (type === 'image/jpeg') {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  ctx.drawImage(image, 0, 0, width, height);
+
+  if (typeof canvas.convertToBlob === 'function') {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
   });
 }
+
+function createCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+export default { compressImage };